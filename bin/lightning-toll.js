@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+'use strict';
+
+const { startProxy } = require('../src/proxy');
+
+const USAGE = `Usage: lightning-toll proxy --config <file> [--port <port>] [--host <host>] [--no-watch]
+
+Runs an L402 reverse proxy in front of an upstream HTTP service.
+
+  --config, -c   JSON config (or YAML with the "yaml" package installed)
+  --port, -p     Listen port (overrides listen.port, default 8402)
+  --host         Listen host (overrides listen.host, default 0.0.0.0)
+  --no-watch     Don't reload the config when it changes
+
+The wallet and secret come from the config, or NWC_URL and TOLL_SECRET.`;
+
+function parseArgs(argv) {
+  const args = { command: argv[0], watch: true };
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--config' || arg === '-c') args.config = argv[++i];
+    else if (arg === '--port' || arg === '-p') args.port = Number(argv[++i]);
+    else if (arg === '--host') args.host = argv[++i];
+    else if (arg === '--no-watch') args.watch = false;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  return args;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message + '\n\n' + USAGE);
+    process.exit(1);
+  }
+
+  if (args.help || args.command !== 'proxy' || !args.config) {
+    console.error(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const proxy = await startProxy(args.config, { port: args.port, host: args.host, watch: args.watch });
+  const { address, port } = proxy.server.address();
+  console.log(`⚡ lightning-toll proxy listening on http://${address}:${port}`);
+
+  const shutdown = () => proxy.close().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((err) => {
+  console.error(`lightning-toll: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * Fastify adapter: a preHandler hook.
+ *
+ *   const { tollPreHandler } = require('lightning-toll/fastify');
+ *   fastify.get('/api/joke', { preHandler: tollPreHandler(toll, { sats: 5 }) }, async (request) => {
+ *     return { paid: request.toll.paid };
+ *   });
+ */
+
+/**
+ * Translate a Fastify request into a TollRequest.
+ * @param {object} request - FastifyRequest
+ * @returns {object}
+ */
+function toTollRequest(request) {
+  const route = (request.routeOptions && request.routeOptions.url) || request.routerPath;
+  return {
+    method: request.method,
+    path: (request.url || '/').split('?')[0],
+    search: (request.url || '').includes('?') ? request.url.slice(request.url.indexOf('?')) : '',
+    headers: request.headers,
+    ip: request.ip,
+    route: typeof route === 'string' ? route : undefined,
+    body: request.body,
+    raw: request
+  };
+}
+
+/**
+ * Create a preHandler hook that gates a route behind the toll.
+ * @param {Function} toll - From createToll
+ * @param {object} routeOpts - Same as toll(routeOpts)
+ * @returns {Function} async (request, reply) hook; sets request.toll when allowed
+ */
+function tollPreHandler(toll, routeOpts) {
+  const evaluate = toll.evaluator(routeOpts);
+
+  return async function tollHook(request, reply) {
+    const result = await evaluate(toTollRequest(request));
+    for (const [name, value] of Object.entries(result.headers)) reply.header(name, value);
+
+    if (!result.allowed) {
+      return reply.code(result.status).send(result.body);
+    }
+    request.toll = result.toll;
+    if (result.finish) reply.raw.on('close', () => result.finish(reply.raw.statusCode));
+  };
+}
+
+module.exports = { tollPreHandler, toTollRequest };
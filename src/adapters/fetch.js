@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * Fetch API adapter: standard Request in, Response out. Works on Cloudflare Workers,
+ * Deno, Bun and Next.js route handlers. Used by toll.fetchHandler().
+ */
+
+/**
+ * The client address the platform reports. Fetch has no standard one, so this
+ * reads each runtime's own: Deno.serve's info.remoteAddr, Bun's
+ * server.requestIP(), Cloudflare's CF-Connecting-IP (set by its edge; only read
+ * when request.cf shows the request came through it) and Next.js's request.ip.
+ * @returns {string|undefined}
+ */
+function platformIp(request, context) {
+  if (context && context.remoteAddr) return context.remoteAddr.hostname;
+  if (context && typeof context.requestIP === 'function') {
+    const address = context.requestIP(request);
+    if (address) return address.address;
+  }
+  if (request.cf) return request.headers.get('cf-connecting-ip') || undefined;
+  if (typeof request.ip === 'string' && request.ip) return request.ip;
+  return undefined;
+}
+
+/**
+ * Translate a Fetch API Request into a TollRequest.
+ * @param {Request} request
+ * @param {object} [context] - The handler's second argument (Deno's info, Bun's server, Workers' env)
+ * @param {Function} [getClientIp] - (request, context) => address, replacing platform detection
+ * @returns {object}
+ */
+function toTollRequest(request, context, getClientIp) {
+  const headers = {};
+  request.headers.forEach((value, name) => { headers[name.toLowerCase()] = value; });
+  const url = new URL(request.url);
+  return {
+    method: request.method,
+    path: url.pathname,
+    search: url.search,
+    headers,
+    ip: (getClientIp ? getClientIp(request, context) : platformIp(request, context)) || undefined,
+    readBody: () => request.clone().arrayBuffer(),
+    raw: request
+  };
+}
+
+/**
+ * Wrap a fetch handler behind the toll.
+ * @param {Function} toll - From createToll
+ * @param {object} routeOpts - Same as toll(routeOpts), plus getClientIp
+ * @param {Function} [routeOpts.getClientIp] - (request, context) => client address, for platforms not detected
+ * @param {Function} handler - (request, ...rest) => Response, called with request.toll set once allowed
+ * @returns {Function} async (request, ...rest) => Response
+ */
+function fetchHandler(toll, routeOpts = {}, handler) {
+  const { getClientIp, ...opts } = routeOpts;
+  if (getClientIp !== undefined && typeof getClientIp !== 'function') {
+    throw new Error('lightning-toll: getClientIp must be a function (request, context) => string');
+  }
+  const evaluate = toll.evaluator(opts);
+
+  return async function tollFetch(request, ...rest) {
+    const result = await evaluate(toTollRequest(request, rest[0], getClientIp));
+
+    if (!result.allowed) {
+      return new Response(JSON.stringify(result.body), {
+        status: result.status,
+        headers: { ...result.headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    request.toll = result.toll;
+    let response;
+    try {
+      response = await handler(request, ...rest);
+    } catch (err) {
+      if (result.finish) result.finish(500);
+      throw err;
+    }
+    if (result.finish) result.finish(response.status); // postpaid: settle whatever the handler didn't
+    if (Object.keys(result.headers).length === 0) return response;
+
+    // Responses (e.g. from fetch()) may have immutable headers; copy before adding ours
+    const withHeaders = new Response(response.body, response);
+    for (const [name, value] of Object.entries(result.headers)) withHeaders.headers.set(name, value);
+    return withHeaders;
+  };
+}
+
+module.exports = { fetchHandler, toTollRequest };
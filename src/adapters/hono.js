@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * Hono adapter.
+ *
+ *   const { tollMiddleware } = require('lightning-toll/hono');
+ *   app.get('/api/joke', tollMiddleware(toll, { sats: 5 }), (c) => c.json({ paid: c.get('toll').paid }));
+ */
+
+/**
+ * Translate a Hono context into a TollRequest.
+ * @param {object} c - Hono context
+ * @returns {object}
+ */
+function toTollRequest(c) {
+  // Hono has no portable remote address; @hono/node-server exposes the socket on env.incoming
+  const incoming = c.env && c.env.incoming;
+  return {
+    method: c.req.method,
+    path: c.req.path,
+    search: new URL(c.req.url).search,
+    headers: c.req.header(),
+    ip: incoming && incoming.socket ? incoming.socket.remoteAddress : undefined,
+    route: typeof c.req.routePath === 'string' ? c.req.routePath : undefined,
+    readBody: () => c.req.arrayBuffer(), // Hono caches the body, so handlers can still read it
+    raw: c
+  };
+}
+
+/**
+ * Create Hono middleware that gates a route behind the toll.
+ * @param {Function} toll - From createToll
+ * @param {object} routeOpts - Same as toll(routeOpts)
+ * @returns {Function} async (c, next) middleware; sets c.get('toll') when allowed
+ */
+function tollMiddleware(toll, routeOpts) {
+  const evaluate = toll.evaluator(routeOpts);
+
+  return async function tollHono(c, next) {
+    const result = await evaluate(toTollRequest(c));
+
+    if (!result.allowed) {
+      return c.json(result.body, result.status, result.headers);
+    }
+    for (const [name, value] of Object.entries(result.headers)) c.header(name, value);
+    c.set('toll', result.toll);
+    await next();
+    if (result.finish) result.finish(c.error ? 500 : c.res.status); // postpaid: settle whatever the handler didn't
+  };
+}
+
+module.exports = { tollMiddleware, toTollRequest };
@@ -0,0 +1,53 @@
+'use strict';
+
+/**
+ * node:http adapter.
+ *
+ *   const { withToll } = require('lightning-toll/http');
+ *   http.createServer(withToll(toll, { sats: 5 }, (req, res) => {
+ *     res.end(JSON.stringify({ paid: req.toll.paid }));
+ *   }));
+ */
+
+/**
+ * Translate a node:http request into a TollRequest.
+ * @param {http.IncomingMessage} req
+ * @returns {object}
+ */
+function toTollRequest(req) {
+  return {
+    method: req.method,
+    path: (req.url || '/').split('?')[0],
+    search: (req.url || '').includes('?') ? req.url.slice(req.url.indexOf('?')) : '',
+    headers: req.headers,
+    ip: req.socket && req.socket.remoteAddress,
+    body: req.body, // only if something upstream already read the body
+    raw: req
+  };
+}
+
+/**
+ * Wrap a request listener behind the toll.
+ * @param {Function} toll - From createToll
+ * @param {object} routeOpts - Same as toll(routeOpts)
+ * @param {Function} handler - (req, res) listener, called with req.toll set once the request is allowed
+ * @returns {Function} (req, res) listener
+ */
+function withToll(toll, routeOpts, handler) {
+  const evaluate = toll.evaluator(routeOpts);
+
+  return async function tollListener(req, res) {
+    const result = await evaluate(toTollRequest(req));
+    for (const [name, value] of Object.entries(result.headers)) res.setHeader(name, value);
+
+    if (!result.allowed) {
+      res.writeHead(result.status, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify(result.body));
+    }
+    req.toll = result.toll;
+    if (result.finish) res.on('close', () => result.finish(res.statusCode));
+    return handler(req, res);
+  };
+}
+
+module.exports = { withToll, toTollRequest };
@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * Koa adapter.
+ *
+ *   const { tollMiddleware } = require('lightning-toll/koa');
+ *   router.get('/api/joke', tollMiddleware(toll, { sats: 5 }), (ctx) => {
+ *     ctx.body = { paid: ctx.state.toll.paid };
+ *   });
+ */
+
+/**
+ * Translate a Koa context into a TollRequest.
+ * @param {object} ctx - Koa context
+ * @returns {object}
+ */
+function toTollRequest(ctx) {
+  return {
+    method: ctx.method,
+    path: ctx.path,
+    search: ctx.search,
+    headers: ctx.headers,
+    ip: ctx.ip,
+    route: typeof ctx._matchedRoute === 'string' ? ctx._matchedRoute : undefined, // set by @koa/router
+    body: ctx.request ? ctx.request.body : undefined, // set by a body parser (koa-bodyparser, @koa/bodyparser)
+    raw: ctx
+  };
+}
+
+/**
+ * Create Koa middleware that gates a route behind the toll.
+ * @param {Function} toll - From createToll
+ * @param {object} routeOpts - Same as toll(routeOpts)
+ * @returns {Function} async (ctx, next) middleware; sets ctx.state.toll when allowed
+ */
+function tollMiddleware(toll, routeOpts) {
+  const evaluate = toll.evaluator(routeOpts);
+
+  return async function tollKoa(ctx, next) {
+    const result = await evaluate(toTollRequest(ctx));
+    for (const [name, value] of Object.entries(result.headers)) ctx.set(name, value);
+
+    if (!result.allowed) {
+      ctx.status = result.status;
+      ctx.body = result.body;
+      return;
+    }
+    ctx.state.toll = result.toll;
+    if (!result.finish) return next();
+
+    // Postpaid routes: settle whatever the handler didn't
+    try {
+      await next();
+    } catch (err) {
+      result.finish(err.status || 500);
+      throw err;
+    }
+    result.finish(ctx.status);
+  };
+}
+
+module.exports = { tollMiddleware, toTollRequest };
@@ -0,0 +1,75 @@
+'use strict';
+
+const { sha256, toBytes, toHex } = require('./crypto');
+
+/**
+ * Request body hashing for bindBody (the `body_hash` caveat).
+ *
+ * Parsed bodies (JSON, urlencoded forms) are hashed as canonical JSON — keys
+ * sorted at every level — so the hash doesn't depend on key order or
+ * whitespace. Raw bodies (strings, Buffers, bytes) are hashed as-is.
+ */
+
+/**
+ * JSON with object keys sorted recursively.
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (value && typeof value.toJSON === 'function') return canonicalJson(value.toJSON());
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined || typeof item === 'function' ? 'null' : canonicalJson(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const members = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${members.join(',')}}`;
+  }
+  const json = JSON.stringify(value);
+  return json === undefined ? 'null' : json;
+}
+
+/**
+ * Bytes a body is hashed as.
+ * @param {*} body - Parsed object, string, Buffer/Uint8Array, ArrayBuffer, or null/undefined for none
+ * @returns {Uint8Array}
+ */
+function canonicalBody(body) {
+  if (body === undefined || body === null) return new Uint8Array(0);
+  if (typeof body === 'string') return toBytes(body);
+  if (body instanceof Uint8Array) return body;
+  if (body instanceof ArrayBuffer) return new Uint8Array(body);
+  if (ArrayBuffer.isView(body)) return new Uint8Array(body.buffer, body.byteOffset, body.byteLength);
+  return toBytes(canonicalJson(body));
+}
+
+/**
+ * @param {*} body
+ * @returns {Promise<string>} Hex SHA-256 of the canonical body
+ */
+async function hashBody(body) {
+  return toHex(await sha256(canonicalBody(body)));
+}
+
+function hasContent(headers) {
+  const length = Number(headers['content-length']);
+  return (Number.isFinite(length) && length > 0) || headers['transfer-encoding'] !== undefined;
+}
+
+/**
+ * Hash a TollRequest's body: `req.body` when an adapter or body parser
+ * provided it, else `req.readBody()` for runtimes that read bodies lazily.
+ * @param {object} req - TollRequest
+ * @returns {Promise<string>}
+ */
+async function hashRequestBody(req) {
+  if (req.body !== undefined) return hashBody(req.body);
+  if (typeof req.readBody === 'function') return hashBody(await req.readBody());
+  if (hasContent(req.headers || {})) {
+    throw new Error('bindBody needs the request body — add a body parser (e.g. express.json()) before the toll');
+  }
+  return hashBody(null);
+}
+
+module.exports = { canonicalJson, canonicalBody, hashBody, hashRequestBody };
@@ -1,6 +1,62 @@
 'use strict';
 
 const { parseAuthorization } = require('../l402');
+const { createNip98Auth } = require('../nostr');
+
+/**
+ * Make a request body safe to send twice. Streams can only be read once, and
+ * FormData picks a new multipart boundary each time it is serialized, so those
+ * are read into bytes up front — the paid retry then carries exactly the body
+ * the server priced (and, with bindBody, hashed into the macaroon).
+ * @returns {Promise<{ body: *, contentType: string|null }>}
+ */
+async function replayableBody(body) {
+  if (body === undefined || body === null || typeof body === 'string' ||
+      body instanceof ArrayBuffer || ArrayBuffer.isView(body) || body instanceof URLSearchParams) {
+    return { body, contentType: null };
+  }
+  const request = new Request('http://body.invalid/', { method: 'POST', body, duplex: 'half' });
+  return {
+    body: new Uint8Array(await request.arrayBuffer()),
+    contentType: request.headers.get('content-type')
+  };
+}
+
+/**
+ * Sign a request with the client's Nostr key (NIP-98). The event goes in
+ * Authorization, or X-Nostr-Authorization when that already holds an L402 credential.
+ * Each attempt is signed afresh: servers refuse an event they've seen before.
+ * @returns {Promise<object>} Headers
+ */
+async function signHeaders(url, requestOpts, headers, payOpts) {
+  if (!payOpts.nostrKey) return headers;
+  const auth = await createNip98Auth(payOpts.nostrKey, { url, method: requestOpts.method || 'GET', body: requestOpts.body });
+  const hasAuthorization = Object.keys(headers).some(name => name.toLowerCase() === 'authorization');
+  return { ...headers, [hasAuthorization ? 'X-Nostr-Authorization' : 'Authorization']: auth };
+}
+
+/**
+ * Hold-invoice challenges (postpaid: 'hold') settle after the request, so the
+ * payment can't be awaited first: start it, then retry with the credential and
+ * no preimage until the server sees the payment held.
+ * @returns {Promise<Response>}
+ */
+async function payHold(url, requestOpts, headers, challenge, wallet, payOpts) {
+  let failure = null;
+  Promise.resolve()
+    .then(() => wallet.payInvoice(challenge.invoice))
+    .catch((err) => { failure = err; });
+
+  const retryHeaders = { ...headers, Authorization: `L402 ${challenge.macaroon}:` };
+  const deadline = Date.now() + (payOpts.holdTimeoutMs || 30000);
+  for (;;) {
+    if (failure) throw new Error(`lightning-toll/client: Payment failed — ${failure.message}`);
+    const res = await fetch(url, { ...requestOpts, headers: await signHeaders(url, requestOpts, retryHeaders, payOpts) });
+    // 402 here means the payment hasn't reached the server's node yet
+    if (res.status !== 402 || Date.now() >= deadline) return res;
+    await new Promise(resolve => setTimeout(resolve, payOpts.holdRetryMs || 250));
+  }
+}
 
 /**
  * Auto-pay fetch wrapper.
@@ -14,6 +70,9 @@ const { parseAuthorization } = require('../l402');
  * @param {number} [payOpts.maxSats=100] - Maximum sats to pay per request
  * @param {boolean} [payOpts.autoRetry=true] - Automatically pay and retry on 402
  * @param {object} [payOpts.headers] - Additional headers
+ * @param {number} [payOpts.holdTimeoutMs=30000] - Hold invoices: how long to wait for the server to see the payment
+ * @param {number} [payOpts.holdRetryMs=250] - Hold invoices: delay between retries
+ * @param {string|Uint8Array} [payOpts.nostrKey] - Nostr secret key to sign every request with (NIP-98)
  * @returns {Promise<Response>}
  */
 async function autoPay(url, fetchOpts = {}, payOpts = {}) {
@@ -23,9 +82,15 @@ async function autoPay(url, fetchOpts = {}, payOpts = {}) {
   const maxSats = payOpts.maxSats || 100;
   const autoRetry = payOpts.autoRetry !== false;
 
-  // Make the initial request
+  // Make the initial request, with a body that can be resent unchanged after paying
   const mergedHeaders = { ...payOpts.headers, ...fetchOpts.headers };
-  const res = await fetch(url, { ...fetchOpts, headers: mergedHeaders });
+  const { body: requestBody, contentType } = await replayableBody(fetchOpts.body);
+  const requestOpts = { ...fetchOpts };
+  if (requestBody !== undefined) requestOpts.body = requestBody;
+  if (contentType && !Object.keys(mergedHeaders).some(name => name.toLowerCase() === 'content-type')) {
+    mergedHeaders['Content-Type'] = contentType;
+  }
+  const res = await fetch(url, { ...requestOpts, headers: await signHeaders(url, requestOpts, mergedHeaders, payOpts) });
 
   // If not 402, return as-is
   if (res.status !== 402) return res;
@@ -54,6 +119,11 @@ async function autoPay(url, fetchOpts = {}, payOpts = {}) {
     throw new Error(`lightning-toll/client: Price ${amountSats} sats exceeds budget of ${maxSats} sats`);
   }
 
+  // Hold invoices are paid for what the request ends up costing, up to amountSats
+  if (body.postpaid === 'hold') {
+    return payHold(url, requestOpts, mergedHeaders, body, wallet, payOpts);
+  }
+
   // Pay the invoice
   const payResult = await wallet.payInvoice(body.invoice);
   if (!payResult || !payResult.preimage) {
@@ -67,7 +137,7 @@ async function autoPay(url, fetchOpts = {}, payOpts = {}) {
     Authorization: authHeader
   };
 
-  const retryRes = await fetch(url, { ...fetchOpts, headers: retryHeaders });
+  const retryRes = await fetch(url, { ...requestOpts, headers: await signHeaders(url, requestOpts, retryHeaders, payOpts) });
   return retryRes;
 }
 
@@ -2,6 +2,7 @@
 
 const { createWallet } = require('lightning-agent');
 const { autoPay } = require('./fetch');
+const { attenuate } = require('../macaroon');
 
 /**
  * TollClient — automated L402 payment client.
@@ -21,6 +22,7 @@ class TollClient {
    * @param {number} [opts.maxSats=100] - Budget cap per request
    * @param {boolean} [opts.autoRetry=true] - Auto-pay and retry on 402
    * @param {object} [opts.headers] - Default headers for all requests
+   * @param {string|Uint8Array} [opts.nostrKey] - Nostr secret key (hex or bytes) to sign requests with (NIP-98)
    */
   constructor(opts = {}) {
     if (!opts.wallet) {
@@ -36,6 +38,7 @@ class TollClient {
     this.maxSats = opts.maxSats || 100;
     this.autoRetry = opts.autoRetry !== false;
     this.defaultHeaders = opts.headers || {};
+    this.nostrKey = opts.nostrKey || null;
 
     // Track spending
     this.totalSpent = 0;
@@ -57,7 +60,8 @@ class TollClient {
       wallet: this.wallet,
       maxSats: opts.maxSats || this.maxSats,
       autoRetry: opts.autoRetry !== undefined ? opts.autoRetry : this.autoRetry,
-      headers: { ...this.defaultHeaders, ...opts.headers }
+      headers: { ...this.defaultHeaders, ...opts.headers },
+      nostrKey: this.nostrKey
     };
 
     // Remove our custom props from fetch opts
@@ -75,6 +79,21 @@ class TollClient {
     return res;
   }
 
+  /**
+   * Attenuate a macaroon with extra caveats, without the server secret.
+   * Use it to hand a narrower, shorter-lived token to a sub-agent or browser code.
+   *
+   * @example
+   * const narrow = await client.attenuate(macaroon, { expires_at: Math.floor(Date.now() / 1000) + 60, method: 'GET' });
+   *
+   * @param {string} macaroon - Encoded macaroon
+   * @param {string[]|object} caveats - Caveat strings, or an object of key → value
+   * @returns {Promise<string>} Encoded attenuated macaroon
+   */
+  attenuate(macaroon, caveats) {
+    return attenuate(macaroon, caveats);
+  }
+
   /**
    * Get spending stats.
    */
@@ -100,7 +119,7 @@ class TollClient {
  * Simple one-shot toll fetch.
  *
  * Supports two calling styles:
- *   tollFetch(url, { wallet, maxSats, method, body, headers })  — single opts
+ *   tollFetch(url, { wallet, maxSats, nostrKey, method, body, headers })  — single opts
  *   tollFetch(url, fetchOpts, { wallet, maxSats })               — separate fetch + pay opts
  *
  * @param {string} url - URL to fetch
@@ -139,7 +158,8 @@ async function tollFetch(url, optsOrFetchOpts = {}, payOpts) {
     wallet,
     maxSats: opts.maxSats || 50,
     autoRetry: true,
-    headers: opts.headers || {}
+    headers: opts.headers || {},
+    nostrKey: opts.nostrKey
   };
 
   return autoPay(url, fetchOpts, paymentOpts);
@@ -147,5 +167,6 @@ async function tollFetch(url, optsOrFetchOpts = {}, payOpts) {
 
 module.exports = {
   TollClient,
-  tollFetch
+  tollFetch,
+  attenuate
 };
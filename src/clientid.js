@@ -0,0 +1,235 @@
+'use strict';
+
+/**
+ * Client identification: which address a request really came from, and how
+ * addresses are grouped into one client.
+ *
+ * X-Forwarded-For is only read when `trustProxy` says who may set it:
+ *
+ *   false (default)     Ignore it; the client is the request's remote address
+ *   true                Trust every hop; the client is the leftmost entry
+ *   <number>            That many proxies in front of the app; the client is that many entries from the right
+ *   <CIDRs>             Skip addresses in these ranges, right to left; the client is the first one outside them
+ *
+ * CIDR lists are an array or a comma-separated string of addresses and ranges
+ * ('10.0.0.0/8', '::1'), or the names 'loopback', 'linklocal' and 'uniquelocal'.
+ *
+ * IPv6 clients usually hold a whole /64 and rotate addresses within it, so
+ * IPv6 addresses are grouped by their /64 prefix (`ipv6Subnet`) into ids like
+ * '2001:db8:1:2::/64'. IPv4-mapped IPv6 addresses are reported as plain IPv4.
+ */
+
+const PRESETS = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10'],
+  uniquelocal: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']
+};
+
+function parseIPv4(str) {
+  const parts = str.split('.');
+  if (parts.length !== 4) return null;
+  const bytes = parts.map(part => (/^\d{1,3}$/.test(part) ? Number(part) : NaN));
+  return bytes.every(byte => byte <= 255) ? bytes : null;
+}
+
+function parseIPv6(str) {
+  const halves = str.split('::');
+  if (halves.length > 2) return null;
+
+  const groups = halves.map(half => {
+    if (!half) return [];
+    const parts = half.split(':');
+    const out = [];
+    for (let i = 0; i < parts.length; i++) {
+      // An embedded IPv4 address may end the address (::ffff:192.0.2.1)
+      if (i === parts.length - 1 && parts[i].includes('.')) {
+        const v4 = parseIPv4(parts[i]);
+        if (!v4) return null;
+        out.push((v4[0] << 8) | v4[1], (v4[2] << 8) | v4[3]);
+      } else if (/^[0-9a-f]{1,4}$/i.test(parts[i])) {
+        out.push(parseInt(parts[i], 16));
+      } else {
+        return null;
+      }
+    }
+    return out;
+  });
+  if (groups.includes(null)) return null;
+
+  let words;
+  if (halves.length === 2) {
+    const missing = 8 - groups[0].length - groups[1].length;
+    if (missing < 1) return null;
+    words = [...groups[0], ...new Array(missing).fill(0), ...groups[1]];
+  } else {
+    words = groups[0];
+  }
+  if (words.length !== 8) return null;
+  return words.flatMap(word => [word >> 8, word & 0xff]);
+}
+
+/**
+ * Parse an IP address as found in a socket or X-Forwarded-For: brackets, ports
+ * and IPv6 zone ids are dropped, IPv4-mapped IPv6 becomes IPv4.
+ * @param {string} input
+ * @returns {number[]|null} 4 or 16 bytes
+ */
+function parseIp(input) {
+  if (typeof input !== 'string') return null;
+  let str = input.trim();
+  const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(str);
+  if (bracketed) str = bracketed[1];
+  else if (/^[\d.]+:\d+$/.test(str)) str = str.split(':')[0];
+  str = str.split('%')[0];
+
+  if (!str.includes(':')) return parseIPv4(str);
+  const bytes = parseIPv6(str);
+  if (bytes && bytes.slice(0, 10).every(byte => byte === 0) && bytes[10] === 0xff && bytes[11] === 0xff) {
+    return bytes.slice(12);
+  }
+  return bytes;
+}
+
+/**
+ * Format parsed bytes as a canonical address (RFC 5952 for IPv6).
+ * @param {number[]} bytes
+ * @returns {string}
+ */
+function formatIp(bytes) {
+  if (bytes.length === 4) return bytes.join('.');
+
+  const words = [];
+  for (let i = 0; i < 16; i += 2) words.push((bytes[i] << 8) | bytes[i + 1]);
+
+  // Compress the longest run of two or more zero groups
+  let best = { start: -1, length: 1 };
+  for (let i = 0; i < 8;) {
+    let j = i;
+    while (j < 8 && words[j] === 0) j++;
+    if (j - i > best.length) best = { start: i, length: j - i };
+    i = j > i ? j : i + 1;
+  }
+  const hex = words.map(word => word.toString(16));
+  if (best.start === -1) return hex.join(':');
+  return `${hex.slice(0, best.start).join(':')}::${hex.slice(best.start + best.length).join(':')}`;
+}
+
+function maskBytes(bytes, bits) {
+  return bytes.map((byte, i) => {
+    const keep = Math.max(0, Math.min(8, bits - i * 8));
+    return byte & ((0xff << (8 - keep)) & 0xff);
+  });
+}
+
+/**
+ * Parse an address or range: '10.0.0.0/8', '2001:db8::/32', '192.0.2.1'.
+ * @param {string} input
+ * @returns {{ bytes: number[], bits: number }|null}
+ */
+function parseCidr(input) {
+  if (typeof input !== 'string') return null;
+  const [address, prefix, extra] = input.trim().split('/');
+  const bytes = parseIp(address);
+  if (!bytes || extra !== undefined) return null;
+  const max = bytes.length * 8;
+  // A prefix written for an IPv4-mapped range (::ffff:10.0.0.0/104) counts from the IPv4 part
+  let bits = prefix === undefined ? max : /^\d+$/.test(prefix) ? Number(prefix) : NaN;
+  if (bytes.length === 4 && address.includes(':') && bits > 32) bits -= 96;
+  if (!(bits >= 0 && bits <= max)) return null;
+  return { bytes, bits };
+}
+
+/**
+ * Whether two addresses or ranges overlap, e.g. an `ip` caveat value and the
+ * client's (possibly grouped) address.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function ipMatches(a, b) {
+  if (a === b) return true;
+  const x = parseCidr(a);
+  const y = parseCidr(b);
+  if (!x || !y || x.bytes.length !== y.bytes.length) return false;
+  const bits = Math.min(x.bits, y.bits);
+  return formatIp(maskBytes(x.bytes, bits)) === formatIp(maskBytes(y.bytes, bits));
+}
+
+/**
+ * Compile a trustProxy setting into a function picking the client's entry
+ * from the address chain (X-Forwarded-For entries, then the remote address).
+ */
+function compileTrust(trustProxy) {
+  if (trustProxy === undefined || trustProxy === false || trustProxy === 0) return chain => chain[chain.length - 1];
+  if (trustProxy === true) return chain => chain[0];
+  if (Number.isInteger(trustProxy) && trustProxy > 0) {
+    return chain => chain[Math.max(0, chain.length - 1 - trustProxy)];
+  }
+
+  const entries = typeof trustProxy === 'string' ? trustProxy.split(',') : trustProxy;
+  if (!Array.isArray(entries)) {
+    throw new Error('lightning-toll: trustProxy must be a boolean, a hop count or a list of trusted addresses');
+  }
+  const ranges = entries.flatMap(entry => PRESETS[String(entry).trim()] || [entry]).map(entry => {
+    const range = parseCidr(entry);
+    if (!range) throw new Error(`lightning-toll: invalid trustProxy address "${entry}"`);
+    return range;
+  });
+  const trusted = address => {
+    const bytes = parseIp(address);
+    return !!bytes && ranges.some(range =>
+      range.bytes.length === bytes.length &&
+      formatIp(maskBytes(range.bytes, range.bits)) === formatIp(maskBytes(bytes, range.bits)));
+  };
+
+  return chain => {
+    let i = chain.length - 1;
+    while (i > 0 && trusted(chain[i])) i--;
+    return chain[i];
+  };
+}
+
+/**
+ * Create the function resolving a request's client address.
+ * @param {object} [opts]
+ * @param {boolean|number|string|string[]} [opts.trustProxy=false] - Who may set X-Forwarded-For (see above)
+ * @param {number|false} [opts.ipv6Subnet=64] - Prefix length IPv6 clients are grouped by (false or 128: no grouping)
+ * @returns {function(TollRequest): string} Client address, IPv6 /64 group or 'unknown'
+ */
+function createClientIp({ trustProxy = false, ipv6Subnet = 64 } = {}) {
+  const pick = compileTrust(trustProxy);
+  const subnet = ipv6Subnet === false ? 128 : ipv6Subnet;
+  if (!(Number.isInteger(subnet) && subnet > 0 && subnet <= 128)) {
+    throw new Error('lightning-toll: ipv6Subnet must be a prefix length from 1 to 128, or false');
+  }
+
+  return function clientIp(req) {
+    const forwarded = trustProxy ? req.headers['x-forwarded-for'] : undefined;
+    const chain = forwarded
+      ? String(forwarded).split(',').map(entry => entry.trim()).filter(Boolean)
+      : [];
+    // Without a remote address nothing can be verified; the hop counts still line up
+    chain.push(req.ip);
+    const address = pick(chain);
+    if (!address) return 'unknown';
+
+    // Forwarded entries are whatever the client sent the first proxy: anything but an
+    // address ('0.0.0.0/0', 'x') would be a fresh client id, or an ip caveat matching everyone
+    const bytes = parseIp(address);
+    if (!bytes) return 'unknown';
+    if (bytes.length === 4 || subnet === 128) return formatIp(bytes);
+    return `${formatIp(maskBytes(bytes, subnet))}/${subnet}`;
+  };
+}
+
+/**
+ * Get the client address of a request (see createClientIp for the options).
+ * @param {TollRequest} req
+ * @param {object} [opts] - { trustProxy, ipv6Subnet }
+ * @returns {string}
+ */
+function getClientId(req, opts) {
+  return createClientIp(opts)(req);
+}
+
+module.exports = { createClientIp, getClientId, parseIp, parseCidr, formatIp, ipMatches };
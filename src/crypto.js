@@ -0,0 +1,230 @@
+'use strict';
+
+/**
+ * Portable crypto and byte helpers for macaroons.
+ *
+ * Uses node:crypto when it is available (Node, Bun, Deno, Workers with nodejs_compat)
+ * and falls back to WebCrypto (crypto.subtle, crypto.getRandomValues) on runtimes
+ * without it (edge runtimes). WebCrypto only hashes and encrypts asynchronously, so
+ * sha256, hmacSha256 and the AES-GCM functions return promises either way.
+ * All functions take and return Uint8Array (a Node Buffer is one).
+ */
+
+let nodeCrypto = null;
+try {
+  nodeCrypto = require('crypto');
+} catch {
+  nodeCrypto = null; // edge runtime — use the fallbacks below
+}
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * @param {string|Uint8Array} value
+ * @returns {Uint8Array} UTF-8 bytes of a string, or the bytes unchanged
+ */
+function toBytes(value) {
+  return typeof value === 'string' ? encoder.encode(value) : value;
+}
+
+function utf8Decode(bytes) {
+  return decoder.decode(bytes);
+}
+
+function concat(arrays) {
+  const out = new Uint8Array(arrays.reduce((n, a) => n + a.length, 0));
+  let offset = 0;
+  for (const a of arrays) {
+    out.set(a, offset);
+    offset += a.length;
+  }
+  return out;
+}
+
+function toHex(bytes) {
+  let hex = '';
+  for (const b of bytes) hex += b.toString(16).padStart(2, '0');
+  return hex;
+}
+
+function fromHex(hex) {
+  if (typeof hex !== 'string' || hex.length % 2 !== 0 || /[^0-9a-fA-F]/.test(hex)) {
+    throw new Error('Invalid hex string');
+  }
+  const out = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < out.length; i++) out[i] = parseInt(hex.substr(i * 2, 2), 16);
+  return out;
+}
+
+const B64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const B64_LOOKUP = new Map([...B64].map((c, i) => [c, i]));
+
+/**
+ * Standard base64 with padding.
+ */
+function toBase64(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const n = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    out += B64[(n >> 18) & 63] + B64[(n >> 12) & 63];
+    out += i + 1 < bytes.length ? B64[(n >> 6) & 63] : '=';
+    out += i + 2 < bytes.length ? B64[n & 63] : '=';
+  }
+  return out;
+}
+
+/**
+ * URL-safe base64 without padding.
+ */
+function toBase64Url(bytes) {
+  return toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode standard or URL-safe base64, padded or not. Invalid characters are
+ * skipped, like Buffer.from(str, 'base64').
+ */
+function fromBase64(str) {
+  const clean = String(str).replace(/-/g, '+').replace(/_/g, '/').replace(/[^A-Za-z0-9+/]/g, '');
+  const out = new Uint8Array(Math.floor((clean.length * 3) / 4));
+  let bits = 0;
+  let value = 0;
+  let index = 0;
+  for (const c of clean) {
+    value = (value << 6) | B64_LOOKUP.get(c);
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      out[index++] = (value >> bits) & 0xff;
+    }
+  }
+  return out.subarray(0, index);
+}
+
+// --- WebCrypto, for runtimes without node:crypto ---
+
+const subtle = globalThis.crypto && globalThis.crypto.subtle ? globalThis.crypto.subtle : null;
+
+function requireSubtle(what) {
+  if (!subtle) throw new Error(`lightning-toll: ${what} needs node:crypto or WebCrypto (crypto.subtle)`);
+  return subtle;
+}
+
+async function webSha256(data) {
+  return new Uint8Array(await requireSubtle('SHA-256').digest('SHA-256', data));
+}
+
+async function webHmacSha256(key, data) {
+  const webCrypto = requireSubtle('HMAC-SHA256');
+  // WebCrypto refuses empty HMAC keys; HMAC pads the key with zeros, so this is the same key
+  const keyBytes = key.length > 0 ? key : new Uint8Array(64);
+  const hmacKey = await webCrypto.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await webCrypto.sign('HMAC', hmacKey, data));
+}
+
+async function webAesGcmEncrypt(key, plaintext) {
+  const webCrypto = requireSubtle('AES-256-GCM');
+  const nonce = randomBytes(12);
+  const aesKey = await webCrypto.importKey('raw', key, 'AES-GCM', false, ['encrypt']);
+  // WebCrypto appends the 16-byte tag to the ciphertext, as this format does
+  return concat([nonce, new Uint8Array(await webCrypto.encrypt({ name: 'AES-GCM', iv: nonce }, aesKey, plaintext))]);
+}
+
+async function webAesGcmDecrypt(key, sealed) {
+  const webCrypto = requireSubtle('AES-256-GCM');
+  const aesKey = await webCrypto.importKey('raw', key, 'AES-GCM', false, ['decrypt']);
+  return new Uint8Array(await webCrypto.decrypt({ name: 'AES-GCM', iv: sealed.subarray(0, 12) }, aesKey, sealed.subarray(12)));
+}
+
+// --- Public primitives ---
+
+/**
+ * @param {string|Uint8Array} data
+ * @returns {Promise<Uint8Array>} SHA-256 digest
+ */
+async function sha256(data) {
+  if (nodeCrypto) return nodeCrypto.createHash('sha256').update(toBytes(data)).digest();
+  return webSha256(toBytes(data));
+}
+
+/**
+ * @param {string|Uint8Array} key
+ * @param {string|Uint8Array} data
+ * @returns {Promise<Uint8Array>} HMAC-SHA256
+ */
+async function hmacSha256(key, data) {
+  if (nodeCrypto) return nodeCrypto.createHmac('sha256', toBytes(key)).update(toBytes(data)).digest();
+  return webHmacSha256(toBytes(key), toBytes(data));
+}
+
+/**
+ * @param {number} size
+ * @returns {Uint8Array} Cryptographically random bytes
+ */
+function randomBytes(size) {
+  if (nodeCrypto) return nodeCrypto.randomBytes(size);
+  if (globalThis.crypto && typeof globalThis.crypto.getRandomValues === 'function') {
+    return globalThis.crypto.getRandomValues(new Uint8Array(size));
+  }
+  throw new Error('lightning-toll: no secure random source (need node:crypto or WebCrypto)');
+}
+
+/**
+ * Constant-time comparison of two byte arrays.
+ * @returns {boolean}
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+/**
+ * AES-256-GCM, for third-party caveat verification ids.
+ * @param {Uint8Array} key - 32 bytes
+ * @param {Uint8Array} plaintext
+ * @returns {Promise<Uint8Array>} nonce (12) || ciphertext || tag (16)
+ */
+async function aesGcmEncrypt(key, plaintext) {
+  if (!nodeCrypto) return webAesGcmEncrypt(key, plaintext);
+  const nonce = nodeCrypto.randomBytes(12);
+  const cipher = nodeCrypto.createCipheriv('aes-256-gcm', key, nonce);
+  const ciphertext = concat([cipher.update(plaintext), cipher.final()]);
+  return concat([nonce, ciphertext, cipher.getAuthTag()]);
+}
+
+/**
+ * @param {Uint8Array} key - 32 bytes
+ * @param {Uint8Array} sealed - From aesGcmEncrypt
+ * @returns {Promise<Uint8Array>} plaintext (rejects if authentication fails)
+ */
+async function aesGcmDecrypt(key, sealed) {
+  if (!nodeCrypto) return webAesGcmDecrypt(key, sealed);
+  const decipher = nodeCrypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, 12));
+  decipher.setAuthTag(sealed.subarray(sealed.length - 16));
+  return concat([decipher.update(sealed.subarray(12, sealed.length - 16)), decipher.final()]);
+}
+
+module.exports = {
+  toBytes,
+  utf8Decode,
+  concat,
+  toHex,
+  fromHex,
+  toBase64,
+  toBase64Url,
+  fromBase64,
+  sha256,
+  hmacSha256,
+  randomBytes,
+  timingSafeEqual,
+  aesGcmEncrypt,
+  aesGcmDecrypt,
+  // Exposed so the WebCrypto fallback can be tested under Node
+  webSha256,
+  webHmacSha256,
+  webAesGcmEncrypt,
+  webAesGcmDecrypt
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * A small event emitter with the subset of Node's EventEmitter API the toll and
+ * its watcher use, so neither needs node:events on edge runtimes.
+ *
+ * Like Node's: listeners run synchronously in the order they were added, a
+ * listener added with once() is removed before it runs, 'newListener' is
+ * emitted before a listener is added, and emitting 'error' with no 'error'
+ * listener throws the error.
+ */
+class Emitter {
+  constructor() {
+    this._listeners = new Map(); // event → [{ listener, once }]
+  }
+
+  /**
+   * @param {string} event
+   * @param {Function} listener
+   * @returns {this}
+   */
+  on(event, listener) {
+    return this._add(event, listener, false);
+  }
+
+  /**
+   * @param {string} event
+   * @param {Function} listener - Called on the next emit only
+   * @returns {this}
+   */
+  once(event, listener) {
+    return this._add(event, listener, true);
+  }
+
+  /**
+   * Remove the most recently added registration of a listener.
+   * @param {string} event
+   * @param {Function} listener
+   * @returns {this}
+   */
+  off(event, listener) {
+    const entries = this._entries(event);
+    const index = entries.map(entry => entry.listener).lastIndexOf(listener);
+    if (index !== -1) {
+      entries.splice(index, 1);
+      if (entries.length === 0) this._listeners.delete(event);
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} [event] - Omit to remove every listener
+   * @returns {this}
+   */
+  removeAllListeners(event) {
+    if (event === undefined) this._listeners.clear();
+    else this._listeners.delete(event);
+    return this;
+  }
+
+  /**
+   * @param {string} event
+   * @param {...*} args
+   * @returns {boolean} Whether anything was listening
+   */
+  emit(event, ...args) {
+    const entries = this._entries(event);
+    if (entries.length === 0) {
+      if (event === 'error') throw args[0] instanceof Error ? args[0] : new Error(`Unhandled error: ${args[0]}`);
+      return false;
+    }
+    for (const entry of [...entries]) {
+      if (entry.once) this.off(event, entry.listener);
+      entry.listener.apply(this, args);
+    }
+    return true;
+  }
+
+  /**
+   * @param {string} event
+   * @returns {number}
+   */
+  listenerCount(event) {
+    return this._entries(event).length;
+  }
+
+  /**
+   * @param {string} event
+   * @returns {Function[]}
+   */
+  listeners(event) {
+    return this._entries(event).map(entry => entry.listener);
+  }
+
+  _add(event, listener, once) {
+    if (typeof listener !== 'function') throw new TypeError('The "listener" argument must be a function');
+    if (this._listeners.has('newListener')) this.emit('newListener', event, listener);
+    if (!this._listeners.has(event)) this._listeners.set(event, []);
+    this._listeners.get(event).push({ listener, once });
+    return this;
+  }
+
+  _entries(event) {
+    return (this._listeners && this._listeners.get(event)) || [];
+  }
+}
+
+Emitter.prototype.addListener = Emitter.prototype.on;
+Emitter.prototype.removeListener = Emitter.prototype.off;
+
+module.exports = { Emitter };
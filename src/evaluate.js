@@ -0,0 +1,1005 @@
+'use strict';
+
+const { sha256, randomBytes, toHex, fromHex } = require('./crypto');
+const {
+  createMacaroon,
+  decodeMacaroon,
+  verifyMacaroon,
+  verifyPreimage,
+  getCaveatValues,
+  addThirdPartyCaveat
+} = require('./macaroon');
+const { Keyring } = require('./keyring');
+const { formatChallenge, formatChallengeBody, parseAuthorization } = require('./l402');
+const { parseFiatPrice, fiatToSats, parseFiatCaveat } = require('./rates');
+const { hashBody, hashRequestBody } = require('./body');
+const { createFreeTier, freeTierHeaders } = require('./freetier');
+const { createClientIp, getClientId } = require('./clientid');
+const { getNip98Header, verifyNip98 } = require('./nostr');
+const { normalizePath } = require('./match');
+
+/**
+ * Framework-neutral toll logic: parse credentials, verify, free tier, mint challenge.
+ * Adapters (Express, Fastify, Koa, Hono, node:http) translate their request into a
+ * TollRequest and apply the returned TollResult.
+ *
+ * @typedef {object} TollRequest
+ * @property {string} method - HTTP method
+ * @property {string} path - Request path, without the query string
+ * @property {string} [search] - Query string with its '?', or '' (for NIP-98 URL checks)
+ * @property {object} headers - Request headers, lowercase names
+ * @property {string} [ip] - Remote address
+ * @property {string} [baseUrl] - Mount prefix, prepended to the path for route and glob caveats
+ * @property {string} [route] - Matched route pattern, for endpointBinding: 'route'
+ * @property {*} [body] - Parsed or raw request body, for bindBody
+ * @property {function(): Promise<ArrayBuffer|Uint8Array>} [readBody] - Reads the raw body when `body` isn't available (Fetch API, Hono, proxy)
+ * @property {*} [raw] - The framework's own request, handed to price/description/caveats callbacks and caveat verifiers
+ * @property {string} [pubkey] - Nostr pubkey of a verified NIP-98 signature; set by the evaluator, never by adapters
+ *
+ * @typedef {object} TollResult
+ * @property {boolean} allowed - Whether the request may proceed
+ * @property {object} headers - Response headers to set either way
+ * @property {object} [toll] - Payment info for the handler (req.toll), when allowed
+ * @property {number} [status] - Response status, when not allowed (402, 401, 429, 500, 503)
+ * @property {object} [body] - JSON response body, when not allowed
+ * @property {function(number): Promise<void>} [finish] - Postpaid requests: call with the response status when
+ *   the response ends; settles the full reserved amount (nothing on a 5xx) unless the handler called req.toll.settle()
+ */
+
+// Caveats of per-request credentials, which a pass never carries
+const METERED_CAVEATS = ['uses', 'balance', 'amount', 'topup', 'postpaid'];
+
+/**
+ * Parse a time window string like '1h', '30m', '1d' to milliseconds.
+ */
+function parseWindow(window) {
+  if (typeof window === 'number') return window;
+  if (!window || typeof window !== 'string') return 3600000; // default 1h
+
+  const match = window.match(/^(\d+)(ms|s|m|h|d)$/);
+  if (!match) return 3600000;
+
+  const num = parseInt(match[1], 10);
+  const unit = match[2];
+  const multipliers = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  return num * (multipliers[unit] || 3600000);
+}
+
+/**
+ * Create the evaluate function for a route.
+ * @param {object} config - From createToll
+ * @param {object} routeOpts - Per-route options
+ * @returns {function(TollRequest): Promise<TollResult>}
+ */
+function createEvaluator(config, routeOpts = {}) {
+  const {
+    wallet,
+    secret,
+    stats,
+    store,
+    revocations,
+    watcher,
+    emit,
+    defaultSats,
+    invoiceExpiry,
+    macaroonExpiry,
+    bindEndpoint,
+    bindMethod,
+    bindIp,
+    bindPubkey,
+    nostrAuth,
+    macaroonFormat,
+    macaroonLocation,
+    reuseInvoices,
+    maxPendingPerClient,
+    maxPendingInvoices,
+    caveatVerifiers,
+    strictCaveats,
+    rates
+  } = config;
+
+  // Client address (trustProxy, IPv6 grouping) and the id clients are counted by
+  const clientIp = config.clientIp || createClientIp();
+  const customClientId = routeOpts.clientId || config.clientId;
+  if (customClientId !== undefined && typeof customClientId !== 'function') {
+    throw new Error('lightning-toll: clientId must be a function (req) => string');
+  }
+
+  // Bind credentials to the request body they were bought for
+  const bindBody = routeOpts.bindBody || false;
+
+  // What to do when a credential was bought below the current price
+  const underpaid = routeOpts.underpaid || config.underpaid || 'honor';
+  if (!['honor', 'reject', 'topup'].includes(underpaid)) {
+    throw new Error("lightning-toll: underpaid must be 'honor', 'reject' or 'topup'");
+  }
+
+  const minSats = routeOpts.minSats || 0;
+  const maxSats = routeOpts.maxSats || Infinity;
+  if (minSats > maxSats) throw new Error('lightning-toll: minSats must not exceed maxSats');
+  if (routeOpts.price && typeof routeOpts.price === 'object') {
+    if (!parseFiatPrice(routeOpts.price)) throw new Error('lightning-toll: fiat price must look like { usd: 0.01 }');
+    if (!rates) throw new Error('lightning-toll: fiat prices need a rate provider (createToll rates option)');
+  }
+
+  /**
+   * Resolve the price for this request: sats, or a fiat amount ({ usd: 0.01 })
+   * converted at the current rate. Presented credentials that recorded a rate
+   * at purchase (a `fiat` caveat) keep being charged at that rate; attenuation
+   * can only append caveats, so the lowest recorded rate — the highest price — wins.
+   * @returns {Promise<{ sats: number, fiat?: object }>}
+   */
+  async function resolvePrice(req, credential) {
+    let price = routeOpts.price;
+    if (typeof price === 'function') price = await price(req.raw || req);
+    if (price === undefined || price === null) {
+      price = typeof routeOpts.sats === 'number' ? routeOpts.sats : defaultSats;
+    }
+    if (typeof price === 'number') return { sats: clamp(price) };
+
+    const fiat = parseFiatPrice(price);
+    if (!fiat) throw new Error('price must be a number of sats or a fiat amount like { usd: 0.01 }');
+
+    const recorded = credential
+      ? getCaveatValues(credential, 'fiat').map(parseFiatCaveat).filter(r => r && r.currency === fiat.currency)
+      : [];
+    let quote;
+    if (recorded.length > 0) {
+      const locked = recorded.reduce((low, r) => (r.rate < low.rate ? r : low));
+      quote = { rate: locked.rate, timestamp: locked.rateTimestamp };
+    } else {
+      if (!rates) throw new Error('fiat prices need a rate provider (createToll rates option)');
+      quote = await rates.get(fiat.currency);
+    }
+
+    return {
+      sats: clamp(fiatToSats(fiat.amount, quote.rate)),
+      fiat: { ...fiat, rate: quote.rate, rateTimestamp: quote.timestamp }
+    };
+  }
+
+  function clamp(sats) {
+    return Math.min(Math.max(sats, minSats), maxSats);
+  }
+
+  // Metering: one payment buys N uses, or a sat balance debited per request
+  const maxUses = routeOpts.uses || 0;
+  const prepaidBalance = routeOpts.balance || 0;
+  if (maxUses && prepaidBalance) {
+    throw new Error('lightning-toll: route options uses and balance are mutually exclusive');
+  }
+  if (maxUses && !(Number.isInteger(maxUses) && maxUses > 0)) {
+    throw new Error('lightning-toll: uses must be a positive integer');
+  }
+  if (prepaidBalance && !(Number.isInteger(prepaidBalance) && prepaidBalance > 0)) {
+    throw new Error('lightning-toll: balance must be a positive integer (sats)');
+  }
+
+  // Post-pricing: the price is the most a request can cost, and the handler
+  // reports what it actually cost with req.toll.settle(sats)
+  const postpaid = routeOpts.postpaid || null;
+  if (postpaid && !['hold', 'prepay'].includes(postpaid)) {
+    throw new Error("lightning-toll: postpaid must be 'hold' or 'prepay'");
+  }
+  if (postpaid && maxUses) {
+    throw new Error('lightning-toll: postpaid routes are charged per request and take no uses option');
+  }
+  if (postpaid === 'hold') {
+    if (prepaidBalance) throw new Error("lightning-toll: postpaid: 'hold' takes no balance option");
+    const missing = ['createHoldInvoice', 'settleHoldInvoice', 'cancelHoldInvoice', 'lookupInvoice']
+      .find(method => typeof wallet[method] !== 'function');
+    if (missing) throw new Error(`lightning-toll: postpaid: 'hold' needs a wallet with ${missing}()`);
+    // Payments held for credentials that are never presented are only released
+    // when the watcher sees their invoice expire
+    watcher.start();
+  }
+
+  // Subscription pass this route sells: accepted by every tolled route in its
+  // scope until it expires, instead of being bound to this endpoint
+  let passOpts = null;
+  if (routeOpts.pass) {
+    const { duration, scope } = routeOpts.pass;
+    const globs = [].concat(scope || []);
+    if (globs.length === 0 || !globs.every(glob => typeof glob === 'string' && glob.startsWith('/') && !glob.includes(','))) {
+      throw new Error("lightning-toll: pass.scope must be one or more path globs, e.g. ['/api/*']");
+    }
+    const durationMs = typeof duration === 'number' || /^\d+(ms|s|m|h|d)$/.test(duration) ? parseWindow(duration) : NaN;
+    if (!(durationMs >= 1000)) {
+      throw new Error("lightning-toll: pass.duration must be like '30d' or '12h', or milliseconds");
+    }
+    if (maxUses || prepaidBalance || postpaid || bindBody) {
+      throw new Error('lightning-toll: a pass takes no uses, balance, postpaid or bindBody option');
+    }
+    passOpts = { scope: globs, durationSec: Math.floor(durationMs / 1000) };
+  }
+
+  // Balance a challenge buys: the balance option, or for prepay one maximum price
+  function balanceAmount(price) {
+    return prepaidBalance || (postpaid === 'prepay' ? price.sats : 0);
+  }
+
+  // Invoice amount for a challenge: the balance, or the per-request price times the uses bought
+  function challengeAmount(price) {
+    return balanceAmount(price) || price.sats * (maxUses || 1);
+  }
+
+  // How macaroons are bound to the endpoint: 'exact', 'route', { prefix }, { glob } or a glob list
+  const endpointBinding = routeOpts.endpointBinding || 'exact';
+  const validBinding = endpointBinding === 'exact' || endpointBinding === 'route' ||
+    Array.isArray(endpointBinding) ||
+    (typeof endpointBinding === 'object' && (typeof endpointBinding.prefix === 'string' || endpointBinding.glob));
+  if (!validBinding) {
+    throw new Error("lightning-toll: endpointBinding must be 'exact', 'route', { prefix }, { glob } or an array of globs");
+  }
+  if (typeof endpointBinding.prefix === 'string' && !endpointBinding.prefix.startsWith('/')) {
+    throw new Error("lightning-toll: endpointBinding.prefix must be a path, e.g. { prefix: '/api/users' }");
+  }
+
+  // Endpoint caveats for createMacaroon
+  function resolveEndpointCaveats(req, endpoint) {
+    if (Array.isArray(endpointBinding)) return { endpoints: endpointBinding };
+    if (endpointBinding.glob) return { endpoints: [].concat(endpointBinding.glob) };
+    if (typeof endpointBinding.prefix === 'string') return { endpointPrefix: endpointBinding.prefix };
+    if (endpointBinding === 'route' && typeof req.route === 'string') {
+      return { route: req.route };
+    }
+    return { endpoint };
+  }
+
+  // Custom caveats to attach at mint time: { name: value }
+  function resolveCaveats(req) {
+    if (typeof routeOpts.caveats === 'function') return routeOpts.caveats(req.raw || req) || {};
+    return routeOpts.caveats || {};
+  }
+
+  // Third-party caveats to attach at mint time: [{ location, sharedKey, condition }]
+  function resolveThirdPartyCaveats(req) {
+    if (typeof routeOpts.thirdPartyCaveats === 'function') return routeOpts.thirdPartyCaveats(req.raw || req) || [];
+    return routeOpts.thirdPartyCaveats || [];
+  }
+
+  // Resolve description for this request
+  function resolveDescription(req) {
+    if (typeof routeOpts.description === 'function') return routeOpts.description(req.raw || req);
+    if (typeof routeOpts.description === 'string') return routeOpts.description;
+    return `API access: ${req.method} ${req.path}`;
+  }
+
+  // Free tier, counted in the store: shared by instances, and by routes with the same freeQuota
+  const freeRequests = routeOpts.freeRequests || 0;
+  const freeWindowMs = parseWindow(routeOpts.freeWindow || '1h');
+  const freeTier = freeRequests > 0
+    ? createFreeTier(store, {
+      limit: freeRequests,
+      windowMs: freeWindowMs,
+      algorithm: routeOpts.freeAlgorithm || config.freeAlgorithm || 'fixed'
+    })
+    : null;
+
+  /**
+   * The quota a request draws on: the route's freeQuota, else the route itself —
+   * method and the pattern the router matched, or the normalized path where no
+   * pattern is known. Names come from the route, not the process, so a restart,
+   * a reload or another instance on the same store counts into the same quota.
+   */
+  function freeQuotaFor(req) {
+    if (routeOpts.freeQuota) return routeOpts.freeQuota;
+    const method = String(req.method).toUpperCase();
+    const path = (req.baseUrl || '') + req.path;
+    const pattern = typeof req.route === 'string' ? req.route : (normalizePath(path) || path).toLowerCase();
+    return `${method === 'HEAD' ? 'GET' : method} ${pattern}`;
+  }
+
+  /**
+   * The id free tiers, invoice caps, stats and events count a client by: the
+   * clientId callback's answer (API key, pubkey, session), else its NIP-98
+   * pubkey when nostrAuth.clientId is set, else its address.
+   * @returns {Promise<string>}
+   */
+  async function resolveClientId(req) {
+    const id = customClientId ? await customClientId(req.raw || req) : null;
+    if (id) return String(id);
+    if (req.pubkey && nostrAuth.clientId) return req.pubkey;
+    return clientIp(req);
+  }
+
+  /**
+   * Verify a NIP-98 signature, if the request carries one: the event must name
+   * this request, be fresh, match the body when it has a payload tag, and not
+   * have been seen before.
+   * @returns {Promise<{ pubkey: string } | { error: string } | null>} null when unsigned or nostrAuth is off
+   */
+  async function authenticateSigner(req) {
+    const encoded = nostrAuth ? getNip98Header(req.headers) : null;
+    if (!encoded) return null;
+
+    const result = await verifyNip98(encoded, {
+      method: req.method,
+      path: (req.baseUrl || '') + req.path + (req.search && req.search !== '?' ? req.search : ''),
+      hosts: nostrAuth.hosts,
+      maxAge: nostrAuth.maxAge
+    });
+    if (result.error) return result;
+
+    // Only raw bodies can be checked: parsed ones (express.json()) no longer have the
+    // bytes that were signed, so a payload tag on one is refused rather than skipped
+    if (result.payload !== undefined) {
+      const raw = req.body !== undefined ? req.body : typeof req.readBody === 'function' ? await req.readBody() : undefined;
+      const hashable = typeof raw === 'string' || raw instanceof Uint8Array || raw instanceof ArrayBuffer;
+      if (!hashable) return { error: 'payload tag needs the raw request body' };
+      if ((await hashBody(raw)) !== result.payload) return { error: 'payload mismatch' };
+    }
+
+    // Keyed by signature: re-signing the same event within a second gives the same id but a fresh signature
+    const first = (await store.increment(`nip98:${result.event.sig}`, 1, nostrAuth.maxAge * 2000)) === 1;
+    if (!first) return { error: 'event already used' };
+    return { pubkey: result.event.pubkey };
+  }
+
+  /**
+   * Take a free request from the client's quota.
+   * @returns {Promise<{ allowed: boolean, remaining: number, headers: object } | null>} null without a free tier
+   */
+  async function checkFreeTier(req, clientId) {
+    if (!freeTier) return null;
+    const result = await freeTier.take(freeQuotaFor(req), clientId);
+    return { allowed: result.allowed, remaining: result.remaining, headers: freeTierHeaders(result, freeWindowMs) };
+  }
+
+  // Cached challenges stop being reused a little before their invoice expires
+  const pendingTtlMs = invoiceExpiry * 1000;
+  const reuseTtlMs = pendingTtlMs - Math.min(60000, pendingTtlMs / 5);
+
+  /**
+   * Count a new pending invoice against the client's and the global cap.
+   * Counters live in windows as long as an invoice, weighted like a sliding
+   * free tier, so invoices nobody redeems drop out on their own; the watcher
+   * takes one off as soon as it is paid or seen to expire.
+   * @returns {Promise<string[]|null>} The counters to release later, or null when over a cap
+   */
+  async function reservePending(clientKey) {
+    const elapsed = Date.now() / pendingTtlMs;
+    const index = Math.floor(elapsed);
+    const overlap = 1 - (elapsed - index);
+    const caps = [[`pending:${clientKey}`, maxPendingPerClient], ['pending-total', maxPendingInvoices]];
+    const counters = [];
+    for (const [name, cap] of caps) {
+      if (!cap) continue;
+      const previous = Math.max(Number(await store.get(`${name}:${index - 1}`)) || 0, 0) * overlap;
+      const key = `${name}:${index}`;
+      const count = await store.increment(key, 1, pendingTtlMs * 2);
+      counters.push(key);
+      if (previous + count > cap) {
+        await releasePending(counters);
+        return null;
+      }
+    }
+    return counters;
+  }
+
+  async function releasePending(counters) {
+    for (const key of counters) await store.increment(key, -1, pendingTtlMs * 2);
+  }
+
+  /**
+   * Build a 402 challenge result.
+   */
+  function challengeResult(challenge) {
+    return {
+      allowed: false,
+      status: 402,
+      headers: { 'WWW-Authenticate': formatChallenge(challenge.invoice, challenge.macaroon) },
+      body: formatChallengeBody(challenge)
+    };
+  }
+
+  /**
+   * Build an error result.
+   */
+  function errorResult(status, error, headers = {}) {
+    return { allowed: false, status, headers, body: { error } };
+  }
+
+  /**
+   * Result for an unexpected error; a missing exchange rate is temporary.
+   */
+  function failureResult(err) {
+    if (err && err.code === 'RATE_UNAVAILABLE') {
+      return errorResult(503, err.message, { 'Retry-After': '60' });
+    }
+    return errorResult(500, 'Toll booth error: ' + err.message);
+  }
+
+  /**
+   * Emit a lifecycle event with the request's method and latency.
+   */
+  function emitEvent(event, req, startedAt, payload) {
+    emit(event, { ...payload, method: req.method, latency: Date.now() - startedAt });
+  }
+
+  /**
+   * Reject a request, reporting why.
+   */
+  function reject(req, startedAt, status, reason, payload) {
+    emitEvent('rejected', req, startedAt, { ...payload, reason, status });
+    return errorResult(status, reason);
+  }
+
+  /**
+   * Issue a 402 challenge: create an invoice and a macaroon bound to it.
+   * An unexpired unpaid challenge for the same client, endpoint, price and
+   * bindings is reused instead of creating another invoice.
+   * With `topUp` ({ price, sats, paymentHash }), the challenge is for the
+   * difference an underpaid credential owes, and buys one request.
+   */
+  async function issueChallenge(req, clientId, endpoint, startedAt, topUp) {
+    try {
+      const price = topUp ? topUp.price : await resolvePrice(req);
+      const amountSats = topUp ? topUp.sats : challengeAmount(price);
+      const balance = topUp ? 0 : balanceAmount(price);
+      const description = resolveDescription(req);
+
+      // Everything the macaroon is bound to, except the payment itself
+      const macaroonOpts = {
+        format: macaroonFormat,
+        location: macaroonLocation,
+        caveats: resolveCaveats(req)
+      };
+
+      if (passOpts) {
+        // Passes are bound to their scope, not the endpoint and method they were bought at
+        macaroonOpts.scope = passOpts.scope;
+        macaroonOpts.pass = price.sats;
+      } else {
+        if (bindEndpoint !== false) Object.assign(macaroonOpts, resolveEndpointCaveats(req, endpoint));
+        if (bindMethod !== false) macaroonOpts.method = req.method;
+      }
+      if (bindIp) macaroonOpts.ip = clientIp(req);
+      if (bindPubkey && req.pubkey) macaroonOpts.pubkey = req.pubkey;
+      if (bindBody) macaroonOpts.bodyHash = await hashRequestBody(req);
+      if (topUp) {
+        macaroonOpts.uses = 1;
+        macaroonOpts.topUp = { paymentHash: topUp.paymentHash, sats: topUp.sats };
+      } else {
+        if (maxUses) macaroonOpts.uses = maxUses;
+        if (balance) macaroonOpts.balance = balance;
+      }
+      if (!balance && !passOpts) macaroonOpts.amount = price.sats;
+      if (price.fiat) macaroonOpts.fiat = price.fiat;
+      if (postpaid === 'hold') macaroonOpts.postpaid = 'hold';
+
+      const thirdPartyCaveats = resolveThirdPartyCaveats(req);
+
+      const clientKey = encodeURIComponent(clientId);
+      let cacheKey = null;
+      if (reuseInvoices && reuseTtlMs > 0) {
+        const keyId = secret instanceof Keyring ? secret.signingKey().id : null;
+        const tuple = JSON.stringify([clientId, req.method, endpoint, amountSats, description, macaroonOpts, thirdPartyCaveats, keyId]);
+        cacheKey = `challenge:${toHex(await sha256(tuple))}`;
+        const cached = await store.get(cacheKey);
+        if (cached) {
+          emitEvent('challenge', req, startedAt, {
+            clientId, endpoint, paymentHash: cached.paymentHash, amountSats: cached.amountSats, reused: true
+          });
+          return challengeResult(cached);
+        }
+      }
+
+      // Cap pending (unpaid, unexpired) invoices per client and globally
+      const counters = await reservePending(clientKey);
+      if (!counters) {
+        emitEvent('rejected', req, startedAt, {
+          clientId, endpoint, amountSats, reason: 'Too many pending invoices', status: 429
+        });
+        return errorResult(429, 'Too many pending invoices — pay or wait for an existing invoice to expire', {
+          'Retry-After': String(invoiceExpiry)
+        });
+      }
+
+      // Create Lightning invoice via wallet. For a hold invoice we keep the
+      // preimage, so the payment stays held until the request is settled.
+      let invoiceResult;
+      let preimage = null;
+      let holdHash = null;
+      try {
+        if (postpaid === 'hold') {
+          preimage = toHex(randomBytes(32));
+          holdHash = toHex(await sha256(fromHex(preimage)));
+          invoiceResult = await wallet.createHoldInvoice({
+            amountSats,
+            paymentHash: holdHash,
+            description,
+            expiry: invoiceExpiry
+          });
+        } else {
+          invoiceResult = await wallet.createInvoice({
+            amountSats,
+            description,
+            expiry: invoiceExpiry
+          });
+        }
+      } catch (err) {
+        await releasePending(counters);
+        emitEvent('invoice_error', req, startedAt, { clientId, endpoint, amountSats, error: err });
+        throw err;
+      }
+
+      if (!invoiceResult || !invoiceResult.invoice || !invoiceResult.paymentHash ||
+          (holdHash && invoiceResult.paymentHash !== holdHash)) {
+        await releasePending(counters);
+        emitEvent('invoice_error', req, startedAt, {
+          clientId, endpoint, amountSats, error: new Error('Wallet returned no invoice')
+        });
+        return errorResult(500, 'Failed to create Lightning invoice');
+      }
+
+      // Create macaroon bound to this payment
+      const expiresAt = Math.floor(Date.now() / 1000) + (passOpts ? passOpts.durationSec : macaroonExpiry);
+      let macaroon = await createMacaroon(secret, { ...macaroonOpts, paymentHash: invoiceResult.paymentHash, expiresAt });
+      for (const thirdParty of thirdPartyCaveats) {
+        macaroon = await addThirdPartyCaveat(macaroon, thirdParty);
+      }
+
+      const challenge = {
+        invoice: invoiceResult.invoice,
+        macaroon: macaroon.raw,
+        paymentHash: invoiceResult.paymentHash,
+        amountSats,
+        description,
+        uses: topUp ? 1 : maxUses || undefined,
+        balanceSats: balance || undefined,
+        fiat: price.fiat,
+        topUpFor: topUp ? topUp.paymentHash : undefined,
+        postpaid: postpaid || undefined,
+        pass: passOpts ? { scope: passOpts.scope, expiresAt } : undefined
+      };
+
+      // The preimage settles the hold invoice; kept for as long as the credential is usable
+      if (preimage) {
+        await store.set(`hold:${invoiceResult.paymentHash}`, { preimage, amountSats }, pendingTtlMs + macaroonExpiry * 1000);
+      }
+
+      // Track the pending invoice until it is paid or expires
+      if (cacheKey) await store.set(cacheKey, challenge, reuseTtlMs);
+      await watcher.track({
+        paymentHash: invoiceResult.paymentHash,
+        amountSats,
+        endpoint,
+        clientId,
+        createdAt: Date.now(),
+        expiresAt: Date.now() + pendingTtlMs,
+        relatedKeys: cacheKey ? [cacheKey] : [],
+        counters,
+        hold: preimage ? true : undefined
+      });
+      stats.recordInvoice('issued');
+
+      emitEvent('challenge', req, startedAt, {
+        clientId, endpoint, paymentHash: challenge.paymentHash, amountSats, reused: false
+      });
+      return challengeResult(challenge);
+    } catch (err) {
+      return failureResult(err);
+    }
+  }
+
+  /**
+   * Give a postpaid toll its settle(sats) function. `capture(sats)` charges the
+   * request and returns what happened to the rest. Returns finish(status) for
+   * adapters to call when the response ends: a request the handler never
+   * settled is charged the full reserved amount, or nothing if it failed (5xx).
+   * Without `partial`, settle() only takes 0 or the full reserved amount.
+   */
+  function attachSettle(req, startedAt, toll, capture, { partial = true } = {}) {
+    const payload = { clientId: toll.clientId, endpoint: req.path, paymentHash: toll.paymentHash, postpaid: toll.postpaid };
+    let settling = null;
+    toll.settled = false;
+
+    toll.settle = function settle(sats = toll.reservedSats) {
+      if (settling) return Promise.reject(new Error('lightning-toll: req.toll.settle() was already called'));
+      if (!(Number.isInteger(sats) && sats >= 0 && sats <= toll.reservedSats)) {
+        return Promise.reject(new Error(`lightning-toll: settle() takes whole sats from 0 to ${toll.reservedSats}, got ${sats}`));
+      }
+      if (!partial && sats !== 0 && sats !== toll.reservedSats) {
+        return Promise.reject(new Error(
+          `lightning-toll: a hold invoice settles in full — settle(${toll.reservedSats}) or settle(0), got ${sats}; use postpaid: 'prepay' to charge part`));
+      }
+      settling = capture(sats).then(
+        (result) => {
+          toll.settled = true;
+          emitEvent('settled', req, startedAt, { ...payload, reservedSats: toll.reservedSats, ...result });
+          return result;
+        },
+        (err) => {
+          emitEvent('settle_error', req, startedAt, { ...payload, amountSats: sats, error: err });
+          throw err;
+        }
+      );
+      return settling;
+    };
+
+    return async function finish(status) {
+      if (settling) return;
+      await toll.settle(status >= 500 ? 0 : toll.reservedSats).catch(() => {}); // reported as settle_error
+    };
+  }
+
+  /**
+   * Authorize a hold-invoice credential. There is no preimage yet: the wallet
+   * must be holding the payment, and the credential authorizes one request,
+   * settled in full if it was served and cancelled if not.
+   */
+  async function authorizeHold(req, clientId, endpoint, startedAt, decoded, rejection) {
+    const paymentHash = decoded.paymentHash;
+    let hold;
+    try {
+      if (await revocations.isRevoked(paymentHash, decoded.tokenId)) {
+        return reject(req, startedAt, 401, 'Credential revoked', rejection);
+      }
+
+      hold = await store.get(`hold:${paymentHash}`);
+      if (!hold) return reject(req, startedAt, 401, 'Hold invoice unknown or already settled', rejection);
+
+      const invoice = await wallet.lookupInvoice(paymentHash);
+      const state = invoice && (invoice.paid ? 'settled' : invoice.state);
+      if (state === 'settled' || state === 'canceled') {
+        return reject(req, startedAt, 401, `Hold invoice already ${state}`, rejection);
+      }
+      if (state !== 'accepted') {
+        // The client retries while its payment is still on the way
+        emitEvent('rejected', req, startedAt, { ...rejection, reason: 'Payment not received yet', status: 402 });
+        return errorResult(402, 'Payment not received yet — retry once it is in flight', { 'Retry-After': '1' });
+      }
+
+      const uses = await store.increment(`uses:${paymentHash}`, 1, macaroonExpiry * 1000 * 2);
+      if (uses > 1) return reject(req, startedAt, 401, 'Hold credential already used', rejection);
+
+      // Settling is up to this request now, not the watcher's expiry
+      await watcher.untrack(paymentHash);
+    } catch (err) {
+      return errorResult(500, 'Toll booth error: ' + err.message);
+    }
+
+    const toll = {
+      paid: true,
+      postpaid: 'hold',
+      paymentHash,
+      amountSats: hold.amountSats,
+      reservedSats: hold.amountSats,
+      uses: 1,
+      clientId
+    };
+
+    // A hold invoice can't be settled for less than it was paid: the request is
+    // charged in full, or the invoice cancelled and the payment returned
+    const finish = attachSettle(req, startedAt, toll, async (sats) => {
+      let chargedSats = 0;
+      if (sats === 0) {
+        await wallet.cancelHoldInvoice(paymentHash);
+      } else {
+        await wallet.settleHoldInvoice({ paymentHash, preimage: hold.preimage });
+        chargedSats = hold.amountSats;
+        await watcher.markPaid(paymentHash, {
+          amountSats: chargedSats,
+          endpoint,
+          clientId,
+          preimage: hold.preimage,
+          source: 'hold'
+        });
+      }
+      await store.delete(`hold:${paymentHash}`);
+      stats.record(endpoint, true, chargedSats, req.pubkey || clientId, paymentHash);
+      return { chargedSats, releasedSats: hold.amountSats - chargedSats };
+    }, { partial: false });
+
+    emitEvent('authorized', req, startedAt, {
+      clientId, endpoint, paymentHash, amountSats: hold.amountSats, uses: 1, postpaid: 'hold'
+    });
+    return { allowed: true, toll, headers: {}, finish };
+  }
+
+  /**
+   * Authorize a subscription pass: any route in its scope, until it expires,
+   * with no per-route payment or metering.
+   */
+  async function authorizePass(req, clientId, endpoint, startedAt, decoded, preimage, rejection) {
+    // Holders can append caveats, so a metered credential could be relabelled as a pass
+    if (METERED_CAVEATS.some(name => getCaveatValues(decoded, name).length > 0)) {
+      return reject(req, startedAt, 401, 'Invalid pass: carries metering caveats', rejection);
+    }
+
+    const paymentHash = decoded.paymentHash;
+    const passSats = Math.min(...getCaveatValues(decoded, 'pass').map(Number));
+    const expiresAt = Math.min(...getCaveatValues(decoded, 'expires_at').map(Number));
+    const scope = getCaveatValues(decoded, 'scope')[0].split(',');
+
+    let uses;
+    try {
+      if (await revocations.isRevoked(paymentHash, decoded.tokenId)) {
+        return reject(req, startedAt, 401, 'Credential revoked', rejection);
+      }
+
+      // Usage is kept until well after the pass expires, so the first use is reported once
+      const usageTtl = Math.max(expiresAt * 1000 - Date.now(), 0) + macaroonExpiry * 1000 * 2;
+      uses = await store.increment(`uses:${paymentHash}`, 1, usageTtl);
+      if (uses === 1) {
+        await store.set(`spent:${paymentHash}`, { firstUsedAt: Date.now(), endpoint, clientId }, usageTtl);
+        await watcher.markPaid(paymentHash, { amountSats: passSats, endpoint, clientId, preimage, source: 'credential' });
+      }
+    } catch (err) {
+      return errorResult(500, 'Toll booth error: ' + err.message);
+    }
+
+    // The pass price is revenue once, on first use
+    stats.record(endpoint, true, uses === 1 ? passSats : 0, req.pubkey || clientId, paymentHash, { pass: true });
+
+    const toll = {
+      paid: true,
+      pass: { sats: passSats, scope, expiresAt },
+      paymentHash,
+      amountSats: 0,
+      uses,
+      clientId
+    };
+
+    // Postpaid handlers settle every request; a pass has nothing left to charge
+    if (postpaid) {
+      toll.settled = false;
+      toll.settle = async () => {
+        toll.settled = true;
+        return { chargedSats: 0 };
+      };
+    }
+
+    emitEvent('authorized', req, startedAt, { clientId, endpoint, paymentHash, amountSats: 0, uses, pass: true });
+    return { allowed: true, toll, headers: { 'X-Toll-Pass-Expires': String(expiresAt) } };
+  }
+
+  /**
+   * Decide what to do with a request.
+   * @param {TollRequest} req
+   * @returns {Promise<TollResult>}
+   */
+  return async function evaluate(req) {
+    try {
+      return await evaluateRequest(req);
+    } catch (err) {
+      // e.g. a throwing price() callback
+      return failureResult(err);
+    }
+  };
+
+  async function evaluateRequest(req) {
+    const startedAt = Date.now();
+
+    // A NIP-98 signature is checked first; the rest of the evaluation sees its signer as req.pubkey
+    const signer = await authenticateSigner(req);
+    if (signer && signer.error) {
+      return reject(req, startedAt, 401, `Invalid Nostr authorization: ${signer.error}`, { clientId: clientIp(req), endpoint: req.path });
+    }
+    const result = await authorizeRequest({ ...req, pubkey: signer ? signer.pubkey : null }, startedAt);
+    if (result.allowed && signer) result.toll.pubkey = signer.pubkey;
+    return result;
+  }
+
+  async function authorizeRequest(req, startedAt) {
+    const clientId = await resolveClientId(req);
+    const endpoint = req.path;
+
+    // Check for existing L402 authorization
+    const authHeader = req.headers.authorization;
+    const l402Creds = parseAuthorization(authHeader);
+
+    if (l402Creds) {
+      // Client is presenting credentials — verify them
+      const decoded = decodeMacaroon(l402Creds.macaroon);
+      if (!decoded) {
+        return reject(req, startedAt, 401, 'Invalid macaroon', { clientId, endpoint });
+      }
+      const rejection = { clientId, endpoint, paymentHash: decoded.paymentHash };
+
+      // Verify macaroon signature and caveats
+      // The bind* options only decide what gets minted: caveats a holder attenuated
+      // with must hold whatever they are, so the request is always described in full.
+      // A pass-selling route describes the passes it sold, so skips the path checks
+      const context = {
+        endpoint: !passOpts ? endpoint : undefined,
+        path: !passOpts ? (req.baseUrl || '') + endpoint : undefined,
+        method: req.method,
+        ip: clientIp(req),
+        pubkey: req.pubkey,
+        bodyHash: bindBody || getCaveatValues(decoded, 'body_hash').length > 0 ? await hashRequestBody(req) : undefined,
+        req: req.raw || req
+      };
+
+      const discharges = l402Creds.discharges.map(decodeMacaroon);
+      if (discharges.includes(null)) {
+        return reject(req, startedAt, 401, 'Invalid discharge macaroon', rejection);
+      }
+
+      const macResult = await verifyMacaroon(secret, decoded, context, {
+        discharges,
+        verifiers: caveatVerifiers,
+        strict: strictCaveats
+      });
+      if (!macResult.valid) {
+        return reject(req, startedAt, 401, macResult.error, rejection);
+      }
+
+      const isPass = getCaveatValues(decoded, 'pass').length > 0;
+      if (passOpts && !isPass) {
+        return reject(req, startedAt, 401, 'Not a pass', rejection);
+      }
+      if (passOpts && getCaveatValues(decoded, 'scope')[0] !== passOpts.scope.join(',')) {
+        return reject(req, startedAt, 401, 'Not a pass sold here', rejection);
+      }
+
+      // Hold-invoice credentials are paid for once the request has been served
+      if (!isPass && getCaveatValues(decoded, 'postpaid').includes('hold')) {
+        return authorizeHold(req, clientId, endpoint, startedAt, decoded, rejection);
+      }
+
+      // Verify preimage matches payment hash
+      if (!(await verifyPreimage(l402Creds.preimage, decoded.paymentHash))) {
+        return reject(req, startedAt, 401, 'Invalid preimage — does not match payment hash', rejection);
+      }
+
+      if (isPass) {
+        return authorizePass(req, clientId, endpoint, startedAt, decoded, l402Creds.preimage, rejection);
+      }
+
+      const paymentHash = decoded.paymentHash;
+      const currentPrice = await resolvePrice(req, decoded);
+      const usageTtl = macaroonExpiry * 1000 * 2;
+
+      // Metering caveats are enforced here, against the store. Attenuated tokens may
+      // repeat a caveat, so the tightest value wins — likewise the lowest locked
+      // amount and top-up, so holders can't inflate what they paid.
+      const usesLimit = Math.min(...getCaveatValues(decoded, 'uses').map(Number));
+      const balanceLimit = Math.min(...getCaveatValues(decoded, 'balance').map(Number));
+      const lockedAmount = Math.min(...getCaveatValues(decoded, 'amount').map(Number));
+      const toppedUp = Math.min(...getCaveatValues(decoded, 'topup').map(v => Number(v.split(':')[1])));
+      const topUpFor = getCaveatValues(decoded, 'topup')[0]?.split(':')[0];
+
+      // Balance credentials debit the current price; others are charged what they
+      // paid at challenge time (credentials minted before amount caveats: the current price)
+      const isBalance = Number.isFinite(balanceLimit);
+      const price = isBalance || !Number.isFinite(lockedAmount) ? currentPrice.sats : lockedAmount;
+      const fiat = currentPrice.fiat;
+      let paidSats;
+      if (isBalance) paidSats = balanceLimit;
+      else if (Number.isFinite(toppedUp)) paidSats = toppedUp;
+      else paidSats = price * (Number.isFinite(usesLimit) ? usesLimit : 1);
+
+      // Track credential usage in the store (outlives the token so reuse stays visible)
+      let uses;
+      let balanceRemaining;
+      try {
+        // Revoked credentials are refused even though their signature and preimage check out
+        if (await revocations.isRevoked(paymentHash, decoded.tokenId)) {
+          return reject(req, startedAt, 401, 'Credential revoked', rejection);
+        }
+
+        // Bought below the current price: charge again in full, or just the difference
+        const repriced = !isBalance && underpaid !== 'honor' && currentPrice.sats > price;
+        const priceIncreased = () => emitEvent('rejected', req, startedAt, {
+          ...rejection, reason: 'Price increased', status: 402, paidSats: price, priceSats: currentPrice.sats
+        });
+        if (repriced && underpaid === 'reject') {
+          priceIncreased();
+          return issueChallenge(req, clientId, endpoint, startedAt);
+        }
+
+        uses = await store.increment(`uses:${paymentHash}`, 1, usageTtl);
+        if (uses === 1) {
+          await store.set(`spent:${paymentHash}`, { firstUsedAt: Date.now(), endpoint, clientId }, usageTtl);
+          // Redeeming proves payment; reported here unless the watcher already saw it
+          await watcher.markPaid(paymentHash, {
+            amountSats: paidSats,
+            endpoint,
+            clientId,
+            preimage: l402Creds.preimage,
+            source: 'credential'
+          });
+        }
+
+        if (uses > usesLimit) {
+          return issueChallenge(req, clientId, endpoint, startedAt);
+        }
+
+        // A top-up pays the rest of this request, so it takes one of the original's uses:
+        // the same credential can't be topped up more times than it has uses
+        if (repriced) {
+          priceIncreased();
+          return issueChallenge(req, clientId, endpoint, startedAt, {
+            price: currentPrice, sats: currentPrice.sats - price, paymentHash
+          });
+        }
+
+        if (Number.isFinite(balanceLimit)) {
+          const debited = await store.increment(`debit:${paymentHash}`, price, usageTtl);
+          if (debited > balanceLimit) {
+            await store.increment(`debit:${paymentHash}`, -price, usageTtl);
+            return issueChallenge(req, clientId, endpoint, startedAt);
+          }
+          balanceRemaining = balanceLimit - debited;
+        }
+      } catch (err) {
+        return errorResult(500, 'Toll booth error: ' + err.message);
+      }
+
+      // Revenue is recorded once, on first use; later uses count as reuse
+      if (uses === 1) {
+        stats.record(endpoint, true, paidSats, req.pubkey || clientId, paymentHash);
+      } else {
+        stats.record(endpoint, true, 0, req.pubkey || clientId, paymentHash);
+      }
+
+      // Payment info for the handler
+      const toll = {
+        paid: true,
+        paymentHash,
+        amountSats: price,
+        uses,
+        clientId
+      };
+      if (fiat) toll.fiat = fiat;
+      if (topUpFor) toll.topUpFor = topUpFor;
+      const headers = {};
+
+      if (Number.isFinite(usesLimit)) {
+        toll.usesRemaining = usesLimit - uses;
+        headers['X-Toll-Uses-Remaining'] = String(toll.usesRemaining);
+      }
+      if (balanceRemaining !== undefined) {
+        toll.balanceRemaining = balanceRemaining;
+        headers['X-Toll-Balance-Remaining'] = String(balanceRemaining);
+      }
+
+      // Prepay: the maximum price was debited as a reservation; settling credits back what wasn't used
+      let finish;
+      if (postpaid === 'prepay' && isBalance) {
+        toll.postpaid = 'prepay';
+        toll.reservedSats = price;
+        finish = attachSettle(req, startedAt, toll, async (sats) => {
+          const unused = price - sats;
+          if (unused > 0) {
+            toll.balanceRemaining = balanceLimit - await store.increment(`debit:${paymentHash}`, -unused, usageTtl);
+          }
+          return { chargedSats: sats, creditedSats: unused, balanceRemaining: toll.balanceRemaining };
+        });
+      }
+
+      emitEvent('authorized', req, startedAt, {
+        clientId,
+        endpoint,
+        paymentHash,
+        amountSats: price,
+        uses,
+        usesRemaining: toll.usesRemaining,
+        balanceRemaining: toll.balanceRemaining
+      });
+
+      return finish ? { allowed: true, toll, headers, finish } : { allowed: true, toll, headers };
+    }
+
+    // No L402 credentials — check free tier
+    const free = await checkFreeTier(req, clientId);
+    if (free && free.allowed) {
+      stats.record(endpoint, false, 0, req.pubkey || clientId);
+      emitEvent('free', req, startedAt, { clientId, endpoint, freeRemaining: free.remaining });
+      return {
+        allowed: true,
+        toll: { paid: false, free: true, freeRemaining: free.remaining, clientId },
+        headers: free.headers
+      };
+    }
+
+    // No auth, no free tier left — issue a 402 challenge, saying when the free tier resets
+    const challenge = await issueChallenge(req, clientId, endpoint, startedAt);
+    if (free) challenge.headers = { ...free.headers, ...challenge.headers };
+    return challenge;
+  }
+}
+
+module.exports = { createEvaluator, parseWindow, getClientId };
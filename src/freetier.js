@@ -0,0 +1,99 @@
+'use strict';
+
+/**
+ * Free-tier quotas counted in the state store, so they survive restarts and are
+ * shared by every instance — and every route — using the same store and quota.
+ *
+ *   'fixed'         N requests per window; windows start on multiples of the window length
+ *   'sliding'       N requests in any window-long span (the previous window's count, weighted
+ *                   by how much of it still overlaps, plus the current window's)
+ *   'token-bucket'  Bursts of up to N, refilling continuously at N per window
+ *
+ * Fixed and sliding windows use the store's atomic increment(). The token bucket
+ * reads and rewrites the bucket, so simultaneous requests from one client can
+ * share a token.
+ */
+
+const ALGORITHMS = ['fixed', 'sliding', 'token-bucket'];
+
+/**
+ * @param {object} store - State store
+ * @param {object} opts
+ * @param {number} opts.limit - Free requests per window
+ * @param {number} opts.windowMs - Window length (ms)
+ * @param {string} [opts.algorithm='fixed'] - 'fixed', 'sliding' or 'token-bucket'
+ * @returns {{ take: function(string, string): Promise<object> }}
+ */
+function createFreeTier(store, { limit, windowMs, algorithm = 'fixed' }) {
+  if (!ALGORITHMS.includes(algorithm)) {
+    throw new Error("lightning-toll: freeAlgorithm must be 'fixed', 'sliding' or 'token-bucket'");
+  }
+  if (!(Number.isInteger(limit) && limit > 0)) throw new Error('lightning-toll: freeRequests must be a positive integer');
+
+  async function fixed(key, now) {
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const count = await store.increment(`${key}:${windowStart}`, 1, windowMs);
+    return { allowed: count <= limit, remaining: limit - count, resetMs: windowStart + windowMs - now };
+  }
+
+  async function sliding(key, now) {
+    const index = Math.floor(now / windowMs);
+    const overlap = 1 - (now - index * windowMs) / windowMs;
+    const previous = (Number(await store.get(`${key}:${index - 1}`)) || 0) * overlap;
+    const count = await store.increment(`${key}:${index}`, 1, windowMs * 2);
+    const allowed = previous + count <= limit;
+    // Refused requests don't count, or a client retrying at the limit would never get back under it
+    if (!allowed) await store.increment(`${key}:${index}`, -1, windowMs * 2);
+    return {
+      allowed,
+      remaining: Math.floor(limit - previous - (allowed ? count : count - 1)),
+      resetMs: (index + 1) * windowMs - now
+    };
+  }
+
+  async function tokenBucket(key, now) {
+    const bucket = await store.get(key);
+    const tokens = bucket
+      ? Math.min(limit, bucket.tokens + ((now - bucket.updatedAt) / windowMs) * limit)
+      : limit;
+    const allowed = tokens >= 1;
+    const left = allowed ? tokens - 1 : tokens;
+    // An idle bucket is full again after one window, so it can expire then
+    if (allowed) await store.set(key, { tokens: left, updatedAt: now }, windowMs);
+    return { allowed, remaining: Math.floor(left), resetMs: Math.ceil(((limit - left) / limit) * windowMs) };
+  }
+
+  const count = { fixed, sliding, 'token-bucket': tokenBucket }[algorithm];
+
+  /**
+   * Take one free request from a client's quota.
+   * @param {string} quota - Quota name; routes sharing a name share the allowance
+   * @param {string} clientId
+   * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, resetMs: number }>}
+   */
+  async function take(quota, clientId) {
+    const key = `free:${encodeURIComponent(quota)}:${encodeURIComponent(clientId)}`;
+    const result = await count(key, Date.now());
+    return { ...result, limit, remaining: Math.max(0, result.remaining) };
+  }
+
+  return { take };
+}
+
+/**
+ * RateLimit (IETF draft) and X-Free-Remaining headers for a free-tier result.
+ * @param {object} result - From take()
+ * @param {number} windowMs
+ * @returns {object}
+ */
+function freeTierHeaders(result, windowMs) {
+  return {
+    'RateLimit-Policy': `${result.limit};w=${Math.ceil(windowMs / 1000)}`,
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+    'X-Free-Remaining': String(result.remaining)
+  };
+}
+
+module.exports = { createFreeTier, freeTierHeaders, ALGORITHMS };
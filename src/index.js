@@ -1,60 +1,211 @@
 'use strict';
 
-const { createWallet } = require('lightning-agent');
-const { createMiddleware } = require('./middleware');
+const { createMiddleware, createPricingMiddleware } = require('./middleware');
+const { compilePricing } = require('./pricing');
+const { createEvaluator } = require('./evaluate');
+const { fetchHandler } = require('./adapters/fetch');
 const { TollStats } = require('./stats');
-const { createMacaroon, decodeMacaroon, verifyMacaroon, verifyPreimage } = require('./macaroon');
+const {
+  createMacaroon,
+  decodeMacaroon,
+  encodeMacaroon,
+  verifyMacaroon,
+  verifyPreimage,
+  attenuate,
+  addThirdPartyCaveat,
+  getThirdPartyCaveats,
+  createDischarge,
+  bindDischarge,
+  encodeThirdPartyCaveatId,
+  decodeThirdPartyCaveatId,
+  BUILTIN_CAVEATS
+} = require('./macaroon');
 const { formatChallenge, formatChallengeBody, parseAuthorization } = require('./l402');
 const { createMetricsExporter } = require('./metrics');
+const { MemoryStore, FileStore, isStore } = require('./store');
+const { Keyring, deriveRootKey } = require('./keyring');
+const { createRevocationList, createAdminRouter } = require('./revocation');
+const { InvoiceWatcher } = require('./watcher');
+const { Emitter } = require('./emitter');
+const { WebhookDispatcher, signWebhook, verifyWebhookSignature } = require('./webhooks');
+const { StaticRateProvider, RateSource, fiatToSats } = require('./rates');
+const { MockWallet } = require('./mock-wallet');
+const { createClientIp, getClientId } = require('./clientid');
+const { createNip98Auth, verifyNip98 } = require('./nostr');
 
 /**
  * Create a toll booth instance for gating API endpoints behind Lightning payments.
  *
  * @param {object} opts
  * @param {string|object} opts.wallet - NWC URL string or lightning-agent wallet instance
- * @param {string} opts.secret - HMAC secret for signing macaroons
+ * @param {string} opts.secret - HMAC secret for signing macaroons (with a keyring: verifies pre-keyring macaroons only)
+ * @param {object[]|Keyring} [opts.keyring] - Rotating signing keys [{ id, secret, retiredAt }], newest first
  * @param {number} [opts.defaultSats=10] - Default price in sats if not specified per-route
  * @param {number} [opts.invoiceExpiry=300] - Invoice expiry in seconds (default 5 min)
  * @param {number} [opts.macaroonExpiry=3600] - Macaroon validity after payment (default 1 hour)
  * @param {boolean} [opts.bindEndpoint=true] - Bind macaroons to specific endpoints
  * @param {boolean} [opts.bindMethod=true] - Bind macaroons to specific HTTP methods
  * @param {boolean} [opts.bindIp=false] - Bind macaroons to client IP
- * @param {function} [opts.onPayment] - Callback when a payment is received
- * @returns {Function} toll(routeOpts) — creates middleware for a route
+ * @param {boolean|number|string|string[]} [opts.trustProxy=false] - Who may set X-Forwarded-For: true (everyone), a hop count, or trusted CIDRs
+ * @param {number|false} [opts.ipv6Subnet=64] - Group IPv6 clients by this prefix length (false: per address)
+ * @param {function} [opts.clientId] - (req) => id to count clients by (API key, pubkey, session); falsy falls back to the address
+ * @param {object} [opts.nostrAuth] - Verify NIP-98 signed requests: { hosts, maxAge=60, clientId=false }; hosts is required
+ * @param {boolean} [opts.bindPubkey=false] - Bind macaroons to the NIP-98 signer's pubkey
+ * @param {string} [opts.macaroonFormat='json'] - Macaroon wire format: 'json' or 'v2' (libmacaroons/L402 binary)
+ * @param {string} [opts.macaroonLocation] - Location embedded in v2 macaroons
+ * @param {boolean} [opts.reuseInvoices=true] - Reuse an unpaid invoice for repeat challenges to the same client/endpoint/price
+ * @param {number} [opts.maxPendingPerClient=0] - Max unpaid invoices per client before answering 429 (0 = unlimited)
+ * @param {number} [opts.maxPendingInvoices=0] - Max unpaid invoices overall before answering 429 (0 = unlimited)
+ * @param {string} [opts.freeAlgorithm='fixed'] - Default free-tier algorithm: 'fixed', 'sliding' or 'token-bucket'
+ * @param {string} [opts.underpaid='honor'] - Credentials bought below the current price: 'honor', 'reject' (pay again) or 'topup' (pay the difference)
+ * @param {object} [opts.caveats] - Custom caveat verifiers: name → (value, req) => boolean|string
+ * @param {boolean} [opts.strictCaveats=false] - Reject macaroons carrying caveats with no verifier
+ * @param {object} [opts.store] - Store for spent payment hashes and credential usage (default: MemoryStore)
+ * @param {object[]} [opts.webhooks] - Signed webhooks: [{ url, secret, events=['paid'], maxAttempts=8, backoffMs=1000, maxBackoffMs, timeoutMs }]
+ * @param {function} [opts.onPayment] - Callback when a payment is received (shorthand for toll.on('paid', fn))
+ * @param {boolean} [opts.watchInvoices] - Poll the wallet for pending invoices (default: once webhooks, onPayment or a paid/expired listener is set)
+ * @param {number} [opts.watchInterval=5000] - Invoice poll interval (ms)
+ * @param {number} [opts.watchBatchSize=20] - Invoices looked up concurrently per poll
+ * @param {object|function|RateSource} [opts.rates] - Exchange rate provider for fiat prices: { getRate(currency) } or (currency) => fiat per BTC
+ * @param {number} [opts.rateCacheMs=60000] - How long a fetched rate is reused
+ * @param {number} [opts.rateMaxAgeMs=600000] - Oldest rate that may still price a request (e.g. while the provider is down)
+ * @returns {Function} toll(routeOpts) — creates middleware for a route; also an event emitter for lifecycle events
  */
 function createToll(opts = {}) {
   if (!opts.wallet) {
     throw new Error('lightning-toll: wallet is required (NWC URL or wallet instance)');
   }
-  if (!opts.secret) {
-    throw new Error('lightning-toll: secret is required for macaroon signing');
+  if (!opts.secret && !opts.keyring) {
+    throw new Error('lightning-toll: secret (or keyring) is required for macaroon signing');
+  }
+
+  // Signing keys: a plain secret, or a keyring for rotation
+  let keyring = null;
+  if (opts.keyring instanceof Keyring) {
+    keyring = opts.keyring;
+  } else if (opts.keyring) {
+    keyring = new Keyring(opts.keyring, { legacySecret: opts.secret });
+  }
+
+  if (opts.macaroonFormat && opts.macaroonFormat !== 'json' && opts.macaroonFormat !== 'v2') {
+    throw new Error("lightning-toll: macaroonFormat must be 'json' or 'v2'");
+  }
+
+  const caveatVerifiers = opts.caveats || {};
+  for (const [name, verifier] of Object.entries(caveatVerifiers)) {
+    if (typeof verifier !== 'function') {
+      throw new Error(`lightning-toll: caveat verifier for "${name}" must be a function`);
+    }
+    if (BUILTIN_CAVEATS.includes(name)) {
+      throw new Error(`lightning-toll: "${name}" is a built-in caveat and can't be overridden`);
+    }
   }
 
   // Create or use wallet
   let wallet;
   if (typeof opts.wallet === 'string') {
-    wallet = createWallet(opts.wallet);
+    // Loaded on demand: NWC needs Node networking, and edge runtimes pass a wallet instance
+    wallet = require('lightning-agent').createWallet(opts.wallet);
   } else if (opts.wallet && typeof opts.wallet.createInvoice === 'function') {
     wallet = opts.wallet;
   } else {
     throw new Error('lightning-toll: wallet must be an NWC URL string or a wallet instance with createInvoice()');
   }
 
+  // Persistent state (spent payment hashes, credential usage)
+  const store = opts.store || new MemoryStore();
+  if (!isStore(store)) {
+    throw new Error('lightning-toll: store must implement get(), set(), increment(), delete() and keys()');
+  }
+
+  // NIP-98 signed requests: req.toll.pubkey, pubkey caveats, payer ids
+  let nostrAuth = null;
+  if (opts.nostrAuth) {
+    nostrAuth = { maxAge: 60, hosts: null, clientId: false, ...(opts.nostrAuth === true ? {} : opts.nostrAuth) };
+    if (!(nostrAuth.maxAge > 0)) throw new Error('lightning-toll: nostrAuth.maxAge must be a positive number of seconds');
+    // Signed URLs are checked against configured hosts, never the client's own Host header
+    if (!Array.isArray(nostrAuth.hosts) || nostrAuth.hosts.length === 0 || !nostrAuth.hosts.every(h => typeof h === 'string' && h)) {
+      throw new Error("lightning-toll: nostrAuth.hosts must list the hosts signed URLs may name, e.g. ['api.example.com']");
+    }
+    nostrAuth.hosts = nostrAuth.hosts.map(host => host.toLowerCase());
+  }
+  if (opts.bindPubkey && !nostrAuth) {
+    throw new Error('lightning-toll: bindPubkey needs nostrAuth');
+  }
+
+  // Revoked credentials, persisted through the store
+  const revocations = createRevocationList(store);
+
   // Stats tracker
   const stats = new TollStats();
 
+  // One watcher for all pending invoices, resumed from the store on startup
+  const invoiceExpiry = opts.invoiceExpiry || 300;
+  const macaroonExpiry = opts.macaroonExpiry || 3600;
+  const watcher = new InvoiceWatcher({
+    wallet,
+    store,
+    interval: opts.watchInterval,
+    batchSize: opts.watchBatchSize,
+    settledTtl: macaroonExpiry * 1000 * 2
+  });
+
+  watcher.on('invoice.paid', info => {
+    stats.recordInvoice('paid');
+    emit('paid', info);
+  });
+  watcher.on('invoice.expired', info => {
+    stats.recordInvoice('expired');
+    emit('expired', info);
+  });
+
+  // Exchange rates for fiat prices ({ usd: 0.01 }), cached per currency
+  let rates = null;
+  if (opts.rates instanceof RateSource) {
+    rates = opts.rates;
+  } else if (opts.rates) {
+    rates = new RateSource(opts.rates, { cacheMs: opts.rateCacheMs, maxAgeMs: opts.rateMaxAgeMs });
+  }
+
+  // Outbound webhooks, delivered through a durable outbox in the store
+  let webhooks = null;
+  if (opts.webhooks && opts.webhooks.length > 0) {
+    webhooks = new WebhookDispatcher({ store, webhooks: opts.webhooks });
+    webhooks.start();
+  }
+
+  const watchInvoices = opts.watchInvoices;
+  if (watchInvoices === true || (watchInvoices === undefined && webhooks)) watcher.start();
+
   // Config shared across all route middlewares
   const config = {
     wallet,
-    secret: opts.secret,
+    secret: keyring || opts.secret,
     stats,
+    store,
+    revocations,
+    watcher,
+    emit,
     defaultSats: opts.defaultSats || 10,
-    invoiceExpiry: opts.invoiceExpiry || 300,
-    macaroonExpiry: opts.macaroonExpiry || 3600,
+    invoiceExpiry,
+    macaroonExpiry,
     bindEndpoint: opts.bindEndpoint !== false,
     bindMethod: opts.bindMethod !== false,
     bindIp: opts.bindIp || false,
-    onPayment: opts.onPayment || null
+    clientIp: createClientIp({ trustProxy: opts.trustProxy, ipv6Subnet: opts.ipv6Subnet }),
+    clientId: opts.clientId,
+    nostrAuth,
+    bindPubkey: opts.bindPubkey || false,
+    macaroonFormat: opts.macaroonFormat || 'json',
+    macaroonLocation: opts.macaroonLocation || null,
+    caveatVerifiers,
+    strictCaveats: opts.strictCaveats || false,
+    reuseInvoices: opts.reuseInvoices !== false,
+    maxPendingPerClient: opts.maxPendingPerClient || 0,
+    maxPendingInvoices: opts.maxPendingInvoices || 0,
+    underpaid: opts.underpaid || 'honor',
+    freeAlgorithm: opts.freeAlgorithm || 'fixed',
+    rates
   };
 
   /**
@@ -62,22 +213,167 @@ function createToll(opts = {}) {
    *
    * @param {object} [routeOpts]
    * @param {number} [routeOpts.sats] - Fixed price in sats
-   * @param {function} [routeOpts.price] - Dynamic price function (req) => sats
+   * @param {object|function} [routeOpts.price] - Fiat price ({ usd: 0.01 }), or a function (req) => sats or fiat price
+   * @param {number} [routeOpts.minSats] - Lower bound for the per-request price in sats
+   * @param {number} [routeOpts.maxSats] - Upper bound for the per-request price in sats
+   * @param {string} [routeOpts.underpaid] - Overrides the createToll underpaid policy for this route
+   * @param {object} [routeOpts.pass] - Sell a subscription pass instead: { duration, scope } (see toll.pass())
+   * @param {string} [routeOpts.postpaid] - Charge after serving: 'prepay' (price = maximum reserved from a balance; settle with req.toll.settle(sats)) or 'hold' (hold invoice, settled in full or cancelled)
    * @param {string|function} [routeOpts.description] - Invoice description
    * @param {number} [routeOpts.freeRequests] - Number of free requests per window
    * @param {string|number} [routeOpts.freeWindow] - Time window for free tier ('1h', '30m', etc.)
+   * @param {string} [routeOpts.freeAlgorithm] - Overrides the createToll free-tier algorithm for this route
+   * @param {string} [routeOpts.freeQuota] - Quota name; routes with the same name share one free allowance (default: one per method and route pattern)
+   * @param {function} [routeOpts.clientId] - Overrides the createToll clientId callback for this route
+   * @param {number} [routeOpts.uses] - Number of requests one payment buys
+   * @param {number} [routeOpts.balance] - Prepaid sat balance one payment buys
+   * @param {object[]|function} [routeOpts.thirdPartyCaveats] - Third-party caveats to add at mint time
+   * @param {string|object|string[]} [routeOpts.endpointBinding='exact'] - Endpoint caveat form: 'exact', 'route', { prefix }, { glob } or a glob list
+   * @param {object|function} [routeOpts.caveats] - Extra caveats to add at mint time: { name: value } or (req) => { name: value }
    * @returns {Function} Express middleware
    */
   function toll(routeOpts = {}) {
     return createMiddleware(config, routeOpts);
   }
 
+  /**
+   * Create the framework-neutral evaluate function for a route, for adapters
+   * (lightning-toll/fastify, /koa, /hono, /http) or your own integration.
+   *
+   * @param {object} [routeOpts] - Same as toll(routeOpts)
+   * @returns {function(object): Promise<object>} evaluate(tollRequest) → { allowed, status, headers, body, toll }
+   */
+  toll.evaluator = function evaluator(routeOpts = {}) {
+    return createEvaluator(config, routeOpts);
+  };
+
+  /**
+   * Gate a Fetch API handler (Cloudflare Workers, Deno, Bun, Next.js route handlers).
+   * The handler gets the Request with `request.toll` set once it is allowed.
+   *
+   * @param {object} routeOpts - Same as toll(routeOpts), plus getClientIp: (request, context) => client address
+   * @param {function(Request, ...*): Response|Promise<Response>} handler
+   * @returns {function(Request, ...*): Promise<Response>}
+   */
+  toll.fetchHandler = function tollFetchHandler(routeOpts, handler) {
+    return fetchHandler(toll, routeOpts, handler);
+  };
+
+  /**
+   * Sell a subscription pass: a time-boxed credential accepted by every tolled
+   * route in its scope, without per-route payment. The handler answers 402 with
+   * the pass invoice, and describes a valid pass presented to it.
+   *
+   * @param {object} passOpts
+   * @param {number} [passOpts.sats] - Price in sats
+   * @param {object|function} [passOpts.price] - Fiat price ({ usd: 5 }), or (req) => price
+   * @param {string|number} passOpts.duration - How long the pass lasts: '30d', '12h', or milliseconds
+   * @param {string|string[]} passOpts.scope - Path globs it is valid for, e.g. ['/api/*']
+   * @param {string|function} [passOpts.description] - Invoice description
+   * @returns {Function} Express handler
+   */
+  toll.pass = function pass(passOpts = {}) {
+    const { duration, scope, ...priceOpts } = passOpts;
+    const middleware = createMiddleware(config, { ...priceOpts, pass: { duration, scope } });
+    return (req, res) => middleware(req, res, () => {
+      res.json({
+        pass: req.toll.pass,
+        paymentHash: req.toll.paymentHash,
+        authorization: req.headers.authorization // send this on every request the pass covers
+      });
+    });
+  };
+
+  // Pricing tables registered with fromConfig(), published by pricing()
+  const pricingTables = [];
+
+  /**
+   * Create one app-level middleware from a declarative pricing table, matching
+   * method + path patterns to price rules. The table is validated immediately.
+   *
+   * @param {object|object[]} table - { routes: [{ method, path, sats | perParam | tiers | free, ...routeOpts }] }
+   * @returns {Function} Express middleware
+   */
+  toll.fromConfig = function fromConfig(table) {
+    const pricing = compilePricing(table);
+    pricingTables.push(pricing);
+    return createPricingMiddleware(config, pricing);
+  };
+
+  /**
+   * Pricing endpoint — publishes the fromConfig() tables as JSON for client discovery.
+   * @returns {Function} Express handler
+   */
+  toll.pricing = function pricing() {
+    return (req, res) => {
+      res.json({ unit: 'sats', routes: pricingTables.flatMap(table => table.toJSON()) });
+    };
+  };
+
+  // The toll is also an event emitter: challenge, paid, authorized, rejected, free, invoice_error, expired, settled, settle_error
+  for (const name of Object.getOwnPropertyNames(Emitter.prototype)) {
+    if (name !== 'constructor') {
+      Object.defineProperty(toll, name, Object.getOwnPropertyDescriptor(Emitter.prototype, name));
+    }
+  }
+  toll._listeners = new Map();
+
+  /**
+   * Emit a lifecycle event and queue it for webhooks. A throwing listener must
+   * not break the request or the invoice watcher, so its error is re-emitted as
+   * 'error' (or logged when nothing listens for 'error').
+   */
+  function emit(event, payload) {
+    try {
+      toll.emit(event, payload);
+    } catch (err) {
+      reportError(err, event, payload);
+    }
+    if (webhooks) {
+      // A preimage completes a credential, so it isn't sent off to webhook receivers
+      const data = { ...payload };
+      delete data.preimage;
+      webhooks.enqueue(event, data).catch(err => reportError(err, event, payload));
+    }
+  }
+
+  function reportError(err, event, payload) {
+    if (toll.listenerCount('error') > 0) {
+      toll.emit('error', err, { event, payload });
+    } else {
+      console.warn(`lightning-toll: error handling "${event}": ${err && err.stack ? err.stack : err}`);
+    }
+  }
+
+  // Paid and expired events come from the watcher, so it polls once anything listens for them
+  if (watchInvoices === undefined) {
+    toll.on('newListener', name => {
+      if (name === 'paid' || name === 'expired') watcher.start();
+    });
+    watcher.on('newListener', name => {
+      if (name === 'invoice.paid' || name === 'invoice.expired') watcher.start();
+    });
+  }
+
+  if (opts.onPayment) toll.on('paid', opts.onPayment);
+
   /**
    * Dashboard middleware — returns payment stats as JSON.
    * @returns {Function} Express handler
    */
   toll.dashboard = function dashboard() {
-    return stats.dashboardHandler();
+    if (!webhooks) return stats.dashboardHandler();
+
+    return async (req, res) => {
+      try {
+        res.json({
+          ...stats.toJSON(),
+          webhooks: { pending: await webhooks.pending(), deadLetters: await webhooks.deadLetters() }
+        });
+      } catch (err) {
+        res.status(500).json({ error: 'Toll dashboard error: ' + err.message });
+      }
+    };
   };
 
   /**
@@ -89,6 +385,35 @@ function createToll(opts = {}) {
     return exporter.handler();
   };
 
+  /**
+   * Revoke a credential by payment hash or token id.
+   * @param {string} id
+   * @param {object} [opts] - { reason, ttlMs }
+   * @returns {Promise<object>} The revocation record
+   */
+  toll.revoke = revocations.revoke;
+
+  /**
+   * Lift a revocation.
+   * @param {string} id
+   * @returns {Promise<boolean>} Whether the id was revoked
+   */
+  toll.unrevoke = revocations.unrevoke;
+
+  /**
+   * List revocations, newest first.
+   * @returns {Promise<object[]>}
+   */
+  toll.revocations = revocations.list;
+
+  /**
+   * Admin router for revoke/list/unrevoke. Mount it behind your own authentication.
+   * @returns {Function} Express middleware
+   */
+  toll.adminRouter = function adminRouter() {
+    return createAdminRouter(revocations);
+  };
+
   /**
    * Get the stats object directly.
    */
@@ -99,6 +424,32 @@ function createToll(opts = {}) {
    */
   toll.wallet = wallet;
 
+  /**
+   * Get the state store.
+   */
+  toll.store = store;
+
+  /**
+   * Get the keyring (null when signing with a plain secret).
+   */
+  toll.keyring = keyring;
+
+  /**
+   * Get the invoice watcher (emits 'invoice.paid', 'invoice.expired', 'invoice.error').
+   */
+  toll.watcher = watcher;
+
+  /**
+   * Get the webhook dispatcher (null when no webhooks are configured):
+   * pending(), deadLetters(), retry(id), flush().
+   */
+  toll.webhooks = webhooks;
+
+  /**
+   * Get the exchange rate source (null when no rate provider is configured).
+   */
+  toll.rates = rates;
+
   return toll;
 }
 
@@ -108,11 +459,36 @@ module.exports = {
   // Re-export lower-level utilities
   createMacaroon,
   decodeMacaroon,
+  encodeMacaroon,
   verifyMacaroon,
   verifyPreimage,
+  attenuate,
+  addThirdPartyCaveat,
+  getThirdPartyCaveats,
+  createDischarge,
+  bindDischarge,
+  encodeThirdPartyCaveatId,
+  decodeThirdPartyCaveatId,
   formatChallenge,
   formatChallengeBody,
   parseAuthorization,
   TollStats,
-  createMetricsExporter
+  createMetricsExporter,
+  MemoryStore,
+  FileStore,
+  Keyring,
+  deriveRootKey,
+  compilePricing,
+  StaticRateProvider,
+  RateSource,
+  fiatToSats,
+  InvoiceWatcher,
+  WebhookDispatcher,
+  signWebhook,
+  verifyWebhookSignature,
+  MockWallet,
+  createClientIp,
+  getClientId,
+  createNip98Auth,
+  verifyNip98
 };
@@ -0,0 +1,102 @@
+'use strict';
+
+const { hmacSha256, toHex } = require('./crypto');
+
+/**
+ * Root key rotation for macaroon signing.
+ *
+ * A keyring holds several secrets, each with an id. New macaroons are minted with
+ * the first active key and carry its id in a `key_id` caveat; verification picks
+ * the matching key, so outstanding tokens survive a rotation until their key is retired.
+ *
+ * Keyring macaroons are signed with a per-token root key derived from the secret
+ * and the macaroon id, so a leaked token only exposes its own derived key.
+ */
+
+/**
+ * Derive a per-token root key from a secret.
+ * @param {string|Uint8Array} secret - Keyring secret
+ * @param {string} tokenId - Macaroon identifier
+ * @returns {Promise<string>} Hex-encoded root key
+ */
+async function deriveRootKey(secret, tokenId) {
+  return toHex(await hmacSha256(secret, `lightning-toll/root-key/${tokenId}`));
+}
+
+function toTimestamp(value) {
+  if (value === undefined || value === null) return null;
+  const ms = value instanceof Date ? value.getTime() : typeof value === 'string' ? Date.parse(value) : Number(value);
+  if (!Number.isFinite(ms)) throw new Error(`Keyring: invalid retiredAt ${value}`);
+  return ms;
+}
+
+class Keyring {
+  /**
+   * @param {object[]} keys - [{ id, secret, retiredAt }], newest first
+   * @param {object} [opts]
+   * @param {string} [opts.legacySecret] - Plain secret that verifies macaroons minted before the keyring (no key_id)
+   */
+  constructor(keys = [], opts = {}) {
+    this.keys = [];
+    this.legacySecret = opts.legacySecret || null;
+    for (const key of keys) this.add(key, { append: true });
+    if (this.keys.length === 0) throw new Error('Keyring: at least one key is required');
+  }
+
+  /**
+   * Add a key. New keys go first and become the signing key.
+   * @param {object} key - { id, secret, retiredAt }
+   * @param {object} [opts]
+   * @param {boolean} [opts.append=false] - Add at the end instead
+   */
+  add(key, opts = {}) {
+    if (!key || !key.id || typeof key.id !== 'string') throw new Error('Keyring: key id is required');
+    if (/[\s,=]/.test(key.id)) throw new Error(`Keyring: key id "${key.id}" must not contain whitespace, commas or =`);
+    if (!key.secret) throw new Error(`Keyring: secret is required for key "${key.id}"`);
+    if (this.keys.some(k => k.id === key.id)) throw new Error(`Keyring: duplicate key id "${key.id}"`);
+
+    const entry = { id: key.id, secret: key.secret, retiredAt: toTimestamp(key.retiredAt) };
+    if (opts.append) this.keys.push(entry);
+    else this.keys.unshift(entry);
+  }
+
+  /**
+   * Retire a key: it stops signing now and stops verifying at `at` (default: now).
+   * @param {string} id
+   * @param {Date|number|string} [at]
+   */
+  retire(id, at = Date.now()) {
+    const key = this.keys.find(k => k.id === id);
+    if (!key) throw new Error(`Keyring: unknown key id "${id}"`);
+    key.retiredAt = toTimestamp(at);
+  }
+
+  /**
+   * Whether a key still verifies macaroons.
+   */
+  isActive(key, now = Date.now()) {
+    return key.retiredAt === null || key.retiredAt > now;
+  }
+
+  /**
+   * The key new macaroons are minted with: the first key not scheduled for retirement.
+   * @returns {{ id: string, secret: string }}
+   */
+  signingKey() {
+    const key = this.keys.find(k => k.retiredAt === null) || this.keys.find(k => this.isActive(k));
+    if (!key) throw new Error('Keyring: no active signing key');
+    return key;
+  }
+
+  /**
+   * Look up a key that still verifies macaroons.
+   * @param {string} id
+   * @returns {{ id: string, secret: string } | null}
+   */
+  get(id) {
+    const key = this.keys.find(k => k.id === id);
+    return key && this.isActive(key) ? key : null;
+  }
+}
+
+module.exports = { Keyring, deriveRootKey };
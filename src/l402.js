@@ -5,7 +5,10 @@
  * Implements the L402 (formerly LSAT) protocol for HTTP 402 Payment Required.
  *
  * WWW-Authenticate: L402 invoice="lnbc...", macaroon="..."
- * Authorization: L402 <macaroon>:<preimage>
+ * Authorization: L402 <macaroon>[,<discharge>...]:<preimage>
+ *
+ * Hold-invoice credentials (postpaid: 'hold') are presented before the payment
+ * settles, so without a preimage: Authorization: L402 <macaroon>:
  */
 
 /**
@@ -26,10 +29,16 @@ function formatChallenge(invoice, macaroon) {
  * @param {string} opts.paymentHash - Payment hash (hex)
  * @param {number} opts.amountSats - Amount in satoshis
  * @param {string} [opts.description] - Invoice description
+ * @param {number} [opts.uses] - Number of requests the payment buys
+ * @param {number} [opts.balanceSats] - Prepaid balance the payment buys
+ * @param {object} [opts.fiat] - Fiat price and conversion rate: { currency, amount, rate, rateTimestamp }
+ * @param {string} [opts.topUpFor] - Payment hash of the underpaid credential this challenge tops up
+ * @param {string} [opts.postpaid] - 'hold' or 'prepay': amountSats is the most the request can cost
+ * @param {object} [opts.pass] - Subscription pass the payment buys: { scope, expiresAt }
  * @returns {object}
  */
 function formatChallengeBody(opts) {
-  return {
+  const body = {
     status: 402,
     message: 'Payment Required',
     paymentHash: opts.paymentHash,
@@ -44,13 +53,31 @@ function formatChallengeBody(opts) {
       step3: 'Retry the request with header: Authorization: L402 <macaroon>:<preimage>'
     }
   };
+
+  if (opts.uses) body.uses = opts.uses;
+  if (opts.balanceSats) body.balanceSats = opts.balanceSats;
+  if (opts.fiat) body.fiat = opts.fiat;
+  if (opts.topUpFor) body.topUpFor = opts.topUpFor;
+  if (opts.postpaid) body.postpaid = opts.postpaid;
+  if (opts.pass) body.pass = opts.pass;
+  if (opts.postpaid === 'hold') {
+    body.instructions = {
+      step1: 'Start paying the Lightning invoice above — it is a hold invoice and settles after the request',
+      step2: 'While the payment is in flight, retry the request with header: Authorization: L402 <macaroon>:',
+      step3: 'The payment settles for what the request actually cost; the rest is released'
+    };
+  }
+
+  return body;
 }
 
 /**
  * Parse an Authorization: L402 header.
  * Format: L402 <macaroon>:<preimage>
+ * Discharge macaroons for third-party caveats follow the root macaroon, comma-separated.
+ * The preimage is empty for hold-invoice credentials.
  * @param {string} authHeader - Full Authorization header value
- * @returns {{ macaroon: string, preimage: string } | null}
+ * @returns {{ macaroon: string, preimage: string, discharges: string[] } | null}
  */
 function parseAuthorization(authHeader) {
   if (!authHeader || typeof authHeader !== 'string') return null;
@@ -64,12 +91,12 @@ function parseAuthorization(authHeader) {
   const colonIdx = credentials.indexOf(':');
   if (colonIdx === -1) return null;
 
-  const macaroon = credentials.substring(0, colonIdx);
+  const [macaroon, ...discharges] = credentials.substring(0, colonIdx).split(',').map(m => m.trim());
   const preimage = credentials.substring(colonIdx + 1);
 
-  if (!macaroon || !preimage) return null;
+  if (!macaroon) return null;
 
-  return { macaroon, preimage };
+  return { macaroon, preimage, discharges: discharges.filter(Boolean) };
 }
 
 module.exports = {
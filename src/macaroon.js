@@ -1,6 +1,25 @@
 'use strict';
 
-const crypto = require('crypto');
+const {
+  toBytes,
+  utf8Decode,
+  concat,
+  toHex,
+  fromHex,
+  toBase64,
+  toBase64Url,
+  fromBase64,
+  sha256,
+  hmacSha256,
+  randomBytes,
+  timingSafeEqual,
+  aesGcmEncrypt,
+  aesGcmDecrypt
+} = require('./crypto');
+const { matchPath, matchesAny, matchesPrefix } = require('./match');
+const { Keyring, deriveRootKey } = require('./keyring');
+const { formatFiatCaveat, parseFiatCaveat } = require('./rates');
+const { ipMatches } = require('./clientid');
 
 /**
  * Simple macaroon implementation using HMAC-SHA256.
@@ -11,132 +30,818 @@ const crypto = require('crypto');
  * The id contains the payment hash (binding the macaroon to a specific payment).
  * Caveats restrict where/when/how the macaroon can be used.
  * The signature is chained HMAC — each caveat is folded into the sig.
+ *
+ * Third-party caveats ({ id, vid, location } objects in the caveat list) delegate a
+ * check to another service, which proves it by issuing a discharge macaroon.
+ *
+ * Two wire formats are supported:
+ *   'json' — base64url JSON { id, caveats, signature } (default, lightning-toll native)
+ *   'v2'   — libmacaroons V2 binary with the L402 identifier layout, as used by
+ *            Aperture, lnget and other L402 tooling (standard base64 on the wire)
+ *
+ * Bytes are Uint8Arrays throughout (see ./crypto), so this module also runs on
+ * edge runtimes without node:crypto or Buffer.
+ */
+
+const FORMAT_JSON = 'json';
+const FORMAT_V2 = 'v2';
+
+// libmacaroons V2 binary serialization
+const V2_VERSION = 2;
+const FIELD_EOS = 0;
+const FIELD_LOCATION = 1;
+const FIELD_IDENTIFIER = 2;
+const FIELD_VID = 4;
+const FIELD_SIGNATURE = 6;
+
+// L402 identifier: uint16 version, 32-byte payment hash, 32-byte token id
+const L402_ID_VERSION = 0;
+const L402_ID_LENGTH = 2 + 32 + 32;
+
+// libmacaroons derives the signing key from the root key
+const KEY_GENERATOR = 'macaroons-key-generator';
+
+/**
+ * Format a first-party caveat condition.
+ * JSON macaroons use `key = value`; V2 macaroons use the L402 `key=value` form.
+ */
+function formatCaveat(key, value, format = FORMAT_JSON) {
+  return format === FORMAT_V2 ? `${key}=${value}` : `${key} = ${value}`;
+}
+
+/**
+ * Parse a first-party caveat condition in either `key = value` or `key=value` form.
+ * @param {string} caveat
+ * @returns {{ key: string, value: string } | null}
+ */
+function parseCaveat(caveat) {
+  if (typeof caveat !== 'string') return null;
+  const idx = caveat.indexOf('=');
+  if (idx === -1) return null;
+  const key = caveat.slice(0, idx).trim();
+  if (!key) return null;
+  return { key, value: caveat.slice(idx + 1).trim() };
+}
+
+/**
+ * Build an L402 macaroon identifier.
+ * @param {string} paymentHash - Hex payment hash (32 bytes)
+ * @param {string} tokenId - Hex token id (32 bytes)
+ * @returns {Uint8Array}
+ */
+function encodeIdentifier(paymentHash, tokenId) {
+  const hash = hexBytes(paymentHash, 'paymentHash');
+  const token = hexBytes(tokenId, 'tokenId');
+
+  const id = new Uint8Array(L402_ID_LENGTH);
+  id[0] = L402_ID_VERSION >> 8;
+  id[1] = L402_ID_VERSION & 0xff;
+  id.set(hash, 2);
+  id.set(token, 34);
+  return id;
+}
+
+function hexBytes(hex, name) {
+  let bytes;
+  try {
+    bytes = fromHex(hex);
+  } catch {
+    bytes = null;
+  }
+  if (!bytes || bytes.length !== 32) throw new Error(`${name} must be 32 bytes of hex for v2 macaroons`);
+  return bytes;
+}
+
+/**
+ * Parse an L402 macaroon identifier.
+ * @param {Uint8Array} id
+ * @returns {{ paymentHash: string, tokenId: string } | null}
+ */
+function decodeIdentifier(id) {
+  if (id.length !== L402_ID_LENGTH || ((id[0] << 8) | id[1]) !== L402_ID_VERSION) return null;
+  return {
+    paymentHash: toHex(id.subarray(2, 34)),
+    tokenId: toHex(id.subarray(34))
+  };
+}
+
+/**
+ * Raw identifier bytes of a macaroon (V2 ids are kept as hex, JSON ids as text).
+ * @returns {Uint8Array}
+ */
+function idBytes(macaroon) {
+  return macaroon.format === FORMAT_V2 ? fromHex(macaroon.id) : toBytes(macaroon.id);
+}
+
+function hmac(key, data) {
+  return hmacSha256(key, data);
+}
+
+// libmacaroons hash2: HMAC(key, HMAC(key, a) || HMAC(key, b))
+async function hash2(key, a, b) {
+  return hmac(key, concat(await Promise.all([hmac(key, a), hmac(key, b)])));
+}
+
+/**
+ * Fold one caveat into a signature.
+ * First-party caveats are HMACed directly; third-party caveats fold in their
+ * verification id and caveat id.
+ * @returns {Promise<Uint8Array>}
+ */
+function foldCaveat(sig, caveat) {
+  if (typeof caveat === 'string') return hmac(sig, caveat);
+  return hash2(sig, fromBase64(caveat.vid), toBytes(caveat.id));
+}
+
+/**
+ * Compute the chained HMAC signature of a macaroon.
+ * JSON macaroons sign with the secret directly; V2 macaroons use the libmacaroons
+ * derived key and sign the raw identifier bytes.
+ * @param {string|Uint8Array} secret - Root key
+ * @param {object} macaroon
+ * @param {function} [onThirdParty] - Called with (caveat, signatureBefore) for each third-party caveat
+ * @returns {Promise<Uint8Array>}
+ */
+async function computeSignature(secret, macaroon, onThirdParty) {
+  const key = macaroon.format === FORMAT_V2 ? await hmac(KEY_GENERATOR, secret) : secret;
+  let sig = await hmac(key, idBytes(macaroon));
+  for (const caveat of macaroon.caveats) {
+    if (typeof caveat !== 'string' && onThirdParty) onThirdParty(caveat, sig);
+    sig = await foldCaveat(sig, caveat);
+  }
+  return sig;
+}
+
+/**
+ * Encrypt a third-party caveat root key under the current signature (AES-256-GCM).
+ * @returns {Promise<string>} base64url nonce || ciphertext || tag
+ */
+async function encryptVid(sig, rootKey) {
+  return toBase64Url(await aesGcmEncrypt(sig, rootKey));
+}
+
+/**
+ * Recover a third-party caveat root key from its verification id.
+ * @returns {Promise<Uint8Array|null>}
+ */
+async function decryptVid(sig, vid) {
+  try {
+    return await aesGcmDecrypt(sig, fromBase64(vid));
+  } catch {
+    return null;
+  }
+}
+
+function writeVarint(bytes, n) {
+  while (n >= 0x80) {
+    bytes.push((n & 0x7f) | 0x80);
+    n >>>= 7;
+  }
+  bytes.push(n);
+}
+
+function writeField(chunks, type, data) {
+  const head = [type];
+  writeVarint(head, data.length);
+  chunks.push(Uint8Array.from(head), data);
+}
+
+/**
+ * Serialize a macaroon to libmacaroons V2 binary.
+ * @returns {Uint8Array}
  */
+function encodeV2(macaroon) {
+  const chunks = [Uint8Array.of(V2_VERSION)];
+  if (macaroon.location) writeField(chunks, FIELD_LOCATION, toBytes(macaroon.location));
+  writeField(chunks, FIELD_IDENTIFIER, fromHex(macaroon.id));
+  chunks.push(Uint8Array.of(FIELD_EOS));
+
+  for (const caveat of macaroon.caveats) {
+    if (typeof caveat === 'string') {
+      writeField(chunks, FIELD_IDENTIFIER, toBytes(caveat));
+    } else {
+      if (caveat.location) writeField(chunks, FIELD_LOCATION, toBytes(caveat.location));
+      writeField(chunks, FIELD_IDENTIFIER, toBytes(caveat.id));
+      writeField(chunks, FIELD_VID, fromBase64(caveat.vid));
+    }
+    chunks.push(Uint8Array.of(FIELD_EOS));
+  }
+  chunks.push(Uint8Array.of(FIELD_EOS));
+
+  writeField(chunks, FIELD_SIGNATURE, fromHex(macaroon.signature));
+  return concat(chunks);
+}
+
+/**
+ * Parse libmacaroons V2 binary. Throws on malformed input.
+ * @param {Uint8Array} buf
+ * @returns {object} Decoded macaroon
+ */
+function decodeV2(buf) {
+  let pos = 1; // skip version byte
+
+  function readVarint() {
+    let n = 0;
+    let shift = 0;
+    for (;;) {
+      if (pos >= buf.length) throw new Error('truncated varint');
+      const b = buf[pos++];
+      n += (b & 0x7f) * 2 ** shift;
+      if (!(b & 0x80)) return n;
+      shift += 7;
+      if (shift > 28) throw new Error('varint too long');
+    }
+  }
+
+  // Read one section: fields until EOS, as { type → bytes }
+  function readSection() {
+    const fields = {};
+    for (;;) {
+      const type = readVarint();
+      if (type === FIELD_EOS) return fields;
+      const len = readVarint();
+      if (pos + len > buf.length) throw new Error('truncated field');
+      fields[type] = buf.subarray(pos, pos + len);
+      pos += len;
+    }
+  }
+
+  const header = readSection();
+  if (!header[FIELD_IDENTIFIER]) throw new Error('missing identifier');
+
+  const caveats = [];
+  for (;;) {
+    if (buf[pos] === FIELD_EOS) {
+      pos++;
+      break;
+    }
+    const section = readSection();
+    if (!section[FIELD_IDENTIFIER]) throw new Error('caveat missing identifier');
+    if (section[FIELD_VID]) {
+      caveats.push({
+        id: utf8Decode(section[FIELD_IDENTIFIER]),
+        vid: toBase64Url(section[FIELD_VID]),
+        location: section[FIELD_LOCATION] ? utf8Decode(section[FIELD_LOCATION]) : null
+      });
+    } else {
+      caveats.push(utf8Decode(section[FIELD_IDENTIFIER]));
+    }
+  }
+
+  if (readVarint() !== FIELD_SIGNATURE) throw new Error('missing signature');
+  const sigLen = readVarint();
+  const signature = buf.subarray(pos, pos + sigLen);
+  if (signature.length !== 32) throw new Error('bad signature length');
+
+  const id = header[FIELD_IDENTIFIER];
+  const l402 = decodeIdentifier(id) || {};
+  return {
+    format: FORMAT_V2,
+    location: header[FIELD_LOCATION] ? utf8Decode(header[FIELD_LOCATION]) : null,
+    id: toHex(id),
+    paymentHash: l402.paymentHash || null,
+    tokenId: l402.tokenId || null,
+    caveats,
+    signature: toHex(signature)
+  };
+}
+
+/**
+ * Serialize a macaroon for transport in its own format.
+ * @param {object} macaroon - { id, caveats, signature, format?, location? }
+ * @returns {string} Base64url JSON, or standard base64 V2 binary
+ */
+function encodeMacaroon(macaroon) {
+  if (macaroon.format === FORMAT_V2) {
+    return toBase64(encodeV2(macaroon));
+  }
+  const payload = { id: macaroon.id, caveats: macaroon.caveats, signature: macaroon.signature };
+  return toBase64Url(toBytes(JSON.stringify(payload)));
+}
 
 /**
  * Create a new macaroon.
- * @param {string} secret - Server's HMAC secret
+ * With a Keyring, the macaroon carries a `key_id` caveat and is signed with a
+ * per-token root key derived from the active key.
+ * @param {string|Keyring} secret - Server's HMAC secret, or a keyring
  * @param {object} opts
  * @param {string} opts.paymentHash - Lightning payment hash
- * @param {string} [opts.endpoint] - Bound endpoint path
+ * @param {string} [opts.endpoint] - Bound endpoint path (exact match)
+ * @param {string} [opts.route] - Bound route pattern, e.g. '/api/users/:id'
+ * @param {string} [opts.endpointPrefix] - Bound path prefix, e.g. '/api/users/'
+ * @param {string[]} [opts.endpoints] - Bound path globs, e.g. ['/api/users/*', '/api/teams/**']
  * @param {string} [opts.method] - HTTP method restriction
  * @param {number} [opts.expiresAt] - Unix timestamp for expiry
  * @param {string} [opts.ip] - Client IP restriction
- * @returns {{ id: string, caveats: string[], signature: string, raw: string }}
+ * @param {string} [opts.pubkey] - Nostr pubkey the requests must be signed by (NIP-98)
+ * @param {string} [opts.bodyHash] - Hex SHA-256 of the canonical request body (see ./body)
+ * @param {number} [opts.uses] - Number of requests the payment buys
+ * @param {number} [opts.balance] - Prepaid sat balance debited per request
+ * @param {number} [opts.amount] - Price in sats paid per request, locked at challenge time
+ * @param {object} [opts.topUp] - Marks a top-up for an underpaid credential: { paymentHash, sats }
+ * @param {string} [opts.postpaid] - 'hold': the payment is a hold invoice, settled once the handler reports usage
+ * @param {number} [opts.pass] - Marks a subscription pass, recording the sats paid for it
+ * @param {string[]} [opts.scope] - Path globs a pass is valid for, e.g. ['/api/*']
+ * @param {object} [opts.fiat] - Fiat price and the rate it was converted at: { currency, amount, rate, rateTimestamp }
+ * @param {object|string[]} [opts.caveats] - Extra caveats: key → value, or condition strings
+ * @param {string} [opts.format='json'] - Wire format: 'json' or 'v2'
+ * @param {string} [opts.location] - Macaroon location (v2 only)
+ * @param {string} [opts.tokenId] - Hex token id for the L402 identifier (v2 only, random by default)
+ * @returns {Promise<{ id: string, paymentHash: string, caveats: string[], signature: string, raw: string, format: string }>}
  */
-function createMacaroon(secret, opts = {}) {
+async function createMacaroon(secret, opts = {}) {
   if (!secret) throw new Error('Macaroon secret is required');
   if (!opts.paymentHash) throw new Error('paymentHash is required for macaroon');
 
-  const id = opts.paymentHash;
+  const format = opts.format || FORMAT_JSON;
+  if (format !== FORMAT_JSON && format !== FORMAT_V2) {
+    throw new Error(`Unknown macaroon format: ${format}`);
+  }
+
+  const macaroon = { format, id: opts.paymentHash, paymentHash: opts.paymentHash, caveats: [] };
+  if (format === FORMAT_V2) {
+    macaroon.tokenId = opts.tokenId || toHex(randomBytes(32));
+    macaroon.id = toHex(encodeIdentifier(opts.paymentHash, macaroon.tokenId));
+    macaroon.location = opts.location || null;
+  }
 
   // Build caveats
-  const caveats = [];
-  if (opts.expiresAt) caveats.push(`expires_at = ${opts.expiresAt}`);
-  if (opts.endpoint) caveats.push(`endpoint = ${opts.endpoint}`);
-  if (opts.method) caveats.push(`method = ${opts.method}`);
-  if (opts.ip) caveats.push(`ip = ${opts.ip}`);
+  const caveat = (key, value) => macaroon.caveats.push(formatCaveat(key, value, format));
 
-  // Chain HMAC: start with HMAC(secret, id), then fold each caveat
-  let sig = crypto.createHmac('sha256', secret).update(id).digest();
-  for (const caveat of caveats) {
-    sig = crypto.createHmac('sha256', sig).update(caveat).digest();
+  let rootKey = secret;
+  if (secret instanceof Keyring) {
+    const key = secret.signingKey();
+    caveat('key_id', key.id);
+    rootKey = await deriveRootKey(key.secret, macaroon.id);
   }
 
-  const signature = sig.toString('hex');
+  if (opts.expiresAt) caveat('expires_at', opts.expiresAt);
+  if (opts.endpoint) caveat('endpoint', opts.endpoint);
+  if (opts.route) caveat('route', opts.route);
+  if (opts.endpointPrefix) caveat('endpoint_prefix', opts.endpointPrefix);
+  if (opts.endpoints && opts.endpoints.length) caveat('endpoints', opts.endpoints.join(','));
+  if (opts.method) caveat('method', opts.method);
+  if (opts.ip) caveat('ip', opts.ip);
+  if (opts.pubkey) caveat('pubkey', opts.pubkey);
+  if (opts.bodyHash) caveat('body_hash', opts.bodyHash);
+  if (opts.uses) caveat('uses', opts.uses);
+  if (opts.balance) caveat('balance', opts.balance);
+  if (opts.amount) caveat('amount', opts.amount);
+  if (opts.topUp) caveat('topup', `${opts.topUp.paymentHash}:${opts.topUp.sats}`);
+  if (opts.postpaid) caveat('postpaid', opts.postpaid);
+  if (opts.pass) caveat('pass', opts.pass);
+  if (opts.scope && opts.scope.length) caveat('scope', opts.scope.join(','));
+  if (opts.fiat) caveat('fiat', formatFiatCaveat(opts.fiat));
+  if (Array.isArray(opts.caveats)) {
+    macaroon.caveats.push(...opts.caveats);
+  } else if (opts.caveats) {
+    for (const [key, value] of Object.entries(opts.caveats)) caveat(key, value);
+  }
 
-  // Encode as base64 JSON for transport
-  const payload = { id, caveats, signature };
-  const raw = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  // Chain HMAC: start with HMAC(key, id), then fold each caveat
+  macaroon.signature = toHex(await computeSignature(rootKey, macaroon));
+  macaroon.raw = encodeMacaroon(macaroon);
 
-  return { id, caveats, signature, raw };
+  return macaroon;
 }
 
 /**
  * Decode a raw macaroon string back to its components.
- * @param {string} raw - Base64url-encoded macaroon
- * @returns {{ id: string, caveats: string[], signature: string } | null}
+ * Auto-detects JSON and V2 binary macaroons.
+ * @param {string} raw - Base64url JSON or base64 V2 macaroon
+ * @returns {{ id: string, paymentHash: string, caveats: string[], signature: string, format: string } | null}
  */
 function decodeMacaroon(raw) {
+  if (!raw || typeof raw !== 'string') return null;
   try {
-    const json = Buffer.from(raw, 'base64url').toString('utf8');
-    const parsed = JSON.parse(json);
+    const buf = fromBase64(raw);
+    if (buf[0] === V2_VERSION) return decodeV2(buf);
+
+    const parsed = JSON.parse(utf8Decode(buf));
     if (!parsed.id || !parsed.signature || !Array.isArray(parsed.caveats)) {
       return null;
     }
-    return parsed;
+    const wellFormed = parsed.caveats.every(c =>
+      typeof c === 'string' || (c && typeof c.id === 'string' && typeof c.vid === 'string'));
+    if (!wellFormed) return null;
+    return { ...parsed, format: FORMAT_JSON, paymentHash: parsed.id };
   } catch {
     return null;
   }
 }
 
+// Caveats verified by checkCaveat itself; custom verifiers can't replace them
+const BUILTIN_CAVEATS = [
+  'key_id', 'expires_at', 'endpoint', 'route', 'endpoint_prefix', 'endpoints', 'method', 'ip', 'pubkey', 'uses', 'balance', 'fiat', 'amount', 'topup', 'body_hash', 'postpaid', 'pass', 'scope'
+];
+
+/**
+ * Check one first-party caveat against the request context.
+ * @param {string} key
+ * @param {string} value
+ * @param {object} env
+ * @param {object} env.context - Request context
+ * @param {object} env.verifiers - Custom verifiers: name → (value, req, context) => boolean|string
+ * @param {boolean} env.strict - Reject caveats with no verifier
+ * @returns {string|null} Error message, or null if satisfied
+ */
+function checkCaveat(key, value, env) {
+  const { context } = env;
+  switch (key) {
+    case 'key_id':
+      // Selects the verification key; checked by the signature itself
+      return null;
+    case 'expires_at': {
+      const expiresAt = parseInt(value, 10);
+      if (Date.now() / 1000 > expiresAt) return 'Macaroon expired';
+      return null;
+    }
+    case 'endpoint': {
+      if (context.endpoint && context.endpoint !== value) {
+        return `Endpoint mismatch: expected ${value}, got ${context.endpoint}`;
+      }
+      return null;
+    }
+    case 'route': {
+      if (context.path && !matchPath(value, context.path)) {
+        return `Route mismatch: expected ${value}, got ${context.path}`;
+      }
+      return null;
+    }
+    case 'endpoint_prefix': {
+      if (context.path && !matchesPrefix(value, context.path)) {
+        return `Endpoint mismatch: expected prefix ${value}, got ${context.path}`;
+      }
+      return null;
+    }
+    case 'endpoints': {
+      if (context.path && !matchesAny(value.split(',').map(p => p.trim()), context.path)) {
+        return `Endpoint mismatch: expected one of ${value}, got ${context.path}`;
+      }
+      return null;
+    }
+    case 'method': {
+      if (context.method && context.method.toUpperCase() !== value.toUpperCase()) {
+        return `Method mismatch: expected ${value}, got ${context.method}`;
+      }
+      return null;
+    }
+    case 'body_hash': {
+      if (context.bodyHash !== undefined && context.bodyHash !== value) {
+        return 'Body mismatch: the request body differs from the one paid for';
+      }
+      return null;
+    }
+    case 'ip': {
+      // Either side may be a range: a grouped IPv6 client ('2001:db8::/64') or an attenuated CIDR
+      if (context.ip && !ipMatches(value, context.ip)) {
+        return `IP mismatch: expected ${value}, got ${context.ip}`;
+      }
+      return null;
+    }
+    case 'pubkey': {
+      // null: the request wasn't signed (or nostrAuth is off); undefined: not checked
+      if (context.pubkey === null) return 'Credential is bound to a Nostr pubkey: sign the request (NIP-98)';
+      if (context.pubkey !== undefined && context.pubkey !== value.toLowerCase()) {
+        return `Pubkey mismatch: expected ${value}, got ${context.pubkey}`;
+      }
+      return null;
+    }
+    case 'uses':
+    case 'balance': {
+      // Metering caveats are stateful — the middleware enforces them against the store
+      if (!/^\d+$/.test(value)) return `Malformed caveat: ${key} = ${value}`;
+      return null;
+    }
+    case 'amount': {
+      // Price paid per request at challenge time; compared with the current price by the middleware
+      if (!/^\d+$/.test(value)) return `Malformed caveat: ${key} = ${value}`;
+      return null;
+    }
+    case 'topup': {
+      // <payment hash of the underpaid credential>:<sats topped up>
+      if (!/^[0-9a-f]{64}:\d+$/.test(value)) return `Malformed caveat: ${key} = ${value}`;
+      return null;
+    }
+    case 'scope': {
+      if (context.path && !matchesAny(value.split(',').map(p => p.trim()), context.path)) {
+        return `Outside the pass scope: expected one of ${value}, got ${context.path}`;
+      }
+      return null;
+    }
+    case 'pass': {
+      // Sats paid for a subscription pass; the middleware accepts it on any route in scope
+      if (!/^\d+$/.test(value)) return `Malformed caveat: ${key} = ${value}`;
+      return null;
+    }
+    case 'postpaid': {
+      // Hold-invoice credential: authorized by the held payment, not a preimage
+      if (value !== 'hold') return `Malformed caveat: ${key} = ${value}`;
+      return null;
+    }
+    case 'fiat': {
+      // Records the exchange rate a fiat price was converted at; read by the middleware
+      if (!parseFiatCaveat(value)) return `Malformed caveat: ${key} = ${value}`;
+      return null;
+    }
+    default: {
+      const verifier = Object.prototype.hasOwnProperty.call(env.verifiers, key) ? env.verifiers[key] : null;
+      if (typeof verifier !== 'function') {
+        // Unknown caveats are ignored (forward-compatible) unless strict
+        return env.strict ? `Unknown caveat: ${key}` : null;
+      }
+
+      let result;
+      try {
+        result = verifier(value, context.req, context);
+      } catch (err) {
+        return `Caveat ${key} check failed: ${err.message}`;
+      }
+      if (result === true) return null;
+      if (typeof result === 'string' && result) return result;
+      return `Caveat not satisfied: ${key} = ${value}`;
+    }
+  }
+}
+
+/**
+ * Verify a macaroon's (or discharge's) signature and caveats, recursing into
+ * discharges for its third-party caveats.
+ * @param {string|Uint8Array} key - Root key
+ * @param {object} macaroon - Decoded macaroon
+ * @param {object} env - { context, verifiers, strict, discharges, used }
+ * @param {Uint8Array} [rootSig] - Root signature the discharge must be bound to
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+async function verifyChain(key, macaroon, env, rootSig) {
+  const thirdParty = [];
+  let sig = await computeSignature(key, macaroon, (caveat, sigBefore) => {
+    thirdParty.push({ caveat, rootKey: decryptVid(sigBefore, caveat.vid) });
+  });
+  if (rootSig) sig = await bindSignature(rootSig, sig);
+
+  // Constant-time comparison
+  let givenSig;
+  try {
+    givenSig = fromHex(macaroon.signature);
+  } catch {
+    givenSig = new Uint8Array(0);
+  }
+  if (!timingSafeEqual(givenSig, sig)) {
+    return rootSig ? 'Invalid discharge macaroon signature' : 'Invalid macaroon signature';
+  }
+
+  // Verify first-party caveats
+  for (const caveat of macaroon.caveats) {
+    if (typeof caveat !== 'string') continue;
+    const parsed = parseCaveat(caveat);
+    if (!parsed) return `Malformed caveat: ${caveat}`;
+    const error = checkCaveat(parsed.key, parsed.value, env);
+    if (error) return error;
+  }
+
+  // Every third-party caveat needs a matching discharge, bound to the root signature
+  for (const { caveat, rootKey: decrypting } of thirdParty) {
+    const cid = toBytes(caveat.id);
+    const discharge = env.discharges.find(d => !env.used.has(d) && timingSafeEqual(idBytes(d), cid));
+    if (!discharge) return `Missing discharge for third-party caveat${caveat.location ? ` at ${caveat.location}` : ''}`;
+    const rootKey = await decrypting;
+    if (!rootKey) return 'Malformed third-party caveat';
+    env.used.add(discharge);
+    const error = await verifyChain(rootKey, discharge, env, rootSig || givenSig);
+    if (error) return error;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the root key a macaroon was signed with.
+ * @returns {Promise<{ rootKey?: string|Uint8Array, error?: string }>}
+ */
+async function resolveRootKey(secret, macaroon) {
+  if (!(secret instanceof Keyring)) return { rootKey: secret };
+
+  // The first key_id caveat is the one minted by the server; attenuated copies come later
+  const [kid] = getCaveatValues(macaroon, 'key_id');
+  if (kid === undefined) {
+    if (secret.legacySecret) return { rootKey: secret.legacySecret };
+    return { error: 'Macaroon has no key id' };
+  }
+  const key = secret.get(kid);
+  if (!key) return { error: `Unknown or retired key: ${kid}` };
+  return { rootKey: await deriveRootKey(key.secret, macaroon.id) };
+}
+
 /**
  * Verify a macaroon's signature and caveats.
- * @param {string} secret - Server's HMAC secret
+ * @param {string|Keyring} secret - Server's HMAC secret, or a keyring
  * @param {object} macaroon - Decoded macaroon { id, caveats, signature }
  * @param {object} [context] - Request context for caveat verification
- * @param {string} [context.endpoint] - Current request path
+ * @param {string} [context.endpoint] - Current request path (for exact `endpoint` caveats)
+ * @param {string} [context.path] - Full request path including mount point (for route/prefix/glob caveats)
  * @param {string} [context.method] - Current HTTP method
  * @param {string} [context.ip] - Client IP
- * @returns {{ valid: boolean, error?: string, paymentHash: string }}
+ * @param {string|null} [context.pubkey] - NIP-98 signer of the request (null: unsigned)
+ * @param {string} [context.bodyHash] - Hex SHA-256 of the canonical request body (for `body_hash` caveats)
+ * @param {object} [context.req] - Original request, passed to custom verifiers
+ * @param {object} [opts]
+ * @param {object[]} [opts.discharges] - Decoded discharge macaroons for third-party caveats
+ * @param {object} [opts.verifiers] - Custom caveat verifiers: name → (value, req, context) => boolean|string
+ * @param {boolean} [opts.strict=false] - Reject caveats that have no verifier
+ * @returns {Promise<{ valid: boolean, error?: string, paymentHash: string }>}
  */
-function verifyMacaroon(secret, macaroon, context = {}) {
-  if (!macaroon || !macaroon.id || !macaroon.signature) {
+async function verifyMacaroon(secret, macaroon, context = {}, opts = {}) {
+  if (!macaroon || !macaroon.id || !macaroon.signature || !Array.isArray(macaroon.caveats)) {
     return { valid: false, error: 'Invalid macaroon structure', paymentHash: null };
   }
 
-  // Recompute chained HMAC
-  let sig = crypto.createHmac('sha256', secret).update(macaroon.id).digest();
-  for (const caveat of macaroon.caveats) {
-    sig = crypto.createHmac('sha256', sig).update(caveat).digest();
+  const paymentHash = macaroon.format === FORMAT_V2 ? macaroon.paymentHash : macaroon.id;
+  const discharges = (opts.discharges || []).filter(d => d && d.id && d.signature && Array.isArray(d.caveats));
+
+  const { rootKey, error: keyError } = await resolveRootKey(secret, macaroon);
+  if (keyError) return { valid: false, error: keyError, paymentHash };
+
+  const error = await verifyChain(rootKey, macaroon, {
+    context,
+    verifiers: opts.verifiers || {},
+    strict: !!opts.strict,
+    discharges,
+    used: new Set()
+  });
+  if (error) return { valid: false, error, paymentHash };
+
+  return { valid: true, paymentHash };
+}
+
+/**
+ * Bind a discharge signature to the root macaroon signature it will be presented with.
+ * @returns {Promise<Uint8Array>}
+ */
+function bindSignature(rootSig, dischargeSig) {
+  return hash2(new Uint8Array(32), rootSig, dischargeSig);
+}
+
+/**
+ * Encrypt a caveat root key and condition for a third-party service, producing
+ * a caveat id only that service (holding sharedKey) can read.
+ * @param {string} sharedKey - Key shared with the third party
+ * @param {object} payload
+ * @param {string} payload.rootKey - Caveat root key the discharge will be signed with
+ * @param {string} payload.condition - What the third party must attest (e.g. 'plan = enterprise')
+ * @returns {Promise<string>} base64url caveat id
+ */
+async function encodeThirdPartyCaveatId(sharedKey, payload) {
+  const key = await sha256(sharedKey);
+  return encryptVid(key, toBytes(JSON.stringify({ rootKey: payload.rootKey, condition: payload.condition })));
+}
+
+/**
+ * Decrypt a caveat id created by encodeThirdPartyCaveatId (used by the third party).
+ * @param {string} sharedKey - Key shared with the first party
+ * @param {string} caveatId
+ * @returns {Promise<{ rootKey: string, condition: string } | null>}
+ */
+async function decodeThirdPartyCaveatId(sharedKey, caveatId) {
+  const key = await sha256(sharedKey);
+  const plain = await decryptVid(key, caveatId);
+  if (!plain) return null;
+  try {
+    return JSON.parse(utf8Decode(plain));
+  } catch {
+    return null;
   }
-  const expectedSig = sig.toString('hex');
+}
 
-  // Constant-time comparison
-  if (!crypto.timingSafeEqual(Buffer.from(macaroon.signature, 'hex'), Buffer.from(expectedSig, 'hex'))) {
-    return { valid: false, error: 'Invalid macaroon signature', paymentHash: macaroon.id };
+/**
+ * Add a third-party caveat. Needs no server secret — only the macaroon's signature.
+ *
+ * Pass either { rootKey, id } directly, or { sharedKey, condition } to generate a
+ * random root key and an encrypted caveat id for a service holding sharedKey.
+ *
+ * @param {object} macaroon - Decoded or created macaroon
+ * @param {object} opts
+ * @param {string} [opts.location] - Where to obtain the discharge (e.g. the auth service URL)
+ * @param {string} [opts.rootKey] - Caveat root key
+ * @param {string} [opts.id] - Caveat id
+ * @param {string} [opts.sharedKey] - Key shared with the third party
+ * @param {string} [opts.condition] - Condition the third party must attest
+ * @returns {Promise<object>} New macaroon with the caveat appended (and a fresh `raw`)
+ */
+async function addThirdPartyCaveat(macaroon, opts = {}) {
+  let { rootKey, id } = opts;
+  if (opts.sharedKey) {
+    if (!opts.condition) throw new Error('condition is required with sharedKey');
+    rootKey = toHex(randomBytes(32));
+    id = await encodeThirdPartyCaveatId(opts.sharedKey, { rootKey, condition: opts.condition });
   }
+  if (!rootKey || !id) throw new Error('Third-party caveat needs rootKey and id (or sharedKey and condition)');
 
-  // Verify caveats
-  for (const caveat of macaroon.caveats) {
-    const [key, value] = caveat.split(' = ', 2);
-    if (!key || value === undefined) {
-      return { valid: false, error: `Malformed caveat: ${caveat}`, paymentHash: macaroon.id };
-    }
-
-    switch (key.trim()) {
-      case 'expires_at': {
-        const expiresAt = parseInt(value.trim(), 10);
-        if (Date.now() / 1000 > expiresAt) {
-          return { valid: false, error: 'Macaroon expired', paymentHash: macaroon.id };
-        }
-        break;
-      }
-      case 'endpoint': {
-        if (context.endpoint && context.endpoint !== value.trim()) {
-          return { valid: false, error: `Endpoint mismatch: expected ${value.trim()}, got ${context.endpoint}`, paymentHash: macaroon.id };
-        }
-        break;
-      }
-      case 'method': {
-        if (context.method && context.method.toUpperCase() !== value.trim().toUpperCase()) {
-          return { valid: false, error: `Method mismatch: expected ${value.trim()}, got ${context.method}`, paymentHash: macaroon.id };
-        }
-        break;
-      }
-      case 'ip': {
-        if (context.ip && context.ip !== value.trim()) {
-          return { valid: false, error: `IP mismatch: expected ${value.trim()}, got ${context.ip}`, paymentHash: macaroon.id };
-        }
-        break;
-      }
-      default:
-        // Unknown caveats are ignored (forward-compatible)
-        break;
-    }
+  const sig = fromHex(macaroon.signature);
+  const caveat = { id, vid: await encryptVid(sig, toBytes(rootKey)), location: opts.location || null };
+  const result = { ...macaroon, caveats: [...macaroon.caveats, caveat] };
+  result.signature = toHex(await foldCaveat(sig, caveat));
+  result.raw = encodeMacaroon(result);
+  return result;
+}
+
+/**
+ * Attenuate a macaroon: append restrictive first-party caveats by folding them into
+ * the HMAC chain from its current signature. Needs no server secret, so any holder
+ * can hand a narrower token to someone else.
+ *
+ * @param {string} rawMacaroon - Encoded macaroon (either format)
+ * @param {string[]|object} caveats - Caveat strings ('expires_at = 1706900000'),
+ *   or an object of key → value ({ expires_at: 1706900000, method: 'GET' })
+ * @returns {Promise<string>} Encoded attenuated macaroon, in the same format
+ */
+async function attenuate(rawMacaroon, caveats) {
+  const macaroon = decodeMacaroon(rawMacaroon);
+  if (!macaroon) throw new Error('Invalid macaroon');
+
+  const conditions = Array.isArray(caveats)
+    ? caveats
+    : Object.entries(caveats || {}).map(([key, value]) => formatCaveat(key, value, macaroon.format));
+  if (conditions.length === 0) throw new Error('At least one caveat is required to attenuate');
+
+  let sig = fromHex(macaroon.signature);
+  for (const condition of conditions) {
+    if (!parseCaveat(condition)) throw new Error(`Malformed caveat: ${condition}`);
+    sig = await foldCaveat(sig, condition);
   }
 
-  return { valid: true, paymentHash: macaroon.id };
+  return encodeMacaroon({
+    ...macaroon,
+    caveats: [...macaroon.caveats, ...conditions],
+    signature: toHex(sig)
+  });
+}
+
+/**
+ * Get the third-party caveats of a macaroon (what discharges the client must obtain).
+ * @param {object} macaroon - Decoded macaroon
+ * @returns {{ id: string, location: string|null }[]}
+ */
+function getThirdPartyCaveats(macaroon) {
+  return (macaroon.caveats || [])
+    .filter(c => typeof c !== 'string')
+    .map(c => ({ id: c.id, location: c.location || null }));
+}
+
+/**
+ * Create a discharge macaroon for a third-party caveat (used by the third party).
+ * @param {string} rootKey - Caveat root key (from decodeThirdPartyCaveatId)
+ * @param {string} caveatId - The third-party caveat id
+ * @param {object} [opts]
+ * @param {string[]} [opts.caveats] - First-party caveats, e.g. ['expires_at = 1706900000']
+ * @param {string} [opts.format='json'] - Wire format: 'json' or 'v2'
+ * @param {string} [opts.location] - Discharge location (v2 only)
+ * @returns {Promise<object>} Unbound discharge macaroon (bind it with bindDischarge before use)
+ */
+async function createDischarge(rootKey, caveatId, opts = {}) {
+  if (!rootKey) throw new Error('Discharge root key is required');
+  if (!caveatId) throw new Error('caveatId is required for discharge');
+
+  const format = opts.format || FORMAT_JSON;
+  const discharge = {
+    format,
+    id: format === FORMAT_V2 ? toHex(toBytes(caveatId)) : caveatId,
+    caveats: [...(opts.caveats || [])]
+  };
+  if (format === FORMAT_V2) discharge.location = opts.location || null;
+
+  discharge.signature = toHex(await computeSignature(rootKey, discharge));
+  discharge.raw = encodeMacaroon(discharge);
+  return discharge;
+}
+
+/**
+ * Bind a discharge macaroon to the root macaroon it will be presented with, so it
+ * can't be reused with another token. Needs no secret.
+ * @param {object} rootMacaroon - Decoded root macaroon
+ * @param {object} discharge - Decoded, unbound discharge macaroon
+ * @returns {Promise<object>} Bound discharge (with a fresh `raw`)
+ */
+async function bindDischarge(rootMacaroon, discharge) {
+  const bound = { ...discharge };
+  bound.signature = toHex(await bindSignature(fromHex(rootMacaroon.signature), fromHex(discharge.signature)));
+  bound.raw = encodeMacaroon(bound);
+  return bound;
+}
+
+/**
+ * Get every value of a caveat on a macaroon, in order.
+ * @param {object} macaroon - Decoded macaroon { id, caveats, signature }
+ * @param {string} key - Caveat name (e.g. 'uses')
+ * @returns {string[]}
+ */
+function getCaveatValues(macaroon, key) {
+  const values = [];
+  for (const caveat of macaroon.caveats || []) {
+    const parsed = parseCaveat(caveat);
+    if (parsed && parsed.key === key) values.push(parsed.value);
+  }
+  return values;
 }
 
 /**
@@ -144,21 +849,32 @@ function verifyMacaroon(secret, macaroon, context = {}) {
  * payment_hash = SHA256(preimage)
  * @param {string} preimage - Hex-encoded preimage
  * @param {string} paymentHash - Hex-encoded payment hash
- * @returns {boolean}
+ * @returns {Promise<boolean>}
  */
-function verifyPreimage(preimage, paymentHash) {
+async function verifyPreimage(preimage, paymentHash) {
   if (!preimage || !paymentHash) return false;
   try {
-    const computed = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
-    return crypto.timingSafeEqual(Buffer.from(computed, 'hex'), Buffer.from(paymentHash, 'hex'));
+    return timingSafeEqual(await sha256(fromHex(preimage)), fromHex(paymentHash));
   } catch {
     return false;
   }
 }
 
 module.exports = {
+  BUILTIN_CAVEATS,
   createMacaroon,
   decodeMacaroon,
+  encodeMacaroon,
   verifyMacaroon,
-  verifyPreimage
+  verifyPreimage,
+  getCaveatValues,
+  parseCaveat,
+  formatCaveat,
+  attenuate,
+  addThirdPartyCaveat,
+  getThirdPartyCaveats,
+  createDischarge,
+  bindDischarge,
+  encodeThirdPartyCaveatId,
+  decodeThirdPartyCaveatId
 };
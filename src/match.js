@@ -0,0 +1,251 @@
+'use strict';
+
+/**
+ * Path pattern matching for endpoint caveats and route tables.
+ *
+ * Patterns support:
+ *   :name  — one path segment, captured as a param ('/api/users/:id')
+ *   *      — anything within one segment ('/api/*.json')
+ *   **     — as a whole segment, one or more segments ('/api/**'); inside a segment, same as *
+ *
+ * Caveat patterns come from token holders, so matching never backtracks: each
+ * segment is matched by a linear pass over the positions still able to reach
+ * the end, and `**` by the same pass over segments. Patterns are capped at
+ * MAX_PATTERN_LENGTH characters and MAX_GLOBS wildcards.
+ */
+
+const MAX_PATTERN_LENGTH = 256;
+const MAX_GLOBS = 8;
+const MAX_CACHE = 1000;
+
+const cache = new Map();
+
+/**
+ * Split one pattern segment into literal, star and param tokens.
+ */
+function compileSegment(text, keys) {
+  if (text === '**') return { globstar: true, globs: 1 };
+
+  const tokens = [];
+  let globs = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '*') {
+      while (text[i + 1] === '*') i++;
+      tokens.push({ star: true });
+      globs++;
+    } else if (ch === ':' && /[A-Za-z_]/.test(text[i + 1] || '')) {
+      const name = text.slice(i + 1).match(/^[A-Za-z0-9_]+/)[0];
+      keys.push(name);
+      tokens.push({ param: name });
+      i += name.length;
+    } else if (tokens.length > 0 && tokens[tokens.length - 1].literal !== undefined) {
+      tokens[tokens.length - 1].literal += ch;
+    } else {
+      tokens.push({ literal: ch });
+    }
+  }
+  return { tokens, globs };
+}
+
+/**
+ * Compile a path pattern. Throws when it is too long or has too many wildcards.
+ * @param {string} pattern
+ * @returns {{ segments: object[], keys: string[] }}
+ */
+function compilePattern(pattern) {
+  let compiled = cache.get(pattern);
+  if (compiled) return compiled;
+
+  if (typeof pattern !== 'string' || pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`Path pattern must be a string of at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+  const keys = [];
+  const segments = pattern.split('/').map(text => compileSegment(text, keys));
+  if (segments.reduce((n, segment) => n + segment.globs, 0) > MAX_GLOBS) {
+    throw new Error(`Path pattern must have at most ${MAX_GLOBS} wildcards`);
+  }
+
+  compiled = { segments, keys };
+  if (cache.size >= MAX_CACHE) cache.delete(cache.keys().next().value);
+  cache.set(pattern, compiled);
+  return compiled;
+}
+
+/**
+ * Match one path segment against a segment's tokens.
+ * @returns {string[]|null} Captured params, or null
+ */
+function matchSegment(tokens, text) {
+  if (tokens.length === 0) return text === '' ? [] : null;
+  if (tokens.length === 1 && tokens[0].literal !== undefined) return tokens[0].literal === text ? [] : null;
+
+  // reach[i][p]: tokens i.. can match text from position p to the end
+  const length = text.length;
+  const reach = new Array(tokens.length + 1);
+  reach[tokens.length] = new Uint8Array(length + 1);
+  reach[tokens.length][length] = 1;
+  for (let i = tokens.length - 1; i >= 0; i--) {
+    const token = tokens[i];
+    const next = reach[i + 1];
+    const current = new Uint8Array(length + 1);
+    if (token.literal !== undefined) {
+      const size = token.literal.length;
+      for (let p = 0; p + size <= length; p++) {
+        if (next[p + size] && text.startsWith(token.literal, p)) current[p] = 1;
+      }
+    } else {
+      let last = next.lastIndexOf(1);
+      if (token.param) last--; // a param takes at least one character
+      for (let p = 0; p <= last; p++) current[p] = 1;
+    }
+    reach[i] = current;
+  }
+  if (!reach[0][0]) return null;
+
+  // Walk forward, each wildcard taking as much as it can
+  const captures = [];
+  let pos = 0;
+  tokens.forEach((token, i) => {
+    if (token.literal !== undefined) {
+      pos += token.literal.length;
+      return;
+    }
+    const end = reach[i + 1].lastIndexOf(1);
+    if (token.param) captures.push(text.slice(pos, end));
+    pos = end;
+  });
+  return captures;
+}
+
+/**
+ * Match a path against a pattern. Patterns over the limits match nothing.
+ * @param {string} pattern
+ * @param {string} path
+ * @returns {object|null} Captured params, or null if the path doesn't match
+ */
+function matchPath(pattern, path) {
+  let compiled;
+  try {
+    compiled = compilePattern(pattern);
+  } catch {
+    return null;
+  }
+  const { segments, keys } = compiled;
+  const parts = String(path).split('/');
+
+  // reach[i][j]: pattern segments i.. match path segments j..
+  const reach = new Array(segments.length + 1);
+  reach[segments.length] = new Uint8Array(parts.length + 1);
+  reach[segments.length][parts.length] = 1;
+  for (let i = segments.length - 1; i >= 0; i--) {
+    const segment = segments[i];
+    const next = reach[i + 1];
+    const current = new Uint8Array(parts.length + 1);
+    if (segment.globstar) {
+      let any = 0;
+      for (let j = parts.length - 1; j >= 0; j--) {
+        any |= next[j + 1];
+        current[j] = any;
+      }
+    } else {
+      for (let j = 0; j < parts.length; j++) {
+        if (next[j + 1] && matchSegment(segment.tokens, parts[j])) current[j] = 1;
+      }
+    }
+    reach[i] = current;
+  }
+  if (!reach[0][0]) return null;
+
+  const values = [];
+  let j = 0;
+  segments.forEach((segment, i) => {
+    if (segment.globstar) {
+      j = reach[i + 1].lastIndexOf(1);
+    } else {
+      values.push(...matchSegment(segment.tokens, parts[j]));
+      j++;
+    }
+  });
+
+  const params = {};
+  keys.forEach((key, i) => {
+    try {
+      params[key] = decodeURIComponent(values[i]);
+    } catch {
+      params[key] = values[i];
+    }
+  });
+  return params;
+}
+
+/**
+ * Split a path into decoded segments, each a list of the pieces between encoded
+ * '/'s, with empty and '.' segments dropped and '..' resolved.
+ * @returns {string[][]|null} null for a malformed escape
+ */
+function decodeSegments(path) {
+  const segments = [];
+  for (const part of String(path).split('/')) {
+    let pieces;
+    try {
+      pieces = part.split(/%2f/i).map(decodeURIComponent);
+    } catch {
+      return null;
+    }
+    const segment = pieces.join('%2F');
+    if (segment === '' || segment === '.') continue;
+    if (segment === '..') segments.pop();
+    else segments.push(pieces);
+  }
+  return segments;
+}
+
+/**
+ * Reduce a request path to the form routers match on: percent-escapes decoded
+ * (except an encoded '/'), repeated slashes collapsed, '.' and '..' segments
+ * resolved and a trailing slash dropped. Case is left to the caller.
+ * @param {string} path - Request path, without the query string
+ * @returns {string|null} The normalized path, or null for a malformed escape
+ */
+function normalizePath(path) {
+  const segments = decodeSegments(path);
+  return segments && '/' + segments.map(pieces => pieces.join('%2F')).join('/');
+}
+
+/**
+ * The same path re-encoded for sending on: what normalizePath() matched, with
+ * nothing left ('..', '%2e%2e', '//') for a server further along to resolve
+ * differently. A trailing slash is kept.
+ * @param {string} path - Request path, without the query string
+ * @returns {string|null} The canonical path, or null for a malformed escape
+ */
+function canonicalPath(path) {
+  const segments = decodeSegments(path);
+  if (!segments) return null;
+  const canonical = '/' + segments.map(pieces => pieces.map(encodeURIComponent).join('%2F')).join('/');
+  return canonical !== '/' && String(path).endsWith('/') ? canonical + '/' : canonical;
+}
+
+/**
+ * Check whether a path matches any of a list of patterns.
+ * @param {string[]} patterns
+ * @param {string} path
+ * @returns {boolean}
+ */
+function matchesAny(patterns, path) {
+  return patterns.some(pattern => matchPath(pattern, path) !== null);
+}
+
+/**
+ * Check whether a path lies under a prefix on a segment boundary: '/api/users'
+ * covers '/api/users' and '/api/users/42' but not '/api/users-admin'.
+ * @param {string} prefix
+ * @param {string} path
+ * @returns {boolean}
+ */
+function matchesPrefix(prefix, path) {
+  return path === prefix || path.startsWith(prefix.endsWith('/') ? prefix : prefix + '/');
+}
+
+module.exports = { compilePattern, matchPath, matchesAny, matchesPrefix, normalizePath, canonicalPath, MAX_PATTERN_LENGTH, MAX_GLOBS };
@@ -70,6 +70,46 @@ function createMetricsExporter(stats) {
       'counter'
     ));
     
+    lines.push('');
+    lines.push(formatMetric(
+      'reused_requests_total',
+      data.totalReused || 0,
+      {},
+      'Total number of requests served by an already-paid credential',
+      'counter'
+    ));
+    
+    const invoices = data.invoices || {};
+    lines.push('');
+    ['issued', 'paid', 'expired'].forEach((status, i) => {
+      lines.push(formatMetric(
+        'invoices_total',
+        invoices[status] || 0,
+        { status },
+        i === 0 ? 'Invoices by lifecycle status' : null,
+        'counter'
+      ));
+    });
+    
+    const passes = data.passes || {};
+    lines.push('');
+    lines.push(formatMetric(
+      'passes_sold_total',
+      passes.sold || 0,
+      {},
+      'Total number of subscription passes bought',
+      'counter'
+    ));
+
+    lines.push('');
+    lines.push(formatMetric(
+      'pass_requests_total',
+      passes.requests || 0,
+      {},
+      'Total number of requests made with a subscription pass',
+      'counter'
+    ));
+
     lines.push('');
     lines.push(formatMetric(
       'unique_payers',
@@ -102,11 +142,23 @@ function createMetricsExporter(stats) {
         { endpoint }
       ));
       
+      lines.push(formatMetric(
+        'endpoint_reused',
+        epData.reused || 0,
+        { endpoint }
+      ));
+      
       lines.push(formatMetric(
         'endpoint_free',
         epData.free || 0,
         { endpoint }
       ));
+
+      lines.push(formatMetric(
+        'endpoint_pass',
+        epData.pass || 0,
+        { endpoint }
+      ));
     }
     
     // Recent payment rate (last minute approximation)
@@ -1,30 +1,31 @@
 'use strict';
 
-const { createMacaroon, decodeMacaroon, verifyMacaroon, verifyPreimage } = require('./macaroon');
-const { formatChallenge, formatChallengeBody, parseAuthorization } = require('./l402');
+const { createEvaluator, parseWindow, getClientId } = require('./evaluate');
+const { normalizePath } = require('./match');
 
 /**
- * Parse a time window string like '1h', '30m', '1d' to milliseconds.
+ * The query string of a request URL, with its '?'.
  */
-function parseWindow(window) {
-  if (typeof window === 'number') return window;
-  if (!window || typeof window !== 'string') return 3600000; // default 1h
-
-  const match = window.match(/^(\d+)(ms|s|m|h|d)$/);
-  if (!match) return 3600000;
-
-  const num = parseInt(match[1], 10);
-  const unit = match[2];
-  const multipliers = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
-  return num * (multipliers[unit] || 3600000);
+function querySearch(url) {
+  const index = (url || '').indexOf('?');
+  return index >= 0 ? url.slice(index) : '';
 }
 
 /**
- * Get client identifier from request.
- * Prefers X-Forwarded-For, falls back to req.ip.
+ * Translate an Express request into a TollRequest.
  */
-function getClientId(req) {
-  return req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || req.socket?.remoteAddress || 'unknown';
+function toTollRequest(req) {
+  return {
+    method: req.method,
+    path: req.path || (req.url || '/').split('?')[0],
+    search: querySearch(req.originalUrl || req.url),
+    headers: req.headers,
+    ip: req.ip || req.socket?.remoteAddress,
+    baseUrl: req.baseUrl || '',
+    route: req.route && typeof req.route.path === 'string' ? (req.baseUrl || '') + req.route.path : undefined,
+    body: req.body, // set by a body parser (express.json(), express.urlencoded(), express.raw())
+    raw: req
+  };
 }
 
 /**
@@ -34,209 +35,50 @@ function getClientId(req) {
  * @returns {Function} Express middleware
  */
 function createMiddleware(config, routeOpts = {}) {
-  const {
-    wallet,
-    secret,
-    stats,
-    defaultSats,
-    invoiceExpiry,
-    macaroonExpiry,
-    onPayment,
-    bindEndpoint,
-    bindMethod,
-    bindIp
-  } = config;
-
-  // Resolve price for this request
-  function resolvePrice(req) {
-    if (typeof routeOpts.price === 'function') return routeOpts.price(req);
-    if (typeof routeOpts.sats === 'number') return routeOpts.sats;
-    return defaultSats;
-  }
+  const evaluate = createEvaluator(config, routeOpts);
 
-  // Resolve description for this request
-  function resolveDescription(req) {
-    if (typeof routeOpts.description === 'function') return routeOpts.description(req);
-    if (typeof routeOpts.description === 'string') return routeOpts.description;
-    return `API access: ${req.method} ${req.path}`;
-  }
-
-  // Free tier tracking: clientId → { count, windowStart }
-  const freeTierMap = new Map();
-  const freeRequests = routeOpts.freeRequests || 0;
-  const freeWindowMs = parseWindow(routeOpts.freeWindow || '1h');
+  return async function tollMiddleware(req, res, next) {
+    return respond(await evaluate(toTollRequest(req)), req, res, next);
+  };
+}
 
-  // Cleanup free tier map periodically
-  if (freeRequests > 0) {
-    const cleanupInterval = setInterval(() => {
-      const now = Date.now();
-      for (const [key, entry] of freeTierMap) {
-        if (now - entry.windowStart > freeWindowMs * 2) {
-          freeTierMap.delete(key);
-        }
-      }
-    }, freeWindowMs);
-    if (cleanupInterval.unref) cleanupInterval.unref();
+/**
+ * Create one app-level middleware for a compiled pricing table. Requests
+ * matching no rule, or a free rule, pass straight through; a path with a
+ * malformed escape can't be matched safely and is refused.
+ * @param {object} config - From createToll
+ * @param {object} pricing - From compilePricing
+ * @returns {Function} Express middleware
+ */
+function createPricingMiddleware(config, pricing) {
+  const evaluators = new Map();
+  for (const rule of pricing.rules) {
+    if (!rule.free) evaluators.set(rule, createEvaluator(config, rule.opts));
   }
 
-  /**
-   * Check if client has free requests remaining.
-   */
-  function checkFreeTier(clientId) {
-    if (freeRequests <= 0) return false;
+  return async function tollPricingMiddleware(req, res, next) {
+    const path = (req.baseUrl || '') + (req.path || (req.url || '/').split('?')[0]);
+    if (normalizePath(path) === null) return res.status(400).json({ error: 'Malformed request path' });
 
-    const now = Date.now();
-    let entry = freeTierMap.get(clientId);
+    const rule = pricing.match(req.method, path);
+    if (!rule || rule.free) return next();
 
-    if (!entry || now - entry.windowStart > freeWindowMs) {
-      // New window
-      entry = { count: 0, windowStart: now };
-      freeTierMap.set(clientId, entry);
-    }
+    // The rule's pattern is the route, for endpointBinding: 'route'
+    const result = await evaluators.get(rule)({ ...toTollRequest(req), route: rule.path });
+    return respond(result, req, res, next);
+  };
+}
 
-    if (entry.count < freeRequests) {
-      entry.count++;
-      return true;
-    }
+function respond(result, req, res, next) {
+  for (const [name, value] of Object.entries(result.headers)) res.set(name, value);
 
-    return false;
+  if (!result.allowed) {
+    return res.status(result.status).json(result.body);
   }
-
-  // Track used preimages to prevent replay (payment hash → timestamp)
-  // Note: In a production system, you'd want persistent storage
-  const usedPreimages = new Map();
-
-  // Cleanup old preimage entries periodically
-  const preimageCleanupInterval = setInterval(() => {
-    const cutoff = Date.now() - (macaroonExpiry * 1000 * 2);
-    for (const [hash, ts] of usedPreimages) {
-      if (ts < cutoff) usedPreimages.delete(hash);
-    }
-  }, 60000);
-  if (preimageCleanupInterval.unref) preimageCleanupInterval.unref();
-
-  // The actual middleware
-  return async function tollMiddleware(req, res, next) {
-    const clientId = getClientId(req);
-    const endpoint = req.path || req.url;
-
-    // Check for existing L402 authorization
-    const authHeader = req.headers.authorization;
-    const l402Creds = parseAuthorization(authHeader);
-
-    if (l402Creds) {
-      // Client is presenting credentials — verify them
-      const decoded = decodeMacaroon(l402Creds.macaroon);
-      if (!decoded) {
-        return res.status(401).json({ error: 'Invalid macaroon' });
-      }
-
-      // Verify macaroon signature and caveats
-      const context = {
-        endpoint: bindEndpoint !== false ? endpoint : undefined,
-        method: bindMethod !== false ? req.method : undefined,
-        ip: bindIp ? clientId : undefined
-      };
-
-      const macResult = verifyMacaroon(secret, decoded, context);
-      if (!macResult.valid) {
-        return res.status(401).json({ error: macResult.error });
-      }
-
-      // Verify preimage matches payment hash
-      if (!verifyPreimage(l402Creds.preimage, decoded.id)) {
-        return res.status(401).json({ error: 'Invalid preimage — does not match payment hash' });
-      }
-
-      // Record the payment in stats
-      const price = resolvePrice(req);
-      stats.record(endpoint, true, price, clientId, decoded.id);
-
-      // Attach payment info to request
-      req.toll = {
-        paid: true,
-        paymentHash: decoded.id,
-        amountSats: price,
-        clientId
-      };
-
-      return next();
-    }
-
-    // No L402 credentials — check free tier
-    if (checkFreeTier(clientId)) {
-      stats.record(endpoint, false, 0, clientId);
-      req.toll = { paid: false, free: true, clientId };
-      return next();
-    }
-
-    // No auth, no free tier — issue a 402 challenge
-    try {
-      const amountSats = resolvePrice(req);
-      const description = resolveDescription(req);
-
-      // Create Lightning invoice via wallet
-      const invoiceResult = await wallet.createInvoice({
-        amountSats,
-        description,
-        expiry: invoiceExpiry
-      });
-
-      if (!invoiceResult || !invoiceResult.invoice || !invoiceResult.paymentHash) {
-        return res.status(500).json({ error: 'Failed to create Lightning invoice' });
-      }
-
-      // Create macaroon bound to this payment
-      const expiresAt = Math.floor(Date.now() / 1000) + macaroonExpiry;
-      const macaroonOpts = {
-        paymentHash: invoiceResult.paymentHash,
-        expiresAt
-      };
-
-      if (bindEndpoint !== false) macaroonOpts.endpoint = endpoint;
-      if (bindMethod !== false) macaroonOpts.method = req.method;
-      if (bindIp) macaroonOpts.ip = clientId;
-
-      const macaroon = createMacaroon(secret, macaroonOpts);
-
-      // Build 402 response
-      const wwwAuth = formatChallenge(invoiceResult.invoice, macaroon.raw);
-      const body = formatChallengeBody({
-        invoice: invoiceResult.invoice,
-        macaroon: macaroon.raw,
-        paymentHash: invoiceResult.paymentHash,
-        amountSats,
-        description
-      });
-
-      // Fire onPayment callback when payment is received (async, non-blocking)
-      if (onPayment) {
-        // Don't await — let the payment monitoring happen in the background
-        wallet.waitForPayment(invoiceResult.paymentHash, { timeoutMs: invoiceExpiry * 1000 })
-          .then(result => {
-            if (result.paid) {
-              try {
-                onPayment({
-                  paymentHash: invoiceResult.paymentHash,
-                  amountSats,
-                  endpoint,
-                  preimage: result.preimage,
-                  settledAt: result.settledAt,
-                  clientId
-                });
-              } catch (_) { /* don't crash on callback errors */ }
-            }
-          })
-          .catch(() => { /* timeout or error — ignore */ });
-      }
-
-      res.status(402)
-        .set('WWW-Authenticate', wwwAuth)
-        .json(body);
-    } catch (err) {
-      res.status(500).json({ error: 'Toll booth error: ' + err.message });
-    }
-  };
+  req.toll = result.toll;
+  // Postpaid routes: settle whatever the handler didn't once the response is done
+  if (result.finish) res.on('close', () => result.finish(res.statusCode));
+  return next();
 }
 
-module.exports = { createMiddleware, parseWindow, getClientId };
+module.exports = { createMiddleware, createPricingMiddleware, toTollRequest, parseWindow, getClientId };
@@ -0,0 +1,159 @@
+'use strict';
+
+const { sha256, randomBytes, toHex, fromHex } = require('./crypto');
+
+/**
+ * In-memory wallet for tests and local development. Implements the wallet
+ * interface lightning-toll uses (createInvoice, lookupInvoice, waitForPayment)
+ * plus hold invoices (createHoldInvoice, settleHoldInvoice, cancelHoldInvoice),
+ * and can pay its own invoices with payInvoice().
+ *
+ *   const wallet = new MockWallet();
+ *   const toll = createToll({ wallet, secret: 'test' });
+ *   const client = new TollClient({ wallet });
+ */
+class MockWallet {
+  constructor() {
+    this.invoices = new Map(); // paymentHash → invoice record
+    this.receivedSats = 0;
+  }
+
+  _add(record) {
+    this.invoices.set(record.paymentHash, record);
+    return { invoice: record.invoice, paymentHash: record.paymentHash };
+  }
+
+  _find(invoice) {
+    const match = /^lnmock\d+n1([0-9a-f]{64})$/.exec(invoice || '');
+    const record = match && this.invoices.get(match[1]);
+    if (!record) throw new Error('MockWallet: unknown invoice');
+    return record;
+  }
+
+  /**
+   * @param {object} opts - { amountSats, description, expiry }
+   * @returns {Promise<{ invoice: string, paymentHash: string }>}
+   */
+  async createInvoice({ amountSats, description, expiry = 3600 } = {}) {
+    const preimage = toHex(randomBytes(32));
+    const paymentHash = toHex(await sha256(fromHex(preimage)));
+    return this._add({
+      invoice: `lnmock${amountSats}n1${paymentHash}`,
+      paymentHash,
+      preimage,
+      amountSats,
+      description,
+      hold: false,
+      state: 'open',
+      expiresAt: Date.now() + expiry * 1000
+    });
+  }
+
+  /**
+   * Create a hold invoice for a payment hash whose preimage the caller keeps.
+   * Payments to it are held (state 'accepted') until settled or cancelled.
+   * @param {object} opts - { amountSats, paymentHash, description, expiry }
+   * @returns {Promise<{ invoice: string, paymentHash: string }>}
+   */
+  async createHoldInvoice({ amountSats, paymentHash, description, expiry = 3600 } = {}) {
+    if (!/^[0-9a-f]{64}$/.test(paymentHash || '')) throw new Error('MockWallet: paymentHash is required');
+    if (this.invoices.has(paymentHash)) throw new Error('MockWallet: invoice already exists');
+    return this._add({
+      invoice: `lnmock${amountSats}n1${paymentHash}`,
+      paymentHash,
+      preimage: null,
+      amountSats,
+      description,
+      hold: true,
+      state: 'open',
+      expiresAt: Date.now() + expiry * 1000
+    });
+  }
+
+  /**
+   * Pay an invoice issued by this wallet. Regular invoices settle at once;
+   * hold invoices resolve when settled and reject when cancelled.
+   * @param {string} invoice
+   * @returns {Promise<{ preimage: string, paymentHash: string, amountSats: number }>}
+   */
+  async payInvoice(invoice) {
+    const record = this._find(invoice);
+    if (record.state !== 'open') throw new Error(`MockWallet: invoice is ${record.state}`);
+    if (Date.now() > record.expiresAt) throw new Error('MockWallet: invoice expired');
+
+    if (!record.hold) {
+      this._settle(record, record.amountSats);
+      return { preimage: record.preimage, paymentHash: record.paymentHash, amountSats: record.amountSats };
+    }
+
+    record.state = 'accepted';
+    return new Promise((resolve, reject) => {
+      record.waiter = { resolve, reject };
+    });
+  }
+
+  _settle(record, settledSats) {
+    record.state = 'settled';
+    record.settledSats = settledSats;
+    record.settledAt = Date.now();
+    this.receivedSats += settledSats;
+  }
+
+  /**
+   * Settle a held payment. Like a node's, it is captured in full.
+   * @param {object} opts - { paymentHash, preimage }
+   * @returns {Promise<{ settledSats: number }>}
+   */
+  async settleHoldInvoice({ paymentHash, preimage } = {}) {
+    const matches = toHex(await sha256(fromHex(preimage))) === paymentHash;
+    const record = this.invoices.get(paymentHash);
+    if (!record || !record.hold) throw new Error('MockWallet: unknown hold invoice');
+    if (record.state !== 'accepted') throw new Error(`MockWallet: hold invoice is ${record.state}`);
+    if (!matches) throw new Error('MockWallet: preimage does not match');
+
+    const settledSats = record.amountSats;
+    record.preimage = preimage;
+    this._settle(record, settledSats);
+    if (record.waiter) record.waiter.resolve({ preimage, paymentHash, amountSats: settledSats });
+    return { settledSats };
+  }
+
+  /**
+   * Cancel a hold invoice, returning any held payment to the payer.
+   * @param {string} paymentHash
+   * @returns {Promise<void>}
+   */
+  async cancelHoldInvoice(paymentHash) {
+    const record = this.invoices.get(paymentHash);
+    if (!record || !record.hold) throw new Error('MockWallet: unknown hold invoice');
+    if (record.state === 'settled') throw new Error('MockWallet: hold invoice is settled');
+    record.state = 'canceled';
+    if (record.waiter) record.waiter.reject(new Error('MockWallet: payment cancelled by the receiver'));
+  }
+
+  /**
+   * @param {string} paymentHash
+   * @returns {Promise<{ paid: boolean, state: string, preimage?: string, settledAt?: number, amountSats: number, settledSats?: number }>}
+   */
+  async lookupInvoice(paymentHash) {
+    const record = this.invoices.get(paymentHash);
+    if (!record) throw new Error('MockWallet: unknown invoice');
+    const result = { paid: record.state === 'settled', state: record.state, amountSats: record.amountSats };
+    if (result.paid) Object.assign(result, { preimage: record.preimage, settledAt: record.settledAt, settledSats: record.settledSats });
+    return result;
+  }
+
+  /**
+   * Resolve once an invoice is settled, or with { paid: false } after timeoutMs.
+   */
+  async waitForPayment(paymentHash, { timeoutMs = 1000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const result = await this.lookupInvoice(paymentHash);
+      if (result.paid || Date.now() >= deadline) return result;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+}
+
+module.exports = { MockWallet };
@@ -0,0 +1,114 @@
+'use strict';
+
+const { sha256, toBytes, toHex, toBase64, fromBase64, utf8Decode } = require('./crypto');
+const { hashBody } = require('./body');
+const schnorr = require('./schnorr');
+
+/**
+ * NIP-98 HTTP auth: a request signed by a Nostr key.
+ *
+ * The client signs a kind 27235 event whose tags name the request — `u` (the
+ * absolute URL), `method`, and optionally `payload` (hex SHA-256 of the body) —
+ * and sends it base64-encoded as `Authorization: Nostr <event>`. A request that
+ * also carries an L402 credential sends the event in `X-Nostr-Authorization`.
+ */
+
+const NIP98_KIND = 27235;
+const HEX64 = /^[0-9a-f]{64}$/;
+
+/**
+ * NIP-01 event id.
+ * @param {object} event - { pubkey, created_at, kind, tags, content }
+ * @returns {Promise<string>}
+ */
+async function getEventId(event) {
+  return toHex(await sha256(JSON.stringify([0, event.pubkey, event.created_at, event.kind, event.tags, event.content])));
+}
+
+/**
+ * Sign a NIP-98 event for a request.
+ * @param {string|Uint8Array} secretKey - Nostr secret key (hex or bytes)
+ * @param {object} request
+ * @param {string} request.url - Absolute request URL
+ * @param {string} [request.method='GET']
+ * @param {*} [request.body] - String or bytes; adds a payload tag
+ * @returns {Promise<string>} Authorization header value: `Nostr <base64 event>`
+ */
+async function createNip98Auth(secretKey, { url, method = 'GET', body } = {}) {
+  const event = {
+    pubkey: schnorr.getPublicKey(secretKey),
+    created_at: Math.floor(Date.now() / 1000),
+    kind: NIP98_KIND,
+    tags: [['u', String(url)], ['method', method.toUpperCase()]],
+    content: ''
+  };
+  if (body !== undefined && body !== null) {
+    event.tags.push(['payload', await hashBody(body instanceof URLSearchParams ? String(body) : body)]);
+  }
+  event.id = await getEventId(event);
+  event.sig = await schnorr.sign(event.id, secretKey);
+  return `Nostr ${toBase64(toBytes(JSON.stringify(event)))}`;
+}
+
+/**
+ * Find a request's NIP-98 credential.
+ * @param {object} headers - Lowercase request headers
+ * @returns {string|null} The base64 event
+ */
+function getNip98Header(headers) {
+  for (const value of [headers['x-nostr-authorization'], headers.authorization]) {
+    const match = /^nostr\s+(\S+)\s*$/i.exec(typeof value === 'string' ? value.trim() : '');
+    if (match) return match[1];
+  }
+  return null;
+}
+
+function tagValue(event, name) {
+  const tag = event.tags.find(t => Array.isArray(t) && t[0] === name);
+  return tag ? tag[1] : undefined;
+}
+
+/**
+ * Verify a NIP-98 event against the request it came with. The payload tag and
+ * replays are left to the caller, which has the body and the store.
+ * @param {string} encoded - Base64 event, from getNip98Header()
+ * @param {object} expected
+ * @param {string} expected.method - Request method
+ * @param {string} expected.path - Full request path and query string ('/api/data?q=1')
+ * @param {string[]} expected.hosts - Hosts the `u` tag may name; the Host header is the client's to set
+ * @param {number} [expected.maxAge=60] - Allowed clock difference (seconds)
+ * @returns {Promise<{ event: object, payload?: string } | { error: string }>}
+ */
+async function verifyNip98(encoded, { method, path, hosts, maxAge = 60 }) {
+  let event;
+  try {
+    event = JSON.parse(utf8Decode(fromBase64(encoded)));
+  } catch {
+    return { error: 'malformed event' };
+  }
+  if (!event || typeof event !== 'object' || !HEX64.test(event.pubkey) || !HEX64.test(event.id) ||
+      !/^[0-9a-f]{128}$/.test(event.sig) || !Number.isInteger(event.created_at) ||
+      !Array.isArray(event.tags) || typeof event.content !== 'string') {
+    return { error: 'malformed event' };
+  }
+  if (event.kind !== NIP98_KIND) return { error: `event kind must be ${NIP98_KIND}` };
+  if (Math.abs(Date.now() / 1000 - event.created_at) > maxAge) return { error: 'event expired' };
+  if (String(tagValue(event, 'method') || '').toUpperCase() !== method.toUpperCase()) return { error: 'method mismatch' };
+
+  let url;
+  try {
+    url = new URL(tagValue(event, 'u'));
+  } catch {
+    return { error: 'missing or invalid u tag' };
+  }
+  if (url.pathname + url.search !== path) return { error: 'URL mismatch' };
+  if (!hosts || !hosts.includes(url.host)) return { error: 'host mismatch' };
+
+  if ((await getEventId(event)) !== event.id) return { error: 'event id mismatch' };
+  if (!(await schnorr.verify(event.sig, event.id, event.pubkey))) return { error: 'bad signature' };
+
+  const payload = tagValue(event, 'payload');
+  return payload === undefined ? { event } : { event, payload: String(payload).toLowerCase() };
+}
+
+module.exports = { NIP98_KIND, getEventId, createNip98Auth, getNip98Header, verifyNip98 };
@@ -0,0 +1,215 @@
+'use strict';
+
+const { compilePattern, matchPath, normalizePath } = require('./match');
+const { parseFiatPrice } = require('./rates');
+
+/**
+ * Declarative pricing tables: method + path patterns mapped to price rules.
+ *
+ *   {
+ *     routes: [
+ *       { method: 'GET', path: '/api/joke', sats: 5 },
+ *       { method: 'POST', path: '/api/translate', fiat: { usd: 0.01 } },
+ *       { method: 'GET', path: '/api/search', perParam: { param: 'limit', sats: 1, base: 2, max: 100 } },
+ *       { path: '/api/data/**', tiers: { header: 'x-plan', prices: { basic: 10, pro: 2 }, default: 20 } },
+ *       { path: '/api/health', free: true }
+ *     ]
+ *   }
+ *
+ * Rules are matched in order; the first match wins. Each rule has exactly one
+ * price (sats, fiat, perParam, tiers or free) plus the usual route options.
+ */
+
+const PRICE_KEYS = ['sats', 'fiat', 'perParam', 'tiers', 'free'];
+const ROUTE_KEYS = ['description', 'uses', 'balance', 'minSats', 'maxSats', 'underpaid', 'postpaid', 'bindBody', 'freeRequests', 'freeWindow', 'freeAlgorithm', 'freeQuota', 'clientId', 'endpointBinding', 'caveats', 'thirdPartyCaveats'];
+const RULE_KEYS = ['method', 'path', ...PRICE_KEYS, ...ROUTE_KEYS];
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function isPrice(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Read a query parameter from an Express request (req.query) or a plain
+ * IncomingMessage (parsed from req.url).
+ */
+function getQueryParam(req, name) {
+  if (req.query && typeof req.query === 'object') return req.query[name];
+  const url = req.originalUrl || req.url || '';
+  const query = url.includes('?') ? url.slice(url.indexOf('?') + 1) : '';
+  const value = new URLSearchParams(query).get(name);
+  return value === null ? undefined : value;
+}
+
+function getHeader(req, name) {
+  const headers = req.headers || {};
+  const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Validate one rule and turn it into route options.
+ * @param {object} rule
+ * @param {number} index - Position in the table, for error messages
+ * @returns {object} { methods, path, free, opts, price }
+ */
+function compileRule(rule, index) {
+  const where = `lightning-toll: pricing rule ${index}`;
+  if (!rule || typeof rule !== 'object') throw new Error(`${where} must be an object`);
+  if (typeof rule.path !== 'string' || !rule.path.startsWith('/')) {
+    throw new Error(`${where}: path must be a string starting with /`);
+  }
+  const label = `${where} (${rule.path})`;
+  try {
+    compilePattern(rule.path);
+  } catch (err) {
+    throw new Error(`${label}: ${err.message}`);
+  }
+
+  for (const key of Object.keys(rule)) {
+    if (!RULE_KEYS.includes(key)) throw new Error(`${label}: unknown key "${key}"`);
+  }
+
+  let methods = null;
+  if (rule.method !== undefined && rule.method !== '*') {
+    methods = [].concat(rule.method).map(m => String(m).toUpperCase());
+    const unknown = methods.find(m => !METHODS.includes(m));
+    if (unknown) throw new Error(`${label}: unknown method "${unknown}"`);
+  }
+
+  const kinds = PRICE_KEYS.filter(key => rule[key] !== undefined && rule[key] !== false);
+  if (kinds.length !== 1) {
+    throw new Error(`${label}: needs exactly one of sats, fiat, perParam, tiers or free`);
+  }
+
+  const opts = {};
+  for (const key of ROUTE_KEYS) {
+    if (rule[key] !== undefined) opts[key] = rule[key];
+  }
+
+  let price;
+  switch (kinds[0]) {
+    case 'free':
+      if (rule.free !== true) throw new Error(`${label}: free must be true`);
+      price = { type: 'free' };
+      break;
+
+    case 'sats':
+      if (!isPositiveInteger(rule.sats)) throw new Error(`${label}: sats must be a positive integer`);
+      opts.sats = rule.sats;
+      price = { type: 'fixed', sats: rule.sats };
+      break;
+
+    case 'fiat': {
+      const fiat = parseFiatPrice(rule.fiat);
+      if (!fiat) throw new Error(`${label}: fiat must look like { usd: 0.01 }`);
+      opts.price = rule.fiat;
+      price = { type: 'fiat', currency: fiat.currency, amount: fiat.amount };
+      break;
+    }
+
+    case 'perParam': {
+      const { param, sats, base = 0, default: fallback = 1, max } = rule.perParam || {};
+      if (typeof param !== 'string' || !param) throw new Error(`${label}: perParam.param is required`);
+      if (!isPrice(sats) || sats === 0) throw new Error(`${label}: perParam.sats must be a positive number`);
+      if (!isPrice(base)) throw new Error(`${label}: perParam.base must be a non-negative number`);
+      if (!isPrice(fallback)) throw new Error(`${label}: perParam.default must be a non-negative number`);
+      if (max !== undefined && !isPrice(max)) throw new Error(`${label}: perParam.max must be a non-negative number`);
+
+      opts.price = (req) => {
+        let count = Number(getQueryParam(req, param));
+        if (!Number.isFinite(count) || count < 0) count = fallback;
+        if (max !== undefined) count = Math.min(count, max);
+        return Math.max(1, Math.ceil(base + sats * count));
+      };
+      price = { type: 'per_param', param, sats, base, default: fallback };
+      if (max !== undefined) price.max = max;
+      break;
+    }
+
+    case 'tiers': {
+      const { header, prices, default: fallback } = rule.tiers || {};
+      if (typeof header !== 'string' || !header) throw new Error(`${label}: tiers.header is required`);
+      if (!prices || typeof prices !== 'object' || Object.keys(prices).length === 0) {
+        throw new Error(`${label}: tiers.prices must map header values to sats`);
+      }
+      for (const [tier, sats] of Object.entries(prices)) {
+        if (!isPositiveInteger(sats)) throw new Error(`${label}: tiers.prices.${tier} must be a positive integer`);
+      }
+      if (fallback !== undefined && !isPositiveInteger(fallback)) {
+        throw new Error(`${label}: tiers.default must be a positive integer`);
+      }
+      const headerName = header.toLowerCase();
+      const byTier = new Map(Object.entries(prices));
+
+      opts.price = (req) => {
+        const tier = getHeader(req, headerName);
+        if (tier !== undefined && byTier.has(tier)) return byTier.get(tier);
+        if (fallback !== undefined) return fallback;
+        // Unknown tier and no default: charge the highest tier rather than undercharge
+        return Math.max(...byTier.values());
+      };
+      price = { type: 'tiered', header: headerName, prices: { ...prices } };
+      if (fallback !== undefined) price.default = fallback;
+      break;
+    }
+  }
+
+  if (price.type === 'free' && Object.keys(opts).length > 0) {
+    throw new Error(`${label}: free rules take no route options`);
+  }
+
+  return { methods, path: rule.path, free: price.type === 'free', opts, price };
+}
+
+/**
+ * Validate and compile a pricing table. Throws on the first invalid rule, so
+ * mistakes surface at startup rather than on the first request.
+ *
+ * @param {object|object[]} table - { routes: [...] } or the rule array itself
+ * @returns {{ rules: object[], match: Function, toJSON: Function }}
+ */
+function compilePricing(table) {
+  const routes = Array.isArray(table) ? table : table && table.routes;
+  if (!Array.isArray(routes)) throw new Error('lightning-toll: pricing table must have a routes array');
+
+  const rules = routes.map(compileRule);
+
+  /**
+   * First rule matching a method and full request path, or null. The path is
+   * normalized and compared case-insensitively, so '/API//joke/' and
+   * '/api/%6Aoke' find the '/api/joke' rule the router would send them to.
+   * Callers should refuse paths normalizePath() rejects rather than pass them on.
+   */
+  function match(method, path) {
+    const upper = String(method).toUpperCase();
+    const normalized = normalizePath(path);
+    if (normalized === null) return null;
+    const lower = normalized.toLowerCase();
+    return rules.find(rule =>
+      (!rule.methods || rule.methods.includes(upper) || (upper === 'HEAD' && rule.methods.includes('GET'))) &&
+      matchPath(rule.path.toLowerCase(), lower) !== null) || null;
+  }
+
+  /**
+   * Public description of the table, for client discovery.
+   */
+  function toJSON() {
+    return rules.map(rule => {
+      const entry = { method: rule.methods || '*', path: rule.path, price: rule.price };
+      if (typeof rule.opts.description === 'string') entry.description = rule.opts.description;
+      for (const key of ['uses', 'balance', 'postpaid', 'minSats', 'maxSats', 'freeRequests', 'freeWindow', 'freeAlgorithm', 'freeQuota']) {
+        if (rule.opts[key] !== undefined) entry[key] = rule.opts[key];
+      }
+      return entry;
+    });
+  }
+
+  return { rules, match, toJSON };
+}
+
+module.exports = { compilePricing, compileRule };
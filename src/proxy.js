@@ -0,0 +1,326 @@
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { compilePricing } = require('./pricing');
+const { canonicalPath } = require('./match');
+const { createMetricsExporter } = require('./metrics');
+const { FileStore } = require('./store');
+const { toTollRequest } = require('./adapters/http');
+const { createToll } = require('./index');
+
+/**
+ * Standalone L402 reverse proxy: applies tolls from a config file in front of
+ * any upstream HTTP service, streaming bodies both ways.
+ *
+ * Config (JSON, or YAML with the optional `yaml` package):
+ *
+ *   {
+ *     "listen": { "port": 8402, "host": "0.0.0.0" },
+ *     "upstream": "http://127.0.0.1:3000",
+ *     "wallet": "nostr+walletconnect://...",   // or NWC_URL
+ *     "secret": "...",                          // or TOLL_SECRET
+ *     "store": { "file": "./toll-state.log" },  // default: in-memory
+ *     "options": { "invoiceExpiry": 300 },      // any createToll option
+ *     "dashboard": "/_toll/stats",
+ *     "metrics": "/_toll/metrics",
+ *     "pricing": "/_toll/pricing",             // the routes' prices as JSON
+ *     "maxBodyBytes": 1048576,                 // body size limit for bindBody routes (buffered)
+ *     "routes": [
+ *       { "path": "/api/**", "methods": ["GET"], "sats": 10, "freeRequests": 5, "freeWindow": "1h", "description": "..." }
+ *     ]
+ *   }
+ *
+ * Routes are pricing-table rules (see ./pricing), so perParam, tiers and free
+ * prices work too. Requests matching no route are passed through untolled.
+ */
+
+// Hop-by-hop headers are not forwarded (RFC 7230 §6.1)
+const HOP_BY_HOP = ['connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'proxy-connection', 'te', 'trailer', 'transfer-encoding', 'upgrade'];
+
+/**
+ * Read a proxy config file.
+ * @param {string} file - .json, .yaml or .yml
+ * @returns {object}
+ */
+function loadConfig(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (/\.ya?ml$/i.test(file)) {
+    let yaml;
+    try {
+      yaml = require('yaml');
+    } catch {
+      throw new Error('lightning-toll proxy: install the "yaml" package to use YAML configs (or use JSON)');
+    }
+    return yaml.parse(text);
+  }
+  return JSON.parse(text);
+}
+
+/**
+ * Validate a config's upstream and routes.
+ * @param {object} config
+ * @returns {{ upstream: URL, pricing: object }} pricing from compilePricing
+ */
+function normalizeConfig(config) {
+  if (!config || typeof config !== 'object') throw new Error('lightning-toll proxy: config must be an object');
+
+  let upstream;
+  try {
+    upstream = new URL(config.upstream);
+  } catch {
+    throw new Error('lightning-toll proxy: upstream must be an http(s) URL');
+  }
+  if (upstream.protocol !== 'http:' && upstream.protocol !== 'https:') {
+    throw new Error('lightning-toll proxy: upstream must be an http(s) URL');
+  }
+
+  // `methods` is accepted as an alias of the pricing-table `method`
+  const pricing = compilePricing((config.routes || []).map((route) => {
+    if (!route || route.methods === undefined) return route;
+    const { methods, ...rest } = route;
+    return { ...rest, method: methods };
+  }));
+
+  return { upstream, pricing };
+}
+
+/**
+ * Create the proxy request listener.
+ * @param {Function} toll - From createToll
+ * @param {object} config - Proxy config
+ * @returns {{ handler: Function, reload: Function }}
+ */
+function createProxy(toll, config) {
+  let state = build(config);
+
+  function build(cfg) {
+    const { upstream, pricing } = normalizeConfig(cfg);
+    const evaluators = new Map();
+    for (const rule of pricing.rules) {
+      if (!rule.free) evaluators.set(rule, toll.evaluator(rule.opts));
+    }
+    return {
+      upstream,
+      pricing,
+      evaluators,
+      dashboard: cfg.dashboard || null,
+      metrics: cfg.metrics || null,
+      pricingPath: cfg.pricing || null,
+      maxBodyBytes: cfg.maxBodyBytes || 1048576
+    };
+  }
+
+  function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Forward a request to the upstream at its canonical path, streaming both
+   * bodies (or sending the request body already buffered for bindBody).
+   */
+  function forward(req, res, pathname, tollInfo, extraHeaders, body) {
+    const { upstream } = state;
+    const query = (req.url || '/').split(/\?(.*)/s)[1];
+    const target = new URL(upstream.href);
+    target.pathname = upstream.pathname.replace(/\/$/, '') + pathname;
+    target.search = query ? `?${query}` : '';
+
+    const headers = {};
+    for (const [name, value] of Object.entries(req.headers)) {
+      if (HOP_BY_HOP.includes(name) || name.startsWith('x-toll-')) continue; // clients can't forge toll headers
+      if (name === 'authorization' && /^(L402|LSAT)\s/i.test(value)) continue; // consumed by the proxy
+      headers[name] = value;
+    }
+    headers.host = upstream.host;
+    const remote = req.socket.remoteAddress;
+    headers['x-forwarded-for'] = req.headers['x-forwarded-for'] ? `${req.headers['x-forwarded-for']}, ${remote}` : remote;
+    headers['x-forwarded-host'] = req.headers.host || '';
+    headers['x-forwarded-proto'] = req.socket.encrypted ? 'https' : 'http';
+    Object.assign(headers, tollHeaders(tollInfo));
+
+    const transport = upstream.protocol === 'https:' ? https : http;
+    const upstreamReq = transport.request(target, { method: req.method, headers }, (upstreamRes) => {
+      const responseHeaders = {};
+      for (const [name, value] of Object.entries(upstreamRes.headers)) {
+        if (!HOP_BY_HOP.includes(name) && name !== 'x-toll-settle') responseHeaders[name] = value;
+      }
+      // Postpaid routes: the upstream reports what the request cost
+      const cost = upstreamRes.headers['x-toll-settle'];
+      if (tollInfo && tollInfo.settle && cost !== undefined) {
+        tollInfo.settle(Number(cost)).catch(() => {}); // an invalid amount falls back to finish() on close
+      }
+      res.writeHead(upstreamRes.statusCode, { ...responseHeaders, ...extraHeaders });
+      upstreamRes.pipe(res);
+    });
+
+    upstreamReq.on('error', (err) => {
+      if (!res.headersSent) sendJson(res, 502, { error: 'Upstream error: ' + err.message });
+      else res.destroy(err);
+    });
+    if (body) upstreamReq.end(body);
+    else req.pipe(upstreamReq);
+  }
+
+  async function handler(req, res) {
+    const pathname = (req.url || '/').split('?')[0];
+
+    if (state.dashboard && pathname === state.dashboard) {
+      const body = toll.stats.toJSON();
+      if (toll.webhooks) {
+        body.webhooks = { pending: await toll.webhooks.pending(), deadLetters: await toll.webhooks.deadLetters() };
+      }
+      return sendJson(res, 200, body);
+    }
+    if (state.metrics && pathname === state.metrics) {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      return res.end(createMetricsExporter(toll.stats).generate());
+    }
+
+    if (state.pricingPath && pathname === state.pricingPath) {
+      return sendJson(res, 200, { unit: 'sats', routes: state.pricing.toJSON() });
+    }
+
+    // Rules, credentials and the upstream all see one canonical path: otherwise
+    // '/api/cheap/../secret' would be priced as one route and served as another
+    const canonical = canonicalPath(pathname);
+    if (canonical === null) return sendJson(res, 400, { error: 'Malformed request path' });
+    const rule = state.pricing.match(req.method, canonical);
+    if (!rule || rule.free) return forward(req, res, canonical, null, {});
+
+    // bindBody routes and NIP-98 payload tags read the body before forwarding it, once
+    let body = null;
+    const readBody = async () => body || (body = await readAll(req, state.maxBodyBytes));
+
+    const result = await state.evaluators.get(rule)({ ...toTollRequest(req), path: canonical, route: rule.path, readBody });
+    if (!result.allowed) return sendJson(res, result.status, result.body, result.headers);
+    if (result.finish) res.on('close', () => result.finish(res.statusCode));
+    return forward(req, res, canonical, result.toll, result.headers, body);
+  }
+
+  /**
+   * Swap in a new config. Routes and upstream change; the toll (wallet, secret,
+   * store, stats) is kept. Throws, keeping the old config, if the new one is invalid.
+   */
+  function reload(newConfig) {
+    state = build(newConfig);
+  }
+
+  return { handler, reload };
+}
+
+/**
+ * Read a request body into memory.
+ */
+function readAll(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        req.destroy();
+        reject(new Error(`Request body exceeds ${limit} bytes`));
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Headers describing the toll outcome, for the upstream.
+ */
+function tollHeaders(tollInfo) {
+  if (!tollInfo) return {};
+  const headers = {
+    'x-toll-paid': String(!!tollInfo.paid),
+    'x-toll-client-id': tollInfo.clientId
+  };
+  if (tollInfo.free) headers['x-toll-free'] = 'true';
+  if (tollInfo.paymentHash) headers['x-toll-payment-hash'] = tollInfo.paymentHash;
+  if (tollInfo.amountSats !== undefined) headers['x-toll-amount-sats'] = String(tollInfo.amountSats);
+  if (tollInfo.uses !== undefined) headers['x-toll-uses'] = String(tollInfo.uses);
+  if (tollInfo.usesRemaining !== undefined) headers['x-toll-uses-remaining'] = String(tollInfo.usesRemaining);
+  if (tollInfo.balanceRemaining !== undefined) headers['x-toll-balance-remaining'] = String(tollInfo.balanceRemaining);
+  if (tollInfo.reservedSats !== undefined) headers['x-toll-reserved-sats'] = String(tollInfo.reservedSats);
+  return headers;
+}
+
+/**
+ * Load a config file, start the proxy and hot-reload the config when the file changes.
+ * @param {string} configPath
+ * @param {object} [opts]
+ * @param {number} [opts.port] - Overrides listen.port
+ * @param {string} [opts.host] - Overrides listen.host
+ * @param {object} [opts.wallet] - Wallet instance (default: config.wallet or NWC_URL)
+ * @param {boolean} [opts.watch=true] - Reload on config changes
+ * @param {object} [opts.logger=console]
+ * @returns {Promise<{ server: http.Server, toll: Function, proxy: object, close: Function }>}
+ */
+async function startProxy(configPath, opts = {}) {
+  const logger = opts.logger || console;
+  const file = path.resolve(configPath);
+  const config = loadConfig(file);
+
+  const toll = createToll({
+    ...(config.options || {}),
+    wallet: opts.wallet || config.wallet || process.env.NWC_URL,
+    secret: config.secret || process.env.TOLL_SECRET,
+    store: config.store && config.store.file ? new FileStore({ path: path.resolve(path.dirname(file), config.store.file) }) : undefined
+  });
+  const proxy = createProxy(toll, config);
+
+  const server = http.createServer((req, res) => {
+    proxy.handler(req, res).catch((err) => {
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Toll proxy error: ' + err.message }));
+      }
+    });
+  });
+
+  const listen = config.listen || {};
+  const port = opts.port !== undefined ? opts.port : listen.port !== undefined ? listen.port : 8402;
+  const host = opts.host || listen.host || '0.0.0.0';
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  let watcher = null;
+  if (opts.watch !== false) {
+    let timer = null;
+    watcher = fs.watch(file, () => {
+      // Editors fire several events per save; reload once things settle
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        try {
+          proxy.reload(loadConfig(file));
+          logger.log(`lightning-toll proxy: reloaded ${file}`);
+        } catch (err) {
+          logger.error(`lightning-toll proxy: keeping previous config, reload failed: ${err.message}`);
+        }
+      }, 100);
+    });
+  }
+
+  return {
+    server,
+    toll,
+    proxy,
+    close() {
+      if (watcher) watcher.close();
+      toll.watcher.stop();
+      if (toll.webhooks) toll.webhooks.stop();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { loadConfig, normalizeConfig, createProxy, startProxy, tollHeaders };
@@ -0,0 +1,174 @@
+'use strict';
+
+/**
+ * Exchange rates for fiat-denominated prices.
+ *
+ * A rate provider reports the price of one bitcoin in a fiat currency:
+ *
+ *   { getRate(currency) } → number | { rate, timestamp }   (sync or async)
+ *
+ * or a plain function of the same shape. Currency codes are passed uppercase
+ * ('USD'); `timestamp` is when the rate was observed (ms, default: now).
+ */
+
+const SATS_PER_BTC = 100000000;
+
+/**
+ * Fixed rates, for tests and offline development.
+ */
+class StaticRateProvider {
+  /**
+   * @param {object} rates - Fiat per BTC by currency code: { USD: 65000, EUR: 60000 }
+   */
+  constructor(rates = {}) {
+    this.rates = new Map();
+    for (const [currency, rate] of Object.entries(rates)) this.set(currency, rate);
+  }
+
+  /**
+   * Change a rate.
+   * @param {string} currency
+   * @param {number} rate - Fiat per BTC
+   */
+  set(currency, rate) {
+    if (!(typeof rate === 'number' && rate > 0 && Number.isFinite(rate))) {
+      throw new Error(`StaticRateProvider: rate for ${currency} must be a positive number`);
+    }
+    this.rates.set(currency.toUpperCase(), rate);
+  }
+
+  async getRate(currency) {
+    const rate = this.rates.get(currency);
+    if (rate === undefined) throw new Error(`No rate for ${currency}`);
+    return rate;
+  }
+}
+
+function unavailable(message) {
+  const err = new Error(message);
+  err.code = 'RATE_UNAVAILABLE';
+  return err;
+}
+
+/**
+ * Caches a provider's rates and enforces how old a rate may be.
+ */
+class RateSource {
+  /**
+   * @param {object|function} provider - { getRate(currency) } or (currency) => rate
+   * @param {object} [opts]
+   * @param {number} [opts.cacheMs=60000] - How long a fetched rate is reused before asking the provider again
+   * @param {number} [opts.maxAgeMs=600000] - Oldest rate that may still price a request, e.g. while the provider is down
+   */
+  constructor(provider, opts = {}) {
+    const getRate = typeof provider === 'function' ? provider : provider && provider.getRate && provider.getRate.bind(provider);
+    if (typeof getRate !== 'function') throw new Error('RateSource: provider must be a function or have getRate()');
+    this._getRate = getRate;
+    this.cacheMs = opts.cacheMs !== undefined ? opts.cacheMs : 60000;
+    this.maxAgeMs = opts.maxAgeMs !== undefined ? opts.maxAgeMs : 600000;
+    if (this.maxAgeMs < this.cacheMs) throw new Error('RateSource: maxAgeMs must be at least cacheMs');
+
+    this._cache = new Map(); // currency → { currency, rate, timestamp }
+    this._inflight = new Map(); // currency → Promise
+  }
+
+  /**
+   * Current rate for a currency. Throws an error with code 'RATE_UNAVAILABLE'
+   * when the provider fails and no cached rate is recent enough.
+   * @param {string} currency
+   * @returns {Promise<{ currency: string, rate: number, timestamp: number }>}
+   */
+  async get(currency) {
+    const code = currency.toUpperCase();
+    const cached = this._cache.get(code);
+    if (cached && Date.now() - cached.timestamp < this.cacheMs) return cached;
+
+    // Concurrent requests share one provider call
+    let pending = this._inflight.get(code);
+    if (!pending) {
+      pending = this._fetch(code).finally(() => this._inflight.delete(code));
+      this._inflight.set(code, pending);
+    }
+
+    try {
+      return await pending;
+    } catch (err) {
+      const fallback = this._cache.get(code);
+      if (fallback && Date.now() - fallback.timestamp <= this.maxAgeMs) return fallback;
+      throw unavailable(`Exchange rate for ${code} unavailable: ${err.message}`);
+    }
+  }
+
+  async _fetch(code) {
+    const result = await this._getRate(code);
+    const rate = typeof result === 'number' ? result : result && result.rate;
+    const timestamp = result && typeof result.timestamp === 'number' ? result.timestamp : Date.now();
+    if (!(typeof rate === 'number' && rate > 0 && Number.isFinite(rate))) {
+      throw new Error(`provider returned an invalid rate (${rate})`);
+    }
+    if (Date.now() - timestamp > this.maxAgeMs) {
+      throw new Error(`provider rate is stale (${Math.round((Date.now() - timestamp) / 1000)}s old)`);
+    }
+
+    const quote = { currency: code, rate, timestamp };
+    this._cache.set(code, quote);
+    return quote;
+  }
+}
+
+/**
+ * Parse a fiat price like { usd: 0.01 }.
+ * @param {*} price
+ * @returns {{ currency: string, amount: number } | null}
+ */
+function parseFiatPrice(price) {
+  if (!price || typeof price !== 'object' || Array.isArray(price)) return null;
+  const entries = Object.entries(price);
+  if (entries.length !== 1) return null;
+  const [currency, amount] = entries[0];
+  if (!/^[a-z]{3}$/i.test(currency)) return null;
+  if (!(typeof amount === 'number' && amount > 0 && Number.isFinite(amount))) return null;
+  return { currency: currency.toUpperCase(), amount };
+}
+
+/**
+ * Convert a fiat amount to sats, rounding up.
+ * @param {number} amount - Fiat amount
+ * @param {number} rate - Fiat per BTC
+ * @returns {number}
+ */
+function fiatToSats(amount, rate) {
+  // Round away float noise (0.07 * 1e8 / 70000 = 100.00000000000001) before ceiling
+  return Math.ceil(Number(((amount * SATS_PER_BTC) / rate).toFixed(6)));
+}
+
+/**
+ * Caveat value recording the rate a fiat price was converted at:
+ * `<CURRENCY>:<amount>:<fiat per BTC>:<rate timestamp, unix seconds>`.
+ */
+function formatFiatCaveat(fiat) {
+  return `${fiat.currency}:${fiat.amount}:${fiat.rate}:${Math.floor(fiat.rateTimestamp / 1000)}`;
+}
+
+/**
+ * @param {string} value - `fiat` caveat value
+ * @returns {{ currency: string, amount: number, rate: number, rateTimestamp: number } | null}
+ */
+function parseFiatCaveat(value) {
+  const match = /^([A-Z]{3}):([0-9.]+(?:e-?\d+)?):([0-9.]+(?:e-?\d+)?):(\d+)$/.exec(value);
+  if (!match) return null;
+  const amount = Number(match[2]);
+  const rate = Number(match[3]);
+  if (!(amount > 0 && rate > 0)) return null;
+  return { currency: match[1], amount, rate, rateTimestamp: Number(match[4]) * 1000 };
+}
+
+module.exports = {
+  StaticRateProvider,
+  RateSource,
+  parseFiatPrice,
+  fiatToSats,
+  formatFiatCaveat,
+  parseFiatCaveat,
+  SATS_PER_BTC
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+/**
+ * Token revocation list, persisted through the toll's store.
+ * Credentials are revoked by payment hash or (for v2 macaroons) token id.
+ */
+
+const PREFIX = 'revoked:';
+
+/**
+ * Create a revocation list backed by a store.
+ * @param {object} store - Store implementing get/set/delete/keys
+ * @returns {object} { revoke, unrevoke, isRevoked, list }
+ */
+function createRevocationList(store) {
+  /**
+   * Revoke a credential.
+   * @param {string} id - Payment hash or token id
+   * @param {object} [opts]
+   * @param {string} [opts.reason] - Why it was revoked (shown in the admin list)
+   * @param {number} [opts.ttlMs] - Forget the revocation after this long (default: never)
+   * @returns {Promise<object>} The revocation record
+   */
+  async function revoke(id, opts = {}) {
+    if (!id || typeof id !== 'string') throw new Error('lightning-toll: revoke() needs a payment hash or token id');
+    const record = { id, revokedAt: Date.now(), reason: opts.reason || null };
+    await store.set(PREFIX + id, record, opts.ttlMs);
+    return record;
+  }
+
+  /**
+   * Lift a revocation.
+   * @param {string} id
+   * @returns {Promise<boolean>} Whether the id was revoked
+   */
+  async function unrevoke(id) {
+    const existed = (await store.get(PREFIX + id)) !== undefined;
+    await store.delete(PREFIX + id);
+    return existed;
+  }
+
+  /**
+   * Check whether any of the given ids is revoked.
+   * @param {...string} ids - Payment hash, token id
+   * @returns {Promise<boolean>}
+   */
+  async function isRevoked(...ids) {
+    for (const id of ids) {
+      if (id && (await store.get(PREFIX + id)) !== undefined) return true;
+    }
+    return false;
+  }
+
+  /**
+   * List all revocations, newest first.
+   * @returns {Promise<object[]>}
+   */
+  async function list() {
+    const records = [];
+    for (const key of await store.keys(PREFIX)) {
+      const record = await store.get(key);
+      if (record) records.push(record);
+    }
+    return records.sort((a, b) => b.revokedAt - a.revokedAt);
+  }
+
+  return { revoke, unrevoke, isRevoked, list };
+}
+
+/**
+ * Read a JSON request body, whether or not a body parser already ran.
+ */
+function readJsonBody(req) {
+  if (req.body && typeof req.body === 'object') return Promise.resolve(req.body);
+  if (typeof req.on !== 'function') return Promise.resolve({});
+
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Express-style admin router for the revocation list. Mount it behind your own auth:
+ *
+ *   GET    /revocations       → list revocations
+ *   POST   /revocations       → revoke { id, reason }
+ *   DELETE /revocations/:id   → unrevoke
+ *
+ * @param {object} revocations - From createRevocationList
+ * @returns {Function} Express middleware
+ */
+function createAdminRouter(revocations) {
+  return async function tollAdmin(req, res, next) {
+    const path = (req.path || req.url || '').split('?')[0].replace(/\/+$/, '');
+
+    try {
+      if (path === '/revocations' && req.method === 'GET') {
+        return res.json({ revocations: await revocations.list() });
+      }
+
+      if (path === '/revocations' && req.method === 'POST') {
+        let body;
+        try {
+          body = await readJsonBody(req);
+        } catch {
+          return res.status(400).json({ error: 'Invalid JSON body' });
+        }
+        if (!body.id || typeof body.id !== 'string') {
+          return res.status(400).json({ error: 'id (payment hash or token id) is required' });
+        }
+        const record = await revocations.revoke(body.id, { reason: body.reason });
+        return res.status(201).json(record);
+      }
+
+      const match = path.match(/^\/revocations\/([^/]+)$/);
+      if (match && req.method === 'DELETE') {
+        let id;
+        try {
+          id = decodeURIComponent(match[1]);
+        } catch {
+          return res.status(400).json({ error: 'Invalid id encoding' });
+        }
+        if (!(await revocations.unrevoke(id))) {
+          return res.status(404).json({ error: 'Not revoked' });
+        }
+        return res.json({ id, revoked: false });
+      }
+    } catch (err) {
+      return res.status(500).json({ error: 'Toll admin error: ' + err.message });
+    }
+
+    if (typeof next === 'function') return next();
+    res.status(404).json({ error: 'Not found' });
+  };
+}
+
+module.exports = { createRevocationList, createAdminRouter };
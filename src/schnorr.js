@@ -0,0 +1,183 @@
+'use strict';
+
+const { sha256, concat, toBytes, toHex, fromHex, randomBytes } = require('./crypto');
+
+/**
+ * BIP-340 Schnorr signatures over secp256k1, as used by Nostr events.
+ *
+ * Pure JS on BigInt so it runs wherever the rest of the toll does, without a
+ * native or third-party curve library. Verification only handles public data;
+ * signing isn't constant-time, so keep it to a client signing its own requests.
+ */
+
+const P = 2n ** 256n - 2n ** 32n - 977n;
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const G = {
+  x: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+  y: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n
+};
+
+function mod(a, m = P) {
+  const r = a % m;
+  return r >= 0n ? r : r + m;
+}
+
+function invert(a, m = P) {
+  let [low, high] = [mod(a, m), m];
+  let [lm, hm] = [1n, 0n];
+  while (low > 1n) {
+    const q = high / low;
+    [lm, hm] = [hm - lm * q, lm];
+    [low, high] = [high - low * q, low];
+  }
+  return mod(lm, m);
+}
+
+function powMod(base, exp, m = P) {
+  let result = 1n;
+  base = mod(base, m);
+  while (exp > 0n) {
+    if (exp & 1n) result = (result * base) % m;
+    base = (base * base) % m;
+    exp >>= 1n;
+  }
+  return result;
+}
+
+// Points in Jacobian coordinates (x = X/Z², y = Y/Z³); Z = 0 is infinity
+const INFINITY = { X: 0n, Y: 1n, Z: 0n };
+
+function double({ X, Y, Z }) {
+  if (Z === 0n || Y === 0n) return INFINITY;
+  const ysq = mod(Y * Y);
+  const s = mod(4n * X * ysq);
+  const m = mod(3n * X * X);
+  const nx = mod(m * m - 2n * s);
+  return { X: nx, Y: mod(m * (s - nx) - 8n * ysq * ysq), Z: mod(2n * Y * Z) };
+}
+
+function add(p, q) {
+  if (p.Z === 0n) return q;
+  if (q.Z === 0n) return p;
+  const pz2 = mod(p.Z * p.Z);
+  const qz2 = mod(q.Z * q.Z);
+  const u1 = mod(p.X * qz2);
+  const u2 = mod(q.X * pz2);
+  const s1 = mod(p.Y * qz2 * q.Z);
+  const s2 = mod(q.Y * pz2 * p.Z);
+  if (u1 === u2) return s1 === s2 ? double(p) : INFINITY;
+  const h = u2 - u1;
+  const r = s2 - s1;
+  const h2 = mod(h * h);
+  const h3 = mod(h * h2);
+  const nx = mod(r * r - h3 - 2n * u1 * h2);
+  return { X: nx, Y: mod(r * (u1 * h2 - nx) - s1 * h3), Z: mod(h * p.Z * q.Z) };
+}
+
+function multiply(point, k) {
+  let result = INFINITY;
+  let addend = { X: point.x, Y: point.y, Z: 1n };
+  while (k > 0n) {
+    if (k & 1n) result = add(result, addend);
+    addend = double(addend);
+    k >>= 1n;
+  }
+  return result;
+}
+
+function toAffine({ X, Y, Z }) {
+  if (Z === 0n) return null;
+  const zi = invert(Z);
+  const zi2 = mod(zi * zi);
+  return { x: mod(X * zi2), y: mod(Y * zi2 * zi) };
+}
+
+// The point with this x and an even y (BIP-340 lift_x)
+function liftX(x) {
+  if (x >= P) return null;
+  const c = mod(x * x * x + 7n);
+  const y = powMod(c, (P + 1n) / 4n);
+  if (mod(y * y) !== c) return null;
+  return { x, y: y % 2n === 0n ? y : P - y };
+}
+
+function toInt(bytes) {
+  return BigInt(`0x${toHex(bytes) || '0'}`);
+}
+
+function toBytes32(n) {
+  return fromHex(n.toString(16).padStart(64, '0'));
+}
+
+async function taggedHash(tag, ...parts) {
+  const tagHash = await sha256(tag);
+  return sha256(concat([tagHash, tagHash, ...parts]));
+}
+
+function secretScalar(secretKey) {
+  const bytes = typeof secretKey === 'string' ? fromHex(secretKey) : secretKey;
+  const d = bytes && bytes.length === 32 ? toInt(bytes) : 0n;
+  if (d <= 0n || d >= N) throw new Error('Invalid secp256k1 secret key');
+  return d;
+}
+
+/**
+ * @param {string|Uint8Array} secretKey - 32-byte secret key (hex or bytes)
+ * @returns {string} Hex x-only public key
+ */
+function getPublicKey(secretKey) {
+  return toHex(toBytes32(toAffine(multiply(G, secretScalar(secretKey))).x));
+}
+
+/**
+ * Sign a 32-byte message.
+ * @param {string|Uint8Array} message - 32 bytes (hex or bytes)
+ * @param {string|Uint8Array} secretKey - 32-byte secret key (hex or bytes)
+ * @param {Uint8Array} [auxRand] - 32 bytes of auxiliary randomness (random by default)
+ * @returns {Promise<string>} Hex 64-byte signature
+ */
+async function sign(message, secretKey, auxRand = randomBytes(32)) {
+  const m = typeof message === 'string' ? fromHex(message) : message;
+  const d0 = secretScalar(secretKey);
+  const pub = toAffine(multiply(G, d0));
+  const d = pub.y % 2n === 0n ? d0 : N - d0;
+  const px = toBytes32(pub.x);
+
+  const t = toBytes32(d ^ toInt(await taggedHash('BIP0340/aux', toBytes(auxRand))));
+  const k0 = mod(toInt(await taggedHash('BIP0340/nonce', t, px, m)), N);
+  if (k0 === 0n) throw new Error('Schnorr signing failed: zero nonce');
+  const r = toAffine(multiply(G, k0));
+  const k = r.y % 2n === 0n ? k0 : N - k0;
+  const rx = toBytes32(r.x);
+  const e = mod(toInt(await taggedHash('BIP0340/challenge', rx, px, m)), N);
+  return toHex(concat([rx, toBytes32(mod(k + e * d, N))]));
+}
+
+/**
+ * Verify a signature over a 32-byte message.
+ * @param {string|Uint8Array} signature - 64 bytes (hex or bytes)
+ * @param {string|Uint8Array} message - 32 bytes (hex or bytes)
+ * @param {string|Uint8Array} publicKey - 32-byte x-only public key (hex or bytes)
+ * @returns {Promise<boolean>}
+ */
+async function verify(signature, message, publicKey) {
+  try {
+    const sig = typeof signature === 'string' ? fromHex(signature) : signature;
+    const m = typeof message === 'string' ? fromHex(message) : message;
+    const px = typeof publicKey === 'string' ? fromHex(publicKey) : publicKey;
+    if (sig.length !== 64 || m.length !== 32 || px.length !== 32) return false;
+
+    const pub = liftX(toInt(px));
+    const r = toInt(sig.subarray(0, 32));
+    const s = toInt(sig.subarray(32));
+    if (!pub || r >= P || s >= N) return false;
+
+    const e = mod(toInt(await taggedHash('BIP0340/challenge', sig.subarray(0, 32), px, m)), N);
+    const point = toAffine(add(multiply(G, s), multiply({ x: pub.x, y: P - pub.y }, e)));
+    return !!point && point.y % 2n === 0n && point.x === r;
+  } catch {
+    return false; // malformed hex
+  }
+}
+
+module.exports = { getPublicKey, sign, verify };
@@ -13,9 +13,16 @@ class TollStats {
     this.totalRevenue = 0;
     this.totalRequests = 0;
     this.totalPaid = 0;
+    this.totalReused = 0;
+
+    // Invoice lifecycle (from the invoice watcher)
+    this.invoices = { issued: 0, paid: 0, expired: 0 };
+
+    // Subscription passes: bought, their revenue, and requests made with them
+    this.passes = { sold: 0, revenue: 0, requests: 0 };
 
     // Per-endpoint
-    this.endpoints = new Map(); // path → { revenue, requests, paid }
+    this.endpoints = new Map(); // path → { revenue, requests, paid, reused, free, pass }
 
     // Unique payers (by IP or pubkey)
     this.payers = new Set();
@@ -26,23 +33,35 @@ class TollStats {
 
   /**
    * Record a request (whether paid or free).
+   * A paid request with no amount is a reuse of an already-paid credential.
    * @param {string} endpoint - Request path
    * @param {boolean} paid - Whether this was a paid request
    * @param {number} [amountSats] - Amount paid in sats
    * @param {string} [payerId] - Payer identifier (IP or pubkey)
    * @param {string} [paymentHash] - Lightning payment hash
+   * @param {object} [opts]
+   * @param {boolean} [opts.pass] - Made with a subscription pass; its first request carries the pass price
    */
-  record(endpoint, paid, amountSats = 0, payerId = null, paymentHash = null) {
+  record(endpoint, paid, amountSats = 0, payerId = null, paymentHash = null, opts = {}) {
     this.totalRequests++;
 
     // Per-endpoint stats
     let ep = this.endpoints.get(endpoint);
     if (!ep) {
-      ep = { revenue: 0, requests: 0, paid: 0, free: 0 };
+      ep = { revenue: 0, requests: 0, paid: 0, reused: 0, free: 0, pass: 0 };
       this.endpoints.set(endpoint, ep);
     }
     ep.requests++;
 
+    if (paid && opts.pass) {
+      this.passes.requests++;
+      ep.pass++;
+      if (amountSats > 0) {
+        this.passes.sold++;
+        this.passes.revenue += amountSats;
+      }
+    }
+
     if (paid && amountSats > 0) {
       this.totalRevenue += amountSats;
       this.totalPaid++;
@@ -57,6 +76,7 @@ class TollStats {
         amountSats,
         payerId: payerId || 'unknown',
         paymentHash: paymentHash || null,
+        pass: !!opts.pass,
         timestamp: Date.now()
       });
 
@@ -64,11 +84,25 @@ class TollStats {
       if (this.recentPayments.length > this.maxRecent) {
         this.recentPayments = this.recentPayments.slice(-this.maxRecent);
       }
+    } else if (paid) {
+      // Later requests with a pass are counted as pass requests, not reuse
+      if (!opts.pass) {
+        this.totalReused++;
+        ep.reused++;
+      }
     } else {
       ep.free++;
     }
   }
 
+  /**
+   * Count an invoice lifecycle event.
+   * @param {string} status - 'issued', 'paid' or 'expired'
+   */
+  recordInvoice(status) {
+    if (status in this.invoices) this.invoices[status]++;
+  }
+
   /**
    * Get stats summary as a plain object.
    * @returns {object}
@@ -83,7 +117,10 @@ class TollStats {
       totalRevenue: this.totalRevenue,
       totalRequests: this.totalRequests,
       totalPaid: this.totalPaid,
+      totalReused: this.totalReused,
       uniquePayers: this.payers.size,
+      invoices: { ...this.invoices },
+      passes: { ...this.passes },
       endpoints: endpointStats,
       recentPayments: this.recentPayments.slice(-20).reverse()
     };
@@ -0,0 +1,221 @@
+'use strict';
+
+let fs = null;
+let path = null;
+try {
+  fs = require('fs');
+  path = require('path');
+} catch {
+  fs = null; // edge runtime — FileStore is unavailable
+}
+
+/**
+ * Pluggable key/value stores for toll state (spent payment hashes, credential usage).
+ *
+ * A store is any object implementing this async interface:
+ *
+ *   get(key)                      → value | undefined
+ *   set(key, value, [ttlMs])      → void
+ *   increment(key, [by], [ttlMs]) → new numeric value (ttl applies when the key is created)
+ *   delete(key)                   → void
+ *   keys(prefix)                  → string[] of live keys starting with prefix
+ *
+ * Values must be JSON-serializable. Expired keys behave as if they were deleted.
+ * Implement the same interface on top of Redis, SQL, etc. to share state across instances.
+ */
+
+const STORE_METHODS = ['get', 'set', 'increment', 'delete', 'keys'];
+
+/**
+ * Check that an object implements the store interface.
+ * @param {object} store
+ * @returns {boolean}
+ */
+function isStore(store) {
+  return !!store && STORE_METHODS.every(m => typeof store[m] === 'function');
+}
+
+/**
+ * In-memory store. State is lost on restart.
+ */
+class MemoryStore {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.cleanupInterval=60000] - How often to sweep expired keys (ms)
+   */
+  constructor(opts = {}) {
+    this.data = new Map(); // key → { value, expiresAt }
+
+    const interval = setInterval(() => this._sweep(), opts.cleanupInterval || 60000);
+    if (interval.unref) interval.unref();
+  }
+
+  _live(key) {
+    const entry = this.data.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  _sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.data) {
+      if (entry.expiresAt && entry.expiresAt <= now) this.data.delete(key);
+    }
+  }
+
+  _put(key, value, expiresAt) {
+    this.data.set(key, { value, expiresAt: expiresAt || null });
+  }
+
+  async get(key) {
+    const entry = this._live(key);
+    return entry ? entry.value : undefined;
+  }
+
+  async set(key, value, ttlMs) {
+    this._put(key, value, ttlMs ? Date.now() + ttlMs : null);
+  }
+
+  async increment(key, by = 1, ttlMs) {
+    const entry = this._live(key);
+    if (entry) {
+      const value = (Number(entry.value) || 0) + by;
+      this._put(key, value, entry.expiresAt);
+      return value;
+    }
+    this._put(key, by, ttlMs ? Date.now() + ttlMs : null);
+    return by;
+  }
+
+  async delete(key) {
+    this.data.delete(key);
+  }
+
+  async keys(prefix = '') {
+    const result = [];
+    for (const key of this.data.keys()) {
+      if (key.startsWith(prefix) && this._live(key)) result.push(key);
+    }
+    return result;
+  }
+}
+
+/**
+ * File-backed store using an append-only JSON-lines log.
+ *
+ * Every write appends a `{ op, key, value, expiresAt }` line; the log is replayed
+ * on startup so state survives restarts. The log is compacted (rewritten with only
+ * live keys) once it grows past `compactThreshold` lines.
+ */
+class FileStore extends MemoryStore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.path - Path to the log file (created if missing)
+   * @param {number} [opts.compactThreshold=10000] - Log lines before compaction
+   * @param {number} [opts.cleanupInterval=60000] - How often to sweep expired keys (ms)
+   */
+  constructor(opts = {}) {
+    if (!opts.path) throw new Error('FileStore: path is required');
+    if (!fs) throw new Error('FileStore: needs a filesystem (node:fs)');
+    super(opts);
+
+    this.path = opts.path;
+    this.compactThreshold = opts.compactThreshold || 10000;
+    this.lines = 0;
+    this._queue = Promise.resolve();
+
+    this._load();
+  }
+
+  _load() {
+    let text;
+    try {
+      text = fs.readFileSync(this.path, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        return;
+      }
+      throw err;
+    }
+
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // torn write at the end of the log
+      }
+      this.lines++;
+      if (entry.op === 'set') {
+        this._put(entry.key, entry.value, entry.expiresAt);
+      } else if (entry.op === 'del') {
+        this.data.delete(entry.key);
+      }
+    }
+    this._sweep();
+  }
+
+  /**
+   * Append a line to the log. Writes are serialized so the log order matches memory.
+   */
+  _append(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    return this._enqueue(async () => {
+      await fs.promises.appendFile(this.path, line);
+      this.lines++;
+      if (this.lines > this.compactThreshold) await this._compact();
+    });
+  }
+
+  _enqueue(task) {
+    const run = this._queue.then(task);
+    this._queue = run.catch(() => { /* surfaced to the caller of this write */ });
+    return run;
+  }
+
+  async _compact() {
+    this._sweep();
+    const lines = [];
+    for (const [key, entry] of this.data) {
+      lines.push(JSON.stringify({ op: 'set', key, value: entry.value, expiresAt: entry.expiresAt }));
+    }
+    const tmp = `${this.path}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, lines.length ? lines.join('\n') + '\n' : '');
+    await fs.promises.rename(tmp, this.path);
+    this.lines = lines.length;
+  }
+
+  async set(key, value, ttlMs) {
+    await super.set(key, value, ttlMs);
+    const { expiresAt } = this.data.get(key);
+    await this._append({ op: 'set', key, value, expiresAt });
+  }
+
+  async increment(key, by = 1, ttlMs) {
+    const value = await super.increment(key, by, ttlMs);
+    const { expiresAt } = this.data.get(key);
+    await this._append({ op: 'set', key, value, expiresAt });
+    return value;
+  }
+
+  async delete(key) {
+    await super.delete(key);
+    await this._append({ op: 'del', key });
+  }
+
+  /**
+   * Rewrite the log with only live keys.
+   * @returns {Promise<void>}
+   */
+  compact() {
+    return this._enqueue(() => this._compact());
+  }
+}
+
+module.exports = { MemoryStore, FileStore, isStore };
@@ -0,0 +1,193 @@
+'use strict';
+
+const { Emitter } = require('./emitter');
+
+/**
+ * Centralized invoice watcher.
+ *
+ * Pending invoices are kept in the store (so they survive restarts) and polled
+ * through the wallet in batches, instead of one detached waitForPayment() per
+ * challenge. Emits:
+ *
+ *   'invoice.paid'    { paymentHash, amountSats, endpoint, clientId, preimage, settledAt, source }
+ *   'invoice.expired' { paymentHash, amountSats, endpoint, clientId, expiresAt }
+ *   'invoice.error'   { paymentHash, error }
+ *
+ * `source` is 'wallet' when the poll saw the payment, 'credential' when the
+ * client redeemed the credential first, or 'hold' when a hold invoice was settled.
+ *
+ * Hold invoices (tracked with `hold: true`) still held when they expire, because
+ * the client never redeemed the credential, are cancelled to release the payment.
+ */
+class InvoiceWatcher extends Emitter {
+  /**
+   * @param {object} opts
+   * @param {object} opts.wallet - Wallet with lookupInvoice(hash) or waitForPayment(hash, { timeoutMs })
+   * @param {object} opts.store - State store
+   * @param {number} [opts.interval=5000] - Poll interval (ms)
+   * @param {number} [opts.batchSize=20] - Invoices looked up concurrently
+   * @param {number} [opts.lookupTimeout=1000] - waitForPayment timeout per lookup when the wallet has no lookupInvoice (ms)
+   * @param {number} [opts.graceMs=600000] - How long expired records are kept for the watcher to report them (ms)
+   * @param {number} [opts.settledTtl=7200000] - How long paid invoices are remembered, to report each payment once (ms)
+   */
+  constructor(opts = {}) {
+    super();
+    if (!opts.wallet) throw new Error('InvoiceWatcher: wallet is required');
+    if (!opts.store) throw new Error('InvoiceWatcher: store is required');
+
+    this.wallet = opts.wallet;
+    this.store = opts.store;
+    this.interval = opts.interval || 5000;
+    this.batchSize = opts.batchSize || 20;
+    this.lookupTimeout = opts.lookupTimeout || 1000;
+    this.graceMs = opts.graceMs || 600000;
+    this.settledTtl = opts.settledTtl || 7200000;
+
+    this._timer = null;
+    this._polling = null;
+  }
+
+  /**
+   * Start watching a new invoice.
+   * @param {object} invoice
+   * @param {string} invoice.paymentHash
+   * @param {number} invoice.expiresAt - Invoice expiry (ms timestamp)
+   * @param {string[]} [invoice.relatedKeys] - Store keys to delete once the invoice is paid or expired
+   * @param {string[]} [invoice.counters] - Store counters to decrement once the invoice is paid or expired
+   * @param {*} [invoice.*] - Anything else (amountSats, endpoint, clientId) is passed through to events
+   */
+  async track(invoice) {
+    const ttl = invoice.expiresAt - Date.now() + this.graceMs;
+    await this.store.set(`invoice:${invoice.paymentHash}`, invoice, ttl);
+  }
+
+  /**
+   * Mark an invoice as paid. Emits 'invoice.paid' once per payment hash, even
+   * across instances sharing a store.
+   * @param {string} paymentHash
+   * @param {object} [details] - { preimage, settledAt, source, ... } (fills in for an untracked invoice)
+   * @returns {Promise<boolean>} Whether this call reported the payment
+   */
+  async markPaid(paymentHash, details = {}) {
+    const first = (await this.store.increment(`settled:${paymentHash}`, 1, this.settledTtl)) === 1;
+    const record = await this._forget(paymentHash);
+    if (!first) return false;
+
+    const info = { ...details, ...record, paymentHash };
+    delete info.relatedKeys;
+    delete info.counters;
+    info.preimage = details.preimage || null;
+    info.settledAt = details.settledAt || Date.now();
+    info.source = details.source || 'wallet';
+    this.emit('invoice.paid', info);
+    return true;
+  }
+
+  /**
+   * Stop watching an invoice without reporting it, e.g. a hold invoice whose
+   * settlement is now up to the request it authorized.
+   * @param {string} paymentHash
+   * @returns {Promise<void>}
+   */
+  async untrack(paymentHash) {
+    await this._forget(paymentHash);
+  }
+
+  /**
+   * Poll every pending invoice once. Concurrent calls share the same run.
+   * @returns {Promise<void>}
+   */
+  poll() {
+    if (!this._polling) {
+      this._polling = this._poll().finally(() => { this._polling = null; });
+    }
+    return this._polling;
+  }
+
+  async _poll() {
+    const keys = await this.store.keys('invoice:');
+    for (let i = 0; i < keys.length; i += this.batchSize) {
+      await Promise.all(keys.slice(i, i + this.batchSize).map(key => this._check(key)));
+    }
+  }
+
+  async _check(key) {
+    const record = await this.store.get(key);
+    if (!record) return;
+    const { paymentHash } = record;
+
+    let result;
+    try {
+      result = await this._lookup(paymentHash);
+    } catch (err) {
+      this.emit('invoice.error', { paymentHash, error: err });
+      return;
+    }
+
+    if (result && result.paid) {
+      await this.markPaid(paymentHash, { preimage: result.preimage, settledAt: result.settledAt, source: 'wallet' });
+    } else if (Date.now() >= record.expiresAt) {
+      await this._forget(paymentHash);
+      if (record.hold && result && result.state === 'accepted') {
+        try {
+          await this.wallet.cancelHoldInvoice(paymentHash);
+        } catch (err) {
+          this.emit('invoice.error', { paymentHash, error: err });
+        }
+      }
+      const info = { ...record };
+      delete info.relatedKeys;
+    delete info.counters;
+      this.emit('invoice.expired', info);
+    }
+  }
+
+  async _lookup(paymentHash) {
+    if (typeof this.wallet.lookupInvoice === 'function') {
+      return this.wallet.lookupInvoice(paymentHash);
+    }
+    try {
+      return await this.wallet.waitForPayment(paymentHash, { timeoutMs: this.lookupTimeout });
+    } catch {
+      return { paid: false }; // timeout — not paid yet
+    }
+  }
+
+  /**
+   * Stop tracking an invoice and delete its related keys.
+   * @returns {Promise<object|null>} The record, if it was tracked
+   */
+  async _forget(paymentHash) {
+    const record = await this.store.get(`invoice:${paymentHash}`);
+    if (!record) return null;
+    await this.store.delete(`invoice:${paymentHash}`);
+    for (const key of record.relatedKeys || []) {
+      await this.store.delete(key);
+    }
+    // A counter that has expired in the meantime is recreated negative, briefly and unread
+    for (const key of record.counters || []) {
+      await this.store.increment(key, -1, this.graceMs);
+    }
+    return record;
+  }
+
+  /**
+   * Start polling. Pending invoices left in the store by a previous run are resumed.
+   */
+  start() {
+    if (this._timer) return;
+    this._timer = setInterval(() => this.poll().catch(err => this.emit('invoice.error', { paymentHash: null, error: err })), this.interval);
+    if (this._timer.unref) this._timer.unref();
+    this.poll().catch(err => this.emit('invoice.error', { paymentHash: null, error: err }));
+  }
+
+  /**
+   * Stop polling.
+   */
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+}
+
+module.exports = { InvoiceWatcher };
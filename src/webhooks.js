@@ -0,0 +1,306 @@
+'use strict';
+
+const { toBytes, toHex, hmacSha256, randomBytes, timingSafeEqual } = require('./crypto');
+
+let http = null;
+let https = null;
+try {
+  http = require('http');
+  https = require('https');
+} catch {
+  http = null; // edge runtime — deliver with fetch()
+}
+
+/**
+ * Signed outbound webhooks for toll lifecycle events.
+ *
+ * Deliveries go through a durable outbox in the store, so they survive restarts.
+ * Failed deliveries are retried with exponential backoff; after the last attempt
+ * they move to a dead-letter list that can be inspected and retried.
+ *
+ * Each POST carries:
+ *   X-Toll-Event      event name ('paid', 'authorized', ...)
+ *   X-Toll-Delivery   delivery id (stable across retries — use it to dedupe)
+ *   X-Toll-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256(secret, `${t}.${body}`)>
+ */
+
+const OUTBOX_PREFIX = 'webhook:';
+const DEAD_PREFIX = 'webhook-dead:';
+
+async function hmac(secret, data) {
+  return toHex(await hmacSha256(secret, data));
+}
+
+/**
+ * Build a signature header for a webhook body.
+ * @param {string} secret
+ * @param {string} body - Raw request body
+ * @param {number} [timestamp] - Unix seconds (default: now)
+ * @returns {Promise<string>}
+ */
+async function signWebhook(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${await hmac(secret, `${timestamp}.${body}`)}`;
+}
+
+/**
+ * Verify a webhook signature header on the receiving side.
+ * @param {string} secret
+ * @param {string} header - X-Toll-Signature value
+ * @param {string|Buffer} body - Raw request body, exactly as received
+ * @param {object} [opts]
+ * @param {number} [opts.tolerance=300] - Max age of the signature in seconds (0 = don't check)
+ * @returns {Promise<boolean>}
+ */
+async function verifyWebhookSignature(secret, header, body, opts = {}) {
+  if (!header || typeof header !== 'string') return false;
+  const tolerance = opts.tolerance === undefined ? 300 : opts.tolerance;
+
+  let timestamp = null;
+  const signatures = [];
+  for (const part of header.split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') timestamp = Number(value);
+    if (key === 'v1' && value) signatures.push(value);
+  }
+  if (!Number.isFinite(timestamp) || signatures.length === 0) return false;
+  if (tolerance && Math.abs(Math.floor(Date.now() / 1000) - timestamp) > tolerance) return false;
+
+  const expected = toBytes(await hmac(secret, `${timestamp}.${body}`));
+  return signatures.some(sig => timingSafeEqual(toBytes(sig.toLowerCase()), expected));
+}
+
+// Error objects (e.g. in invoice_error) serialize as {}; send their message instead
+function serialize(value) {
+  return JSON.stringify(value, (key, v) => (v instanceof Error ? { message: v.message } : v));
+}
+
+/**
+ * POST a body, resolving with the response status.
+ */
+function post(url, body, headers, timeoutMs) {
+  if (!http) return postWithFetch(url, body, headers, timeoutMs);
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': toBytes(body).length, ...headers },
+      timeout: timeoutMs
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${timeoutMs}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * post() for runtimes without node:http.
+ */
+async function postWithFetch(url, body, headers, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body,
+      signal: controller.signal
+    });
+    await res.arrayBuffer();
+    return res.status;
+  } catch (err) {
+    throw controller.signal.aborted ? new Error(`Timed out after ${timeoutMs}ms`) : err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function normalizeWebhook(hook) {
+  if (!hook || typeof hook.url !== 'string') throw new Error('lightning-toll: webhook url is required');
+  const url = new URL(hook.url);
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`lightning-toll: webhook url must be http(s): ${hook.url}`);
+  }
+  if (!hook.secret) throw new Error(`lightning-toll: webhook secret is required for ${hook.url}`);
+
+  return {
+    url: hook.url,
+    secret: hook.secret,
+    events: hook.events || ['paid'],
+    maxAttempts: hook.maxAttempts || 8,
+    backoffMs: hook.backoffMs || 1000,
+    maxBackoffMs: hook.maxBackoffMs || 3600000,
+    timeoutMs: hook.timeoutMs || 10000
+  };
+}
+
+class WebhookDispatcher {
+  /**
+   * @param {object} opts
+   * @param {object} opts.store - State store holding the outbox and dead letters
+   * @param {object[]} opts.webhooks - [{ url, secret, events, maxAttempts, backoffMs, maxBackoffMs, timeoutMs }]
+   * @param {number} [opts.interval=1000] - How often due retries are sent (ms)
+   * @param {number} [opts.deadLetterTtl=604800000] - How long dead letters are kept (ms, default 7 days)
+   */
+  constructor(opts = {}) {
+    if (!opts.store) throw new Error('WebhookDispatcher: store is required');
+    this.store = opts.store;
+    this.webhooks = (opts.webhooks || []).map(normalizeWebhook);
+    this.interval = opts.interval || 1000;
+    this.deadLetterTtl = opts.deadLetterTtl || 604800000;
+
+    this._timer = null;
+    this._flushing = null;
+    this._again = false;
+  }
+
+  /**
+   * Queue an event for every webhook subscribed to it, then start delivering.
+   * @param {string} event
+   * @param {object} data
+   * @returns {Promise<string[]>} Delivery ids
+   */
+  async enqueue(event, data) {
+    const now = Date.now();
+    const ids = [];
+    for (const hook of this.webhooks) {
+      if (!hook.events.includes(event) && !hook.events.includes('*')) continue;
+      const id = toHex(randomBytes(12));
+      const body = serialize({ id, event, createdAt: now, data });
+      await this.store.set(OUTBOX_PREFIX + id, { id, url: hook.url, event, body, attempts: 0, nextAttemptAt: now, createdAt: now });
+      ids.push(id);
+    }
+    if (ids.length > 0) this.flush().catch(() => { /* failures are recorded on the delivery */ });
+    return ids;
+  }
+
+  /**
+   * Send every delivery that is due. Concurrent calls share the same run,
+   * which goes round again if deliveries were queued while it was sending.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this._flushing) {
+      this._again = true;
+      return this._flushing;
+    }
+    this._flushing = (async () => {
+      do {
+        this._again = false;
+        await this._flushDue();
+      } while (this._again);
+    })().finally(() => { this._flushing = null; });
+    return this._flushing;
+  }
+
+  async _flushDue() {
+    const now = Date.now();
+    const due = [];
+    for (const key of await this.store.keys(OUTBOX_PREFIX)) {
+      const delivery = await this.store.get(key);
+      if (delivery && delivery.nextAttemptAt <= now) due.push(delivery);
+    }
+    await Promise.all(due.map(delivery => this._deliver(delivery)));
+  }
+
+  async _deliver(delivery) {
+    const hook = this.webhooks.find(h => h.url === delivery.url);
+    if (!hook) {
+      return this._bury(delivery, 'Webhook no longer configured');
+    }
+
+    let error;
+    try {
+      const status = await post(delivery.url, delivery.body, {
+        'X-Toll-Event': delivery.event,
+        'X-Toll-Delivery': delivery.id,
+        'X-Toll-Signature': await signWebhook(hook.secret, delivery.body)
+      }, hook.timeoutMs);
+      if (status >= 200 && status < 300) {
+        await this.store.delete(OUTBOX_PREFIX + delivery.id);
+        return;
+      }
+      error = `HTTP ${status}`;
+    } catch (err) {
+      error = err.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    if (attempts >= hook.maxAttempts) {
+      return this._bury({ ...delivery, attempts }, error);
+    }
+    const delay = Math.min(hook.backoffMs * 2 ** (attempts - 1), hook.maxBackoffMs);
+    await this.store.set(OUTBOX_PREFIX + delivery.id, {
+      ...delivery,
+      attempts,
+      lastError: error,
+      nextAttemptAt: Date.now() + delay
+    });
+  }
+
+  async _bury(delivery, error) {
+    await this.store.set(DEAD_PREFIX + delivery.id, { ...delivery, lastError: error, failedAt: Date.now() }, this.deadLetterTtl);
+    await this.store.delete(OUTBOX_PREFIX + delivery.id);
+  }
+
+  /**
+   * Deliveries still queued or waiting to be retried.
+   * @returns {Promise<number>}
+   */
+  async pending() {
+    return (await this.store.keys(OUTBOX_PREFIX)).length;
+  }
+
+  /**
+   * Deliveries that ran out of attempts, newest first.
+   * @returns {Promise<object[]>} [{ id, url, event, attempts, lastError, createdAt, failedAt }]
+   */
+  async deadLetters() {
+    const letters = [];
+    for (const key of await this.store.keys(DEAD_PREFIX)) {
+      const letter = await this.store.get(key);
+      if (!letter) continue;
+      const { body, nextAttemptAt, ...summary } = letter;
+      letters.push(summary);
+    }
+    return letters.sort((a, b) => b.failedAt - a.failedAt);
+  }
+
+  /**
+   * Move a dead letter back to the outbox and try it again.
+   * @param {string} id - Delivery id
+   * @returns {Promise<boolean>} Whether the dead letter existed
+   */
+  async retry(id) {
+    const letter = await this.store.get(DEAD_PREFIX + id);
+    if (!letter) return false;
+    const { lastError, failedAt, ...delivery } = letter;
+    await this.store.set(OUTBOX_PREFIX + id, { ...delivery, attempts: 0, nextAttemptAt: Date.now() });
+    await this.store.delete(DEAD_PREFIX + id);
+    this.flush().catch(() => { /* failures are recorded on the delivery */ });
+    return true;
+  }
+
+  /**
+   * Start sending due retries. Deliveries queued before a restart are resumed.
+   */
+  start() {
+    if (this._timer) return;
+    this._timer = setInterval(() => this.flush().catch(() => {}), this.interval);
+    if (this._timer.unref) this._timer.unref();
+    this.flush().catch(() => {});
+  }
+
+  /**
+   * Stop sending retries.
+   */
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+}
+
+module.exports = { WebhookDispatcher, signWebhook, verifyWebhookSignature };
@@ -1,7 +1,39 @@
 #!/usr/bin/env node
 'use strict';
 
-const { TollStats, createMetricsExporter } = require('./src');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {
+  createToll,
+  createMacaroon,
+  decodeMacaroon,
+  encodeMacaroon,
+  verifyMacaroon,
+  attenuate,
+  getThirdPartyCaveats,
+  createDischarge,
+  bindDischarge,
+  decodeThirdPartyCaveatId,
+  TollStats,
+  createMetricsExporter,
+  MemoryStore,
+  FileStore,
+  compilePricing,
+  StaticRateProvider,
+  RateSource,
+  fiatToSats,
+  InvoiceWatcher,
+  WebhookDispatcher,
+  signWebhook,
+  verifyWebhookSignature,
+  MockWallet,
+  getClientId,
+  createNip98Auth
+} = require('./src');
 
 let passed = 0;
 let failed = 0;
@@ -16,6 +48,43 @@ function assert(condition, message) {
   }
 }
 
+// Wallet double that issues invoices and remembers their preimages
+function createTestWallet() {
+  const preimages = new Map();
+  return {
+    preimages,
+    async createInvoice({ amountSats }) {
+      const preimage = crypto.randomBytes(32).toString('hex');
+      const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+      preimages.set(paymentHash, preimage);
+      return { invoice: `lnbc${amountSats}test${paymentHash.slice(0, 8)}`, paymentHash };
+    },
+    async waitForPayment() {
+      return { paid: false };
+    }
+  };
+}
+
+// Run an Express-style middleware against a minimal req/res pair
+function runMiddleware(mw, reqOpts = {}) {
+  return new Promise((resolve) => {
+    const req = { method: 'GET', path: '/api/data', headers: {}, ip: '203.0.113.1', ...reqOpts };
+    const res = Object.assign(new EventEmitter(), {
+      statusCode: 200,
+      headers: {},
+      status(code) { this.statusCode = code; return this; },
+      set(k, v) { this.headers[k.toLowerCase()] = v; return this; },
+      json(body) { resolve({ status: this.statusCode, headers: this.headers, body, req }); }
+    });
+    mw(req, res, () => resolve({ status: 'next', headers: res.headers, req, res }));
+  });
+}
+
+// Pay a 402 challenge and build the retry Authorization header
+function payChallenge(wallet, result) {
+  return `L402 ${result.body.macaroon}:${wallet.preimages.get(result.body.paymentHash)}`;
+}
+
 console.log('\n📊 TollStats');
 
 const stats = new TollStats();
@@ -64,6 +133,1553 @@ handler({}, mockRes);
 assert(sentContentType.includes('text/plain'), 'sets correct content type');
 assert(sentBody.includes('lightning_toll'), 'sends metrics');
 
-console.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-console.log(`Results: ${passed} passed, ${failed} failed`);
-if (failed > 0) process.exit(1);
+(async () => {
+  console.log('\n🍪 Macaroon Formats');
+
+  // libmacaroons reference vector: root key, identifier, location and one caveat
+  const refSecret = 'this is our super secret key; only we should know it';
+  const ref = {
+    format: 'v2',
+    location: 'http://mysite.com/',
+    id: Buffer.from('we used our secret key').toString('hex'),
+    caveats: ['account = 3735928559'],
+    signature: '1efe4763f290dbce0c1d08477367e11f4eee456a64933cf662d79772dbb82128'
+  };
+  const refDecoded = decodeMacaroon(encodeMacaroon(ref));
+  assert(refDecoded.format === 'v2' && refDecoded.location === 'http://mysite.com/', 'round-trips V2 binary serialization');
+  assert((await verifyMacaroon(refSecret, refDecoded)).valid, 'verifies libmacaroons reference signature');
+
+  const paymentHash = crypto.createHash('sha256').update('preimage').digest('hex');
+  const v2 = await createMacaroon('s3cret', { paymentHash, endpoint: '/api/data', format: 'v2', location: 'api.example.com' });
+  const v2Decoded = decodeMacaroon(v2.raw);
+  assert(v2.raw === Buffer.from(v2.raw, 'base64').toString('base64'), 'V2 macaroons use standard base64');
+  assert(v2Decoded.paymentHash === paymentHash && v2Decoded.tokenId === v2.tokenId, 'V2 identifier carries payment hash and token id');
+  assert(Buffer.from(v2Decoded.id, 'hex').length === 66, 'V2 identifier uses the 66-byte L402 layout');
+  assert(v2Decoded.caveats[0] === 'endpoint=/api/data', 'V2 caveats use key=value form');
+  assert((await verifyMacaroon('s3cret', v2Decoded, { endpoint: '/api/data' })).valid, 'verifies V2 macaroon');
+  assert(!(await verifyMacaroon('s3cret', v2Decoded, { endpoint: '/api/other' })).valid, 'enforces V2 caveats');
+  assert(!(await verifyMacaroon('wrong', v2Decoded)).valid, 'rejects V2 macaroon signed with another secret');
+  const json = await createMacaroon('s3cret', { paymentHash, endpoint: '/api/data' });
+  assert(decodeMacaroon(json.raw).format === 'json' && decodeMacaroon(json.raw).paymentHash === paymentHash, 'auto-detects JSON macaroons');
+  assert(decodeMacaroon('AgJnYXJiYWdl') === null, 'rejects truncated V2 input');
+
+  console.log('\n🧭 Path Matching');
+
+  const { matchPath, matchesAny, normalizePath } = require('./src/match');
+  assert(matchPath('/api/users/:id', '/api/users/42').id === '42', 'captures :params');
+  assert(matchPath('/api/users/:id', '/api/users/42/posts') === null, ':params match one segment');
+  assert(matchesAny(['/api/*.json'], '/api/data.json') && !matchesAny(['/api/*'], '/api/a/b'), '* stays within a segment');
+  assert(matchesAny(['/api/**'], '/api/a/b/c'), '** crosses segments');
+  assert(matchPath('/api/v1.0', '/api/v1x0') === null, 'escapes regex characters');
+  assert(matchPath('/a/**/b', '/a/x/y/b') !== null && matchPath('/a/**/b', '/a/b') === null, '** in the middle spans one or more segments');
+  const globStart = Date.now();
+  const globBomb = matchPath('/' + '**a/'.repeat(8), '/' + 'a/'.repeat(20) + 'b') === null && matchPath('**a'.repeat(8), 'a'.repeat(39) + 'b') === null;
+  assert(globBomb && Date.now() - globStart < 100, 'hostile glob patterns match in linear time');
+  assert(matchPath('/' + '*/'.repeat(9), '/a/b/c/d/e/f/g/h/i/') === null && matchPath('/x'.repeat(200), '/x') === null,
+    'patterns over the wildcard or length limit match nothing');
+
+  console.log('\n🗄️  Stores');
+
+  const mem = new MemoryStore();
+  await mem.set('a', { x: 1 });
+  assert((await mem.get('a')).x === 1, 'memory store get/set');
+  assert(await mem.increment('n') === 1 && await mem.increment('n', 2) === 3, 'memory store increments');
+  await mem.set('short', 1, 1);
+  await new Promise(r => setTimeout(r, 5));
+  assert(await mem.get('short') === undefined, 'memory store expires keys');
+  await mem.delete('a');
+  assert(await mem.get('a') === undefined, 'memory store deletes keys');
+  assert((await mem.keys('n')).join() === 'n', 'memory store lists keys by prefix');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'toll-'));
+  const file = path.join(dir, 'state.log');
+  const fileStore = new FileStore({ path: file, compactThreshold: 5 });
+  await fileStore.set('spent:abc', { firstUsedAt: 1 });
+  await fileStore.increment('uses:abc');
+  await fileStore.increment('uses:abc');
+  await fileStore.set('gone', true);
+  await fileStore.delete('gone');
+  await fileStore.set('ttl', true, 1);
+  await new Promise(r => setTimeout(r, 5));
+
+  const reloaded = new FileStore({ path: file });
+  assert((await reloaded.get('spent:abc')).firstUsedAt === 1, 'file store survives restart');
+  assert(await reloaded.get('uses:abc') === 2, 'file store replays increments');
+  assert(await reloaded.get('gone') === undefined, 'file store replays deletes');
+  assert(await reloaded.get('ttl') === undefined, 'file store drops expired keys');
+  assert(fs.readFileSync(file, 'utf8').trim().split('\n').length <= 5, 'file store compacts its log');
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log('\n🎟️  Credential Usage');
+
+  const wallet = createTestWallet();
+  const store = new MemoryStore();
+  const toll = createToll({ wallet, secret: 'test-secret', store });
+  const mw = toll({ sats: 5 });
+
+  const challenge = await runMiddleware(mw);
+  assert(challenge.status === 402, 'issues 402 challenge without credentials');
+  const authorization = payChallenge(wallet, challenge);
+  const first = await runMiddleware(mw, { headers: { authorization } });
+  assert(first.status === 'next' && first.req.toll.paid, 'accepts paid credential');
+  assert(first.req.toll.uses === 1, 'counts first credential use');
+  const second = await runMiddleware(mw, { headers: { authorization } });
+  assert(second.req.toll.uses === 2, 'counts credential reuse');
+  assert(await store.get(`spent:${challenge.body.paymentHash}`), 'marks payment hash as spent in the store');
+  assert(toll.stats.totalRevenue === 5 && toll.stats.totalReused === 1, 'records revenue once and counts reuse');
+
+  const v2Toll = createToll({ wallet, secret: 'test-secret', macaroonFormat: 'v2' });
+  const v2Mw = v2Toll({ sats: 5 });
+  const v2Challenge = await runMiddleware(v2Mw);
+  assert(decodeMacaroon(v2Challenge.body.macaroon).format === 'v2', 'toll issues V2 macaroons when configured');
+  const v2Result = await runMiddleware(v2Mw, { headers: { authorization: payChallenge(wallet, v2Challenge) } });
+  assert(v2Result.status === 'next' && v2Result.req.toll.paymentHash === v2Challenge.body.paymentHash, 'toll accepts paid V2 credentials');
+
+  console.log('\n✂️  Attenuation');
+
+  const { TollClient } = require('./src/client');
+  const attMw = toll({ sats: 5 });
+  const attChallenge = await runMiddleware(attMw);
+  const attPreimage = wallet.preimages.get(attChallenge.body.paymentHash);
+  const narrowed = await new TollClient({ wallet }).attenuate(attChallenge.body.macaroon, { method: 'GET', ip: '203.0.113.1' });
+  const attOk = await runMiddleware(createToll({ wallet, secret: 'test-secret', bindIp: true })({ sats: 5 }), {
+    headers: { authorization: `L402 ${narrowed}:${attPreimage}` }
+  });
+  assert(attOk.status === 'next', 'server accepts client-attenuated macaroon');
+  const attIpMismatch = await runMiddleware(createToll({ wallet, secret: 'test-secret', bindIp: true })({ sats: 5 }), {
+    ip: '198.51.100.7',
+    headers: { authorization: `L402 ${narrowed}:${attPreimage}` }
+  });
+  assert(attIpMismatch.status === 401, 'server enforces attenuated caveats');
+  const unboundMw = createToll({ wallet, secret: 'test-secret', bindEndpoint: false, bindMethod: false })({ sats: 5 });
+  const unboundChallenge = await runMiddleware(unboundMw);
+  const unboundPreimage = wallet.preimages.get(unboundChallenge.body.paymentHash);
+  const unboundNarrowed = await attenuate(unboundChallenge.body.macaroon, { method: 'GET', ip: '203.0.113.1', endpoint: '/api/data' });
+  const unboundAuth = { authorization: `L402 ${unboundNarrowed}:${unboundPreimage}` };
+  assert((await runMiddleware(unboundMw, { headers: unboundAuth })).status === 'next',
+    'attenuated credentials work where nothing is bound');
+  const unboundMethod = await runMiddleware(unboundMw, { method: 'POST', headers: unboundAuth });
+  assert(unboundMethod.status === 401 && /^Method mismatch/.test(unboundMethod.body.error),
+    'attenuated method caveats hold with bindMethod off');
+  const unboundIp = await runMiddleware(unboundMw, { ip: '198.51.100.7', headers: unboundAuth });
+  assert(unboundIp.status === 401 && /^IP mismatch/.test(unboundIp.body.error),
+    'attenuated ip caveats hold with bindIp off');
+  const unboundPath = await runMiddleware(unboundMw, { path: '/api/other', headers: unboundAuth });
+  assert(unboundPath.status === 401 && /^Endpoint mismatch/.test(unboundPath.body.error),
+    'attenuated endpoint caveats hold with bindEndpoint off');
+  const expired = await attenuate(attChallenge.body.macaroon, ['expires_at = 1']);
+  const attExpired = await runMiddleware(attMw, { headers: { authorization: `L402 ${expired}:${attPreimage}` } });
+  assert(attExpired.status === 401 && attExpired.body.error === 'Macaroon expired', 'attenuated expiry shortens token lifetime');
+  const stripped = decodeMacaroon(expired);
+  stripped.caveats.pop();
+  assert(!(await verifyMacaroon('test-secret', stripped)).valid, 'removing an attenuated caveat breaks the signature');
+  const v2Narrowed = decodeMacaroon(await attenuate(v2Challenge.body.macaroon, { method: 'GET' }));
+  assert(v2Narrowed.format === 'v2' && v2Narrowed.caveats.includes('method=GET'), 'attenuation preserves V2 format');
+  assert((await verifyMacaroon('test-secret', v2Narrowed, { method: 'GET' })).valid, 'verifies attenuated V2 macaroon');
+
+  console.log('\n🛣️  Endpoint Binding');
+
+  const users42 = { baseUrl: '/api', path: '/users/42', route: { path: '/users/:id' } };
+  const users43 = { baseUrl: '/api', path: '/users/43', route: { path: '/users/:id' } };
+  const teams = { baseUrl: '/api', path: '/teams/1', route: { path: '/teams/:id' } };
+
+  const exactMw = toll({ sats: 5 });
+  const exactChallenge = await runMiddleware(exactMw, users42);
+  const exactOther = await runMiddleware(exactMw, { ...users43, headers: { authorization: payChallenge(wallet, exactChallenge) } });
+  assert(exactOther.status === 401, 'exact binding rejects sibling resources');
+
+  const routeMw = toll({ sats: 5, endpointBinding: 'route' });
+  const routeChallenge = await runMiddleware(routeMw, users42);
+  assert(decodeMacaroon(routeChallenge.body.macaroon).caveats.includes('route = /api/users/:id'), 'route binding mints the mounted route pattern');
+  const routeAuth = payChallenge(wallet, routeChallenge);
+  assert((await runMiddleware(routeMw, { ...users43, headers: { authorization: routeAuth } })).status === 'next', 'route binding covers the resource family');
+  assert((await runMiddleware(routeMw, { ...teams, headers: { authorization: routeAuth } })).status === 401, 'route binding rejects other routes');
+
+  const prefixMw = toll({ sats: 5, endpointBinding: { prefix: '/api/users/' } });
+  const prefixChallenge = await runMiddleware(prefixMw, users42);
+  const prefixAuth = payChallenge(wallet, prefixChallenge);
+  assert((await runMiddleware(prefixMw, { ...users43, headers: { authorization: prefixAuth } })).status === 'next', 'prefix binding covers paths under the prefix');
+  assert((await runMiddleware(prefixMw, { ...teams, headers: { authorization: prefixAuth } })).status === 401, 'prefix binding rejects paths outside the prefix');
+  const segmentMw = toll({ sats: 5, endpointBinding: { prefix: '/api/users' } });
+  const segmentAuth = payChallenge(wallet, await runMiddleware(segmentMw, users42));
+  const segmentAt = (path) => runMiddleware(segmentMw, { path, headers: { authorization: segmentAuth } });
+  assert((await segmentAt('/api/users')).status === 'next' && (await segmentAt('/api/users/43')).status === 'next',
+    'prefix binding covers the prefix itself and the paths below it');
+  assert((await segmentAt('/api/users-admin')).status === 401 && (await segmentAt('/api/usersx/1')).status === 401,
+    'prefix binding matches on a segment boundary, not a string prefix');
+  const attenuatedPrefix = `L402 ${await attenuate(prefixChallenge.body.macaroon, ['endpoint_prefix = /api/users/4'])}:${wallet.preimages.get(prefixChallenge.body.paymentHash)}`;
+  assert((await runMiddleware(prefixMw, { ...users42, headers: { authorization: attenuatedPrefix } })).status === 401,
+    'attenuated prefix caveats match on a segment boundary too');
+  assert((() => {
+    try {
+      toll({ sats: 5, endpointBinding: { prefix: 'api/users' } });
+      return false;
+    } catch (err) {
+      return /endpointBinding\.prefix/.test(err.message);
+    }
+  })(), 'prefix binding needs a path starting with /');
+
+  const globMw = toll({ sats: 5, endpointBinding: ['/api/users/*', '/api/teams/**'] });
+  const globAuth = payChallenge(wallet, await runMiddleware(globMw, users42));
+  assert((await runMiddleware(globMw, { ...teams, headers: { authorization: globAuth } })).status === 'next', 'glob binding covers any listed pattern');
+  assert((await runMiddleware(globMw, { path: '/api/data', headers: { authorization: globAuth } })).status === 401, 'glob binding rejects unlisted paths');
+
+  console.log('\n♻️  Invoice Reuse');
+
+  let invoicesCreated = 0;
+  const countingWallet = { ...wallet, createInvoice: (opts) => { invoicesCreated++; return wallet.createInvoice(opts); } };
+  const reuseToll = createToll({ wallet: countingWallet, secret: 'test-secret', maxPendingPerClient: 2, maxPendingInvoices: 3 });
+  const reuseMw = reuseToll({ sats: 5 });
+  const reuse1 = await runMiddleware(reuseMw);
+  const reuse2 = await runMiddleware(reuseMw);
+  assert(invoicesCreated === 1 && reuse2.body.paymentHash === reuse1.body.paymentHash, 'reuses pending invoice for repeat challenges');
+  await runMiddleware(reuseMw, { path: '/api/other' });
+  const capped = await runMiddleware(reuseMw, { path: '/api/third' });
+  assert(capped.status === 429 && capped.headers['retry-after'], 'caps pending invoices per client');
+  assert((await runMiddleware(reuseMw)).body.paymentHash === reuse1.body.paymentHash, 'still serves cached challenge at the cap');
+  await runMiddleware(reuseMw, { ip: '198.51.100.1' });
+  const globalCap = await runMiddleware(reuseMw, { ip: '198.51.100.2' });
+  assert(globalCap.status === 429, 'caps pending invoices globally');
+  await runMiddleware(reuseMw, { headers: { authorization: payChallenge(wallet, reuse1) } });
+  const afterPay = await runMiddleware(reuseMw);
+  assert(afterPay.status === 402 && afterPay.body.paymentHash !== reuse1.body.paymentHash, 'stops reusing an invoice once redeemed');
+  const scanStore = new MemoryStore();
+  let scans = 0;
+  const scanKeys = scanStore.keys.bind(scanStore);
+  scanStore.keys = (prefix) => { scans++; return scanKeys(prefix); };
+  const pendingToll = createToll({ wallet, secret: 'test-secret', store: scanStore, maxPendingPerClient: 1, reuseInvoices: false });
+  const pendingMw = pendingToll({ sats: 5 });
+  const pendingFirst = await runMiddleware(pendingMw);
+  assert((await runMiddleware(pendingMw)).status === 429 && scans === 0, 'counts pending invoices without scanning the store');
+  const pendingRecord = await scanStore.get(`invoice:${pendingFirst.body.paymentHash}`);
+  await scanStore.set(`invoice:${pendingFirst.body.paymentHash}`, { ...pendingRecord, expiresAt: Date.now() - 1 });
+  await pendingToll.watcher.poll();
+  assert((await runMiddleware(pendingMw)).status === 402, 'an expired invoice frees its place under the cap');
+  const priceA = await runMiddleware(toll({ sats: 5 }), { ip: '192.0.2.9' });
+  const priceB = await runMiddleware(toll({ sats: 6 }), { ip: '192.0.2.9' });
+  assert(priceA.body.paymentHash !== priceB.body.paymentHash, 'different price is a different challenge');
+
+  console.log('\n🚫 Revocation');
+
+  const revMw = toll({ sats: 5 });
+  const revChallenge = await runMiddleware(revMw);
+  const revAuth = payChallenge(wallet, revChallenge);
+  assert((await runMiddleware(revMw, { headers: { authorization: revAuth } })).status === 'next', 'accepts credential before revocation');
+  await toll.revoke(revChallenge.body.paymentHash, { reason: 'refunded' });
+  const revoked = await runMiddleware(revMw, { headers: { authorization: revAuth } });
+  assert(revoked.status === 401 && revoked.body.error === 'Credential revoked', 'rejects revoked credential');
+  assert((await toll.revocations())[0].reason === 'refunded', 'lists revocations with reason');
+
+  const revV2Toll = createToll({ wallet, secret: 'test-secret', macaroonFormat: 'v2', store });
+  const revV2Mw = revV2Toll({ sats: 5 });
+  const revV2Challenge = await runMiddleware(revV2Mw);
+  await revV2Toll.revoke(decodeMacaroon(revV2Challenge.body.macaroon).tokenId);
+  assert((await runMiddleware(revV2Mw, { headers: { authorization: payChallenge(wallet, revV2Challenge) } })).status === 401, 'revokes V2 credentials by token id');
+
+  const admin = toll.adminRouter();
+  const adminList = await runMiddleware(admin, { path: '/revocations' });
+  assert(adminList.body.revocations.length >= 1, 'admin router lists revocations');
+  const adminBadId = await runMiddleware(admin, { method: 'DELETE', path: '/revocations/%E0%A4%A' });
+  assert(adminBadId.status === 400 && adminBadId.body.error === 'Invalid id encoding', 'admin answers 400 for a malformed id escape');
+  const adminDelete = await runMiddleware(admin, { method: 'DELETE', path: `/revocations/${revChallenge.body.paymentHash}` });
+  assert(adminDelete.body.revoked === false, 'admin router unrevokes');
+  assert((await runMiddleware(revMw, { headers: { authorization: revAuth } })).status === 'next', 'unrevoked credential works again');
+  const adminPost = await runMiddleware(admin, { method: 'POST', path: '/revocations', body: { id: revChallenge.body.paymentHash, reason: 'abuse' } });
+  assert(adminPost.status === 201 && adminPost.body.reason === 'abuse', 'admin router revokes');
+  const adminBad = await runMiddleware(admin, { method: 'POST', path: '/revocations', body: {} });
+  assert(adminBad.status === 400, 'admin router validates revoke requests');
+  assert((await runMiddleware(admin, { path: '/elsewhere' })).status === 'next', 'admin router passes through unknown paths');
+
+  console.log('\n🔑 Key Rotation');
+
+  const ringToll = createToll({ wallet, secret: 'test-secret', keyring: [{ id: 'k1', secret: 'first-secret' }] });
+  const ringMw = ringToll({ sats: 5 });
+  const k1Challenge = await runMiddleware(ringMw);
+  const k1Mac = decodeMacaroon(k1Challenge.body.macaroon);
+  assert(k1Mac.caveats[0] === 'key_id = k1', 'embeds the signing key id');
+  assert(!(await verifyMacaroon('first-secret', k1Mac)).valid, 'signs with a derived per-token root key');
+  const k1Auth = payChallenge(wallet, k1Challenge);
+  const legacyAuth = payChallenge(wallet, await runMiddleware(toll({ sats: 5 })));
+  assert((await runMiddleware(ringMw, { headers: { authorization: legacyAuth } })).status === 'next', 'keyring still verifies pre-keyring macaroons with the legacy secret');
+
+  ringToll.keyring.add({ id: 'k2', secret: 'second-secret' });
+  ringToll.keyring.retire('k1', Date.now() + 60000);
+  const k2Challenge = await runMiddleware(ringMw);
+  assert(decodeMacaroon(k2Challenge.body.macaroon).caveats[0] === 'key_id = k2', 'mints with the new key after rotation');
+  assert((await runMiddleware(ringMw, { headers: { authorization: k1Auth } })).status === 'next', 'old tokens verify until their key retires');
+  assert((await runMiddleware(ringMw, { headers: { authorization: payChallenge(wallet, k2Challenge) } })).status === 'next', 'new tokens verify with the new key');
+  ringToll.keyring.retire('k1');
+  const retired = await runMiddleware(ringMw, { headers: { authorization: k1Auth } });
+  assert(retired.status === 401 && retired.body.error === 'Unknown or retired key: k1', 'rejects tokens of retired keys');
+
+  console.log('\n🧩 Custom Caveats');
+
+  const ruleToll = createToll({
+    wallet,
+    secret: 'test-secret',
+    strictCaveats: true,
+    caveats: {
+      tenant: (value, req) => value === req.headers['x-tenant'] || `Tenant mismatch: expected ${value}`,
+      max_body_bytes: (value, req) => Number(req.headers['content-length'] || 0) <= Number(value)
+    }
+  });
+  const ruleMw = ruleToll({ sats: 5, caveats: (req) => ({ tenant: req.headers['x-tenant'], max_body_bytes: 1024 }) });
+  const ruleChallenge = await runMiddleware(ruleMw, { headers: { 'x-tenant': 'acme' } });
+  const ruleAuth = payChallenge(wallet, ruleChallenge);
+  assert(decodeMacaroon(ruleChallenge.body.macaroon).caveats.includes('tenant = acme'), 'route generator adds caveats at mint time');
+  const ruleOk = await runMiddleware(ruleMw, { headers: { authorization: ruleAuth, 'x-tenant': 'acme', 'content-length': '10' } });
+  assert(ruleOk.status === 'next', 'custom verifiers accept satisfied caveats');
+  const ruleTenant = await runMiddleware(ruleMw, { headers: { authorization: ruleAuth, 'x-tenant': 'globex' } });
+  assert(ruleTenant.status === 401 && ruleTenant.body.error === 'Tenant mismatch: expected acme', 'custom verifier string becomes the error');
+  const ruleBody = await runMiddleware(ruleMw, { headers: { authorization: ruleAuth, 'x-tenant': 'acme', 'content-length': '4096' } });
+  assert(ruleBody.status === 401 && ruleBody.body.error === 'Caveat not satisfied: max_body_bytes = 1024', 'custom verifier false rejects');
+  const unknownAuth = `L402 ${await attenuate(ruleChallenge.body.macaroon, ['colour = blue'])}:${wallet.preimages.get(ruleChallenge.body.paymentHash)}`;
+  const ruleStrict = await runMiddleware(ruleMw, { headers: { authorization: unknownAuth, 'x-tenant': 'acme' } });
+  assert(ruleStrict.status === 401 && ruleStrict.body.error === 'Unknown caveat: colour', 'strict mode rejects unknown caveats');
+  const lenient = await runMiddleware(toll({ sats: 5 }), { headers: { authorization: unknownAuth } });
+  assert(lenient.status === 'next', 'unknown caveats are ignored outside strict mode');
+  let overrideError = null;
+  try { createToll({ wallet, secret: 'x', caveats: { endpoint: () => true } }); } catch (err) { overrideError = err; }
+  assert(overrideError && /built-in/.test(overrideError.message), 'refuses to override built-in caveats');
+
+  console.log('\n🤝 Third-Party Caveats');
+
+  // Stand-in for an external account service that shares a key with the toll booth
+  const accountsKey = 'accounts-shared-key';
+  const enterpriseUsers = new Set(['alice']);
+  async function accountService(caveatId, user) {
+    const { rootKey, condition } = await decodeThirdPartyCaveatId(accountsKey, caveatId);
+    if (condition !== 'plan = enterprise' || !enterpriseUsers.has(user)) return null;
+    const expiresAt = Math.floor(Date.now() / 1000) + 60;
+    return createDischarge(rootKey, caveatId, { caveats: [`expires_at = ${expiresAt}`] });
+  }
+
+  const tpMw = toll({
+    sats: 5,
+    thirdPartyCaveats: [{ location: 'https://accounts.test', sharedKey: accountsKey, condition: 'plan = enterprise' }]
+  });
+  const tpChallenge = await runMiddleware(tpMw);
+  const tpRoot = decodeMacaroon(tpChallenge.body.macaroon);
+  const [tpCaveat] = getThirdPartyCaveats(tpRoot);
+  assert(tpCaveat && tpCaveat.location === 'https://accounts.test', 'mints third-party caveat with its location');
+  const tpPreimage = wallet.preimages.get(tpChallenge.body.paymentHash);
+
+  const noDischarge = await runMiddleware(tpMw, { headers: { authorization: `L402 ${tpChallenge.body.macaroon}:${tpPreimage}` } });
+  assert(noDischarge.status === 401 && /Missing discharge/.test(noDischarge.body.error), 'rejects credential without discharge');
+
+  const discharge = await accountService(tpCaveat.id, 'alice');
+  const unbound = await runMiddleware(tpMw, { headers: { authorization: `L402 ${tpChallenge.body.macaroon},${discharge.raw}:${tpPreimage}` } });
+  assert(unbound.status === 401, 'rejects unbound discharge');
+
+  const bound = await bindDischarge(tpRoot, discharge);
+  const tpResult = await runMiddleware(tpMw, { headers: { authorization: `L402 ${tpChallenge.body.macaroon},${bound.raw}:${tpPreimage}` } });
+  assert(tpResult.status === 'next', 'accepts credential with bound discharge');
+  assert(await accountService(tpCaveat.id, 'mallory') === null, 'third party refuses to discharge unmet condition');
+
+  const stale = await bindDischarge(tpRoot, await createDischarge((await decodeThirdPartyCaveatId(accountsKey, tpCaveat.id)).rootKey, tpCaveat.id, { caveats: ['expires_at = 1'] }));
+  const staleResult = await runMiddleware(tpMw, { headers: { authorization: `L402 ${tpChallenge.body.macaroon},${stale.raw}:${tpPreimage}` } });
+  assert(staleResult.status === 401 && staleResult.body.error === 'Macaroon expired', 'enforces discharge caveats');
+
+  const tpV2 = createToll({ wallet, secret: 'test-secret', macaroonFormat: 'v2' })({
+    sats: 5,
+    thirdPartyCaveats: [{ location: 'https://accounts.test', sharedKey: accountsKey, condition: 'plan = enterprise' }]
+  });
+  const tpV2Challenge = await runMiddleware(tpV2);
+  const tpV2Root = decodeMacaroon(tpV2Challenge.body.macaroon);
+  const v2Discharge = await accountService(getThirdPartyCaveats(tpV2Root)[0].id, 'alice');
+  const tpV2Result = await runMiddleware(tpV2, {
+    headers: { authorization: `L402 ${tpV2Challenge.body.macaroon},${(await bindDischarge(tpV2Root, v2Discharge)).raw}:${wallet.preimages.get(tpV2Challenge.body.paymentHash)}` }
+  });
+  assert(tpV2Result.status === 'next', 'third-party caveats work with V2 macaroons');
+
+  console.log('\n🔢 Metered Credentials');
+
+  const usesMw = toll({ sats: 2, uses: 2 });
+  const usesChallenge = await runMiddleware(usesMw);
+  assert(usesChallenge.body.amountSats === 4 && usesChallenge.body.uses === 2, 'uses mode invoices price × uses');
+  const usesAuth = payChallenge(wallet, usesChallenge);
+  const use1 = await runMiddleware(usesMw, { headers: { authorization: usesAuth } });
+  assert(use1.headers['x-toll-uses-remaining'] === '1', 'reports remaining uses');
+  await runMiddleware(usesMw, { headers: { authorization: usesAuth } });
+  const use3 = await runMiddleware(usesMw, { headers: { authorization: usesAuth } });
+  assert(use3.status === 402 && use3.body.paymentHash !== usesChallenge.body.paymentHash, 'issues fresh 402 when uses are exhausted');
+
+  let price = 3;
+  const balanceMw = toll({ price: () => price, balance: 10 });
+  const balanceChallenge = await runMiddleware(balanceMw);
+  assert(balanceChallenge.body.amountSats === 10 && balanceChallenge.body.balanceSats === 10, 'balance mode invoices the balance');
+  const balanceAuth = payChallenge(wallet, balanceChallenge);
+  const debit1 = await runMiddleware(balanceMw, { headers: { authorization: balanceAuth } });
+  assert(debit1.headers['x-toll-balance-remaining'] === '7', 'debits the request price from the balance');
+  price = 8;
+  const debit2 = await runMiddleware(balanceMw, { headers: { authorization: balanceAuth } });
+  assert(debit2.status === 402, 'issues fresh 402 when balance is insufficient');
+  price = 7;
+  const debit3 = await runMiddleware(balanceMw, { headers: { authorization: balanceAuth } });
+  assert(debit3.status === 'next' && debit3.req.toll.balanceRemaining === 0, 'refunds rejected debit and spends the rest');
+
+  console.log('\n👀 Invoice Watcher');
+
+  const settled = new Set();
+  const lookupWallet = {
+    ...wallet,
+    async lookupInvoice(hash) {
+      return settled.has(hash) ? { paid: true, preimage: wallet.preimages.get(hash), settledAt: 1 } : { paid: false };
+    }
+  };
+  const payments = [];
+  const watchStore = new MemoryStore();
+  const watchToll = createToll({ wallet: lookupWallet, secret: 'test-secret', store: watchStore, onPayment: info => payments.push(info) });
+  watchToll.watcher.stop();
+  const watchMw = watchToll({ sats: 7 });
+  const watched = await runMiddleware(watchMw);
+  await watchToll.watcher.poll();
+  assert(payments.length === 0 && (await watchStore.keys('invoice:')).length === 1, 'tracks pending invoices in the store');
+  settled.add(watched.body.paymentHash);
+  await watchToll.watcher.poll();
+  assert(payments.length === 1 && payments[0].amountSats === 7 && payments[0].source === 'wallet', 'polls the wallet and fires onPayment');
+  assert((await watchStore.keys('invoice:')).length === 0 && (await watchStore.keys('pending:')).length === 0, 'forgets paid invoices');
+  await runMiddleware(watchMw, { headers: { authorization: payChallenge(wallet, watched) } });
+  assert(payments.length === 1 && watchToll.stats.toJSON().invoices.paid === 1, 'reports each payment once');
+
+  const redeemed = await runMiddleware(watchMw, { ip: '192.0.2.20' });
+  await runMiddleware(watchMw, { ip: '192.0.2.20', headers: { authorization: payChallenge(wallet, redeemed) } });
+  assert(payments.length === 2 && payments[1].source === 'credential' && payments[1].preimage, 'redeeming a credential reports the payment');
+
+  // Without onPayment, the watcher still starts for listeners and webhooks
+  const polledUntil = async (toll, count) => {
+    for (let i = 0; i < 100 && toll.stats.toJSON().invoices.paid < count; i++) await new Promise(resolve => setTimeout(resolve, 10));
+    toll.watcher.stop();
+    return toll.stats.toJSON().invoices.paid === count;
+  };
+  const listenedToll = createToll({ wallet: lookupWallet, secret: 'test-secret', watchInterval: 10 });
+  const listenedPaid = [];
+  listenedToll.on('paid', info => listenedPaid.push(info));
+  const listened = await runMiddleware(listenedToll({ sats: 2 }));
+  settled.add(listened.body.paymentHash);
+  assert(await polledUntil(listenedToll, 1) && listenedPaid[0].source === 'wallet', "a 'paid' listener starts the watcher");
+  const hookedToll = createToll({
+    wallet: lookupWallet, secret: 'test-secret', watchInterval: 10, webhooks: [{ url: 'http://127.0.0.1:1/', secret: 's', maxAttempts: 1 }]
+  });
+  hookedToll.webhooks.stop();
+  const hooked = await runMiddleware(hookedToll({ sats: 2 }));
+  settled.add(hooked.body.paymentHash);
+  assert(await polledUntil(hookedToll, 1), 'webhooks start the watcher');
+
+  const resumed = new InvoiceWatcher({ wallet: lookupWallet, store: watchStore });
+  const resumedPaid = [];
+  const expiredHashes = [];
+  resumed.on('invoice.paid', info => resumedPaid.push(info.paymentHash));
+  resumed.on('invoice.expired', info => expiredHashes.push(info.paymentHash));
+  const leftover = await runMiddleware(watchMw, { ip: '192.0.2.21' });
+  settled.add(leftover.body.paymentHash);
+  await resumed.track({ paymentHash: 'ab'.repeat(32), amountSats: 1, expiresAt: Date.now() - 1, relatedKeys: ['pending:x:ab'] });
+  await watchStore.set('pending:x:ab', 1);
+  await resumed.poll();
+  assert(resumedPaid[0] === leftover.body.paymentHash, 'resumes invoices tracked before a restart');
+  assert(expiredHashes.length === 1 && (await watchStore.get('pending:x:ab')) === undefined, 'reports and forgets expired invoices');
+
+  const errors = [];
+  const flaky = new InvoiceWatcher({ wallet: { async lookupInvoice() { throw new Error('relay down'); } }, store: new MemoryStore() });
+  flaky.on('invoice.error', e => errors.push(e));
+  await flaky.track({ paymentHash: 'cd'.repeat(32), expiresAt: Date.now() + 60000 });
+  await flaky.poll();
+  assert(errors.length === 1 && errors[0].error.message === 'relay down', 'emits lookup errors without dropping the invoice');
+
+  let waited = 0;
+  const fallback = new InvoiceWatcher({ wallet: { async waitForPayment() { waited++; throw new Error('timeout'); } }, store: new MemoryStore(), batchSize: 2 });
+  for (let i = 0; i < 3; i++) await fallback.track({ paymentHash: String(i).repeat(64), expiresAt: Date.now() + 60000 });
+  await fallback.poll();
+  assert(waited === 3, 'falls back to short waitForPayment lookups in batches');
+
+  console.log('\n📣 Lifecycle Events');
+
+  const eventWallet = { ...lookupWallet };
+  const eventToll = createToll({ wallet: eventWallet, secret: 'test-secret', store: new MemoryStore() });
+  const events = [];
+  for (const name of ['challenge', 'paid', 'authorized', 'rejected', 'free', 'invoice_error', 'expired']) {
+    eventToll.on(name, payload => events.push({ name, ...payload }));
+  }
+  const eventMw = eventToll({ sats: 4, freeRequests: 1, freeQuota: 'events' });
+  assert(typeof eventToll.on === 'function' && typeof eventToll({}) === 'function', 'toll is callable and an EventEmitter');
+  await runMiddleware(eventMw);
+  assert(events[0].name === 'free' && events[0].clientId === '203.0.113.1' && typeof events[0].latency === 'number', 'emits free with client and latency');
+  const eventChallenge = await runMiddleware(eventMw);
+  const challengeEvent = events.find(e => e.name === 'challenge');
+  assert(challengeEvent && challengeEvent.paymentHash === eventChallenge.body.paymentHash && challengeEvent.amountSats === 4 &&
+    challengeEvent.endpoint === '/api/data' && challengeEvent.reused === false, 'emits challenge');
+  await runMiddleware(eventMw, { headers: { authorization: payChallenge(wallet, eventChallenge) } });
+  assert(events.some(e => e.name === 'paid' && e.paymentHash === eventChallenge.body.paymentHash && e.source === 'credential'), 'emits paid');
+  assert(events.some(e => e.name === 'authorized' && e.uses === 1 && e.amountSats === 4), 'emits authorized');
+  await runMiddleware(eventMw, { method: 'POST', headers: { authorization: payChallenge(wallet, eventChallenge) } });
+  const rejectedEvent = events.find(e => e.name === 'rejected');
+  assert(rejectedEvent && rejectedEvent.reason.startsWith('Method mismatch') && rejectedEvent.status === 401 &&
+    rejectedEvent.paymentHash === eventChallenge.body.paymentHash, 'emits rejected with the verification reason');
+
+  eventWallet.createInvoice = async () => { throw new Error('wallet offline'); };
+  const failedChallenge = await runMiddleware(eventMw, { path: '/api/other' });
+  assert(failedChallenge.status === 500 && events.some(e => e.name === 'invoice_error' && e.error.message === 'wallet offline'), 'emits invoice_error');
+
+  await eventToll.watcher.track({ paymentHash: 'ef'.repeat(32), amountSats: 1, expiresAt: Date.now() - 1 });
+  await eventToll.watcher.poll();
+  assert(events.some(e => e.name === 'expired' && e.paymentHash === 'ef'.repeat(32)), 'emits expired');
+
+  const surfaced = [];
+  const throwingToll = createToll({ wallet, secret: 'test-secret', watchInvoices: false, onPayment: () => { throw new Error('audit log down'); } });
+  throwingToll.on('error', (err, info) => surfaced.push({ err, info }));
+  const throwingMw = throwingToll({ sats: 1 });
+  const throwingChallenge = await runMiddleware(throwingMw);
+  const throwingPaid = await runMiddleware(throwingMw, { headers: { authorization: payChallenge(wallet, throwingChallenge) } });
+  assert(throwingPaid.status === 'next' && surfaced.length === 1 && surfaced[0].err.message === 'audit log down' &&
+    surfaced[0].info.event === 'paid', 'surfaces onPayment errors without failing the request');
+
+  console.log('\n🪝 Webhooks');
+
+  const received = [];
+  let receiverStatus = 200;
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = receiverStatus;
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  const hookUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+  const waitFor = async (condition) => {
+    for (let i = 0; i < 100 && !condition(); i++) await new Promise(resolve => setTimeout(resolve, 10));
+  };
+  const realHookNow = Date.now;
+  let hookClock = Date.now();
+
+  try {
+    const hookToll = createToll({ wallet, secret: 'test-secret', webhooks: [{ url: hookUrl, secret: 'hook-secret', events: ['paid', 'authorized'] }] });
+    const hookMw = hookToll({ sats: 3 });
+    const hookChallenge = await runMiddleware(hookMw);
+    await runMiddleware(hookMw, { headers: { authorization: payChallenge(wallet, hookChallenge) } });
+    await waitFor(() => received.length >= 2);
+    const paidHook = received.find(r => r.headers['x-toll-event'] === 'paid');
+    assert(received.length === 2 && paidHook && JSON.parse(paidHook.body).data.paymentHash === hookChallenge.body.paymentHash,
+      'posts subscribed events to the webhook');
+    assert(!('preimage' in JSON.parse(paidHook.body).data), 'leaves the preimage out of paid webhooks');
+    assert(await verifyWebhookSignature('hook-secret', paidHook.headers['x-toll-signature'], paidHook.body) &&
+      paidHook.headers['x-toll-delivery'] === JSON.parse(paidHook.body).id, 'signs deliveries with an HMAC header');
+    assert(!(await verifyWebhookSignature('hook-secret', paidHook.headers['x-toll-signature'], paidHook.body + ' ')) &&
+      !(await verifyWebhookSignature('other-secret', paidHook.headers['x-toll-signature'], paidHook.body)), 'rejects tampered bodies and wrong secrets');
+    assert(!(await verifyWebhookSignature('hook-secret', await signWebhook('hook-secret', '{}', Math.floor(Date.now() / 1000) - 600), '{}')),
+      'rejects stale signatures');
+    await hookToll.webhooks.flush();
+    assert((await hookToll.webhooks.pending()) === 0, 'clears delivered webhooks from the outbox');
+    hookToll.webhooks.stop();
+
+    // Retries are scheduled on Date.now(), so a fake clock makes them due without sleeping
+    Date.now = () => hookClock;
+    received.length = 0;
+    receiverStatus = 500;
+    const hookStore = new MemoryStore();
+    const hooks = [{ url: hookUrl, secret: 'hook-secret', events: ['*'], maxAttempts: 3, backoffMs: 1000 }];
+    const outbox = new WebhookDispatcher({ store: hookStore, webhooks: hooks });
+    await outbox.enqueue('paid', { amountSats: 1 });
+    await outbox.flush();
+    const queued = await hookStore.get((await hookStore.keys('webhook:'))[0]);
+    assert(queued.attempts === 1 && queued.lastError === 'HTTP 500' && queued.nextAttemptAt > queued.createdAt, 'keeps failed deliveries in the outbox with backoff');
+
+    receiverStatus = 200;
+    const restarted = new WebhookDispatcher({ store: hookStore, webhooks: hooks });
+    await restarted.flush();
+    assert(received.length === 1, 'waits for the backoff before retrying');
+    hookClock += 1000;
+    await restarted.flush();
+    assert(received.length === 2 && received[0].headers['x-toll-delivery'] === received[1].headers['x-toll-delivery'] &&
+      (await restarted.pending()) === 0, 'retries queued deliveries after a restart');
+
+    receiverStatus = 500;
+    await restarted.enqueue('expired', { paymentHash: 'ab' });
+    await restarted.flush();
+    for (let i = 0; i < 2; i++) {
+      hookClock += 60000;
+      await restarted.flush();
+    }
+    const dead = await restarted.deadLetters();
+    assert(dead.length === 1 && dead[0].attempts === 3 && dead[0].event === 'expired' && (await restarted.pending()) === 0,
+      'moves exhausted deliveries to the dead-letter list');
+
+    receiverStatus = 200;
+    assert(await restarted.retry(dead[0].id), 'retries a dead letter');
+    await restarted.flush();
+    assert((await restarted.deadLetters()).length === 0 && received[received.length - 1].headers['x-toll-event'] === 'expired',
+      'delivers a retried dead letter');
+
+    const deadToll = createToll({ wallet, secret: 'test-secret', store: hookStore, webhooks: [{ url: 'http://127.0.0.1:1/', secret: 's', maxAttempts: 1 }] });
+    deadToll.webhooks.stop();
+    await deadToll.webhooks.enqueue('paid', {});
+    await deadToll.webhooks.flush();
+    const dashboard = await runMiddleware(deadToll.dashboard());
+    assert(dashboard.body.webhooks.deadLetters.length === 1 && dashboard.body.totalRevenue === 0, 'shows dead letters on the dashboard');
+  } finally {
+    Date.now = realHookNow;
+    receiver.close();
+  }
+
+  console.log('\n🔌 Framework Adapters');
+
+  const adapterToll = createToll({ wallet, secret: 'test-secret' });
+  const evaluate = adapterToll.evaluator({ sats: 2 });
+  const neutralRequest = { method: 'GET', path: '/neutral', headers: {}, ip: '192.0.2.40' };
+  const evaluated = await evaluate(neutralRequest);
+  assert(!evaluated.allowed && evaluated.status === 402 && evaluated.headers['WWW-Authenticate'].startsWith('L402 ') &&
+    evaluated.body.amountSats === 2, 'evaluate() returns a 402 result for a plain request object');
+  const neutralAuth = payChallenge(wallet, { body: evaluated.body });
+  const allowed = await evaluate({ ...neutralRequest, headers: { authorization: neutralAuth } });
+  assert(allowed.allowed && allowed.toll.paid && allowed.toll.paymentHash === evaluated.body.paymentHash, 'evaluate() allows a paid request');
+  const throwing = await adapterToll.evaluator({ price: () => { throw new Error('no price'); } })(neutralRequest);
+  assert(throwing.status === 500 && throwing.body.error.includes('no price'), 'evaluate() turns callback errors into a 500 result');
+
+  const { withToll } = require('lightning-toll/http');
+  const tollServer = http.createServer(withToll(adapterToll, { sats: 3 }, (req, res) => {
+    res.end(JSON.stringify({ paid: req.toll.paid }));
+  }));
+  await new Promise(resolve => tollServer.listen(0, '127.0.0.1', resolve));
+  try {
+    const base = `http://127.0.0.1:${tollServer.address().port}`;
+    const httpChallenge = await fetch(`${base}/api/http?x=1`);
+    const httpBody = await httpChallenge.json();
+    assert(httpChallenge.status === 402 && httpChallenge.headers.get('www-authenticate').startsWith('L402 ') &&
+      httpBody.amountSats === 3, 'http adapter answers 402');
+    const httpPaid = await fetch(`${base}/api/http?x=1`, { headers: { authorization: payChallenge(wallet, { body: httpBody }) } });
+    assert(httpPaid.status === 200 && (await httpPaid.json()).paid === true, 'http adapter calls the handler once paid');
+  } finally {
+    tollServer.close();
+  }
+
+  const { tollPreHandler } = require('lightning-toll/fastify');
+  const fastifyHook = tollPreHandler(adapterToll, { sats: 4 });
+  const fakeReply = () => ({
+    headers: {},
+    header(k, v) { this.headers[k] = v; return this; },
+    code(c) { this.statusCode = c; return this; },
+    send(body) { this.body = body; return this; }
+  });
+  const fastifyRequest = { method: 'GET', url: '/api/fastify?q=1', headers: {}, ip: '192.0.2.41', routeOptions: { url: '/api/fastify' } };
+  const fastifyReply = fakeReply();
+  await fastifyHook(fastifyRequest, fastifyReply);
+  assert(fastifyReply.statusCode === 402 && fastifyReply.headers['WWW-Authenticate'] && fastifyReply.body.amountSats === 4, 'fastify preHandler replies 402');
+  const fastifyPaid = { ...fastifyRequest, headers: { authorization: payChallenge(wallet, { body: fastifyReply.body }) } };
+  const fastifyPaidReply = fakeReply();
+  await fastifyHook(fastifyPaid, fastifyPaidReply);
+  assert(fastifyPaidReply.statusCode === undefined && fastifyPaid.toll.paid, 'fastify preHandler sets request.toll once paid');
+
+  const { tollMiddleware: koaToll } = require('lightning-toll/koa');
+  const koaMw = koaToll(adapterToll, { sats: 5 });
+  const koaCtx = (headers = {}) => ({
+    method: 'GET', path: '/api/koa', headers, ip: '192.0.2.42', state: {}, response: {},
+    set(k, v) { this.response[k] = v; }
+  });
+  const koaChallenge = koaCtx();
+  let koaNext = false;
+  await koaMw(koaChallenge, async () => { koaNext = true; });
+  assert(!koaNext && koaChallenge.status === 402 && koaChallenge.response['WWW-Authenticate'] && koaChallenge.body.amountSats === 5,
+    'koa middleware responds 402');
+  const koaPaid = koaCtx({ authorization: payChallenge(wallet, { body: koaChallenge.body }) });
+  await koaMw(koaPaid, async () => { koaNext = true; });
+  assert(koaNext && koaPaid.state.toll.paid, 'koa middleware sets ctx.state.toll and continues once paid');
+
+  const { tollMiddleware: honoToll } = require('lightning-toll/hono');
+  const honoMw = honoToll(adapterToll, { sats: 6, uses: 2 });
+  const honoContext = (headers = {}) => ({
+    req: { method: 'GET', url: 'http://localhost/api/hono', path: '/api/hono', routePath: '/api/hono', header: () => headers },
+    env: { incoming: { socket: { remoteAddress: '192.0.2.43' } } },
+    vars: {},
+    headers: {},
+    header(k, v) { this.headers[k] = v; },
+    set(k, v) { this.vars[k] = v; },
+    get(k) { return this.vars[k]; },
+    json(body, status, hdrs) { return { body, status, headers: hdrs }; }
+  });
+  const honoChallenge = await honoMw(honoContext(), async () => {});
+  assert(honoChallenge.status === 402 && honoChallenge.headers['WWW-Authenticate'] && honoChallenge.body.amountSats === 12,
+    'hono middleware returns a 402 response');
+  const honoPaid = honoContext({ authorization: payChallenge(wallet, { body: honoChallenge.body }) });
+  let honoNext = false;
+  await honoMw(honoPaid, async () => { honoNext = true; });
+  assert(honoNext && honoPaid.get('toll').paid && honoPaid.headers['X-Toll-Uses-Remaining'] === '1',
+    'hono middleware sets c.get(\'toll\') and headers once paid');
+
+  console.log('\n🌐 Fetch API & Portable Crypto');
+
+  const portable = require('./src/crypto');
+  const lengths = [0, 1, 55, 56, 63, 64, 65, 1000];
+  const webHashes = await Promise.all(lengths.map(async n => {
+    const data = crypto.randomBytes(n);
+    return portable.toHex(await portable.webSha256(data)) === crypto.createHash('sha256').update(data).digest('hex');
+  }));
+  assert(webHashes.every(Boolean), 'WebCrypto SHA-256 matches node:crypto');
+  const webHmacs = await Promise.all([0, 3, 64, 100].map(async n => {
+    const key = crypto.randomBytes(n);
+    return portable.toHex(await portable.webHmacSha256(key, portable.toBytes('macaroon'))) ===
+      crypto.createHmac('sha256', key).update('macaroon').digest('hex');
+  }));
+  assert(webHmacs.every(Boolean), 'WebCrypto HMAC-SHA256 matches node:crypto, empty keys included');
+  const aesKey = crypto.randomBytes(32);
+  const aesPlain = portable.toBytes('third-party root key');
+  const nodeSealed = await portable.aesGcmEncrypt(aesKey, aesPlain);
+  const webSealed = await portable.webAesGcmEncrypt(aesKey, aesPlain);
+  assert(portable.utf8Decode(await portable.webAesGcmDecrypt(aesKey, nodeSealed)) === 'third-party root key' &&
+    portable.utf8Decode(await portable.aesGcmDecrypt(aesKey, webSealed)) === 'third-party root key', 'AES-GCM interoperates between node:crypto and WebCrypto');
+  assert(await portable.webAesGcmDecrypt(crypto.randomBytes(32), nodeSealed).then(() => false, () => true), 'WebCrypto AES-GCM rejects the wrong key');
+  assert(lengths.every(n => {
+    const data = crypto.randomBytes(n);
+    return portable.toBase64(data) === data.toString('base64') &&
+      portable.toBase64Url(data) === data.toString('base64url') &&
+      Buffer.from(portable.fromBase64(data.toString('base64url'))).equals(data) &&
+      Buffer.from(portable.fromBase64(data.toString('base64'))).equals(data);
+  }), 'base64 helpers match Buffer');
+  assert(!(await verifyMacaroon('test-secret', { ...(await createMacaroon('test-secret', { paymentHash: 'ab'.repeat(32) })), signature: 'not-hex' }, {})).valid,
+    'rejects a non-hex signature without throwing');
+
+  const fetchToll = createToll({ wallet, secret: 'test-secret' });
+  const edgeHandler = fetchToll.fetchHandler({ sats: 7, uses: 3 }, (request) => Response.json({ paid: request.toll.paid }));
+  const edgeChallenge = await edgeHandler(new Request('https://edge.example/api/edge?x=1'));
+  const edgeBody = await edgeChallenge.json();
+  assert(edgeChallenge.status === 402 && edgeChallenge.headers.get('www-authenticate').startsWith('L402 ') &&
+    edgeBody.amountSats === 21, 'fetchHandler answers 402 with a Response');
+  const edgePaid = await edgeHandler(new Request('https://edge.example/api/edge', {
+    headers: { Authorization: payChallenge(wallet, { body: edgeBody }) }
+  }));
+  assert(edgePaid.status === 200 && (await edgePaid.json()).paid === true && edgePaid.headers.get('x-toll-uses-remaining') === '2',
+    'fetchHandler calls the handler and adds toll headers once paid');
+
+  const ipToll = createToll({ wallet, secret: 'test-secret' });
+  const ipHandler = ipToll.fetchHandler({ sats: 5, freeRequests: 1 }, (request) => Response.json({ clientId: request.toll.clientId }));
+  const viaCloudflare = (ip) => Object.assign(new Request('https://edge.example/api/ip', { headers: { 'cf-connecting-ip': ip } }), { cf: {} });
+  const cfFirst = await ipHandler(viaCloudflare('198.51.100.1'));
+  assert(cfFirst.status === 200 && (await cfFirst.json()).clientId === '198.51.100.1' &&
+    (await ipHandler(viaCloudflare('198.51.100.1'))).status === 402 && (await ipHandler(viaCloudflare('198.51.100.2'))).status === 200,
+  'Workers clients are told apart by CF-Connecting-IP');
+  assert((await ipHandler(new Request('https://edge.example/api/ip', { headers: { 'cf-connecting-ip': '198.51.100.3' } }))).status === 200 &&
+    (await ipHandler(new Request('https://edge.example/api/ip', { headers: { 'cf-connecting-ip': '198.51.100.4' } }))).status === 402,
+  'CF-Connecting-IP is ignored outside Cloudflare');
+  const bunServer = { requestIP: () => ({ address: '198.51.100.5' }) };
+  const bunFree = await ipHandler(new Request('https://edge.example/api/ip'), bunServer);
+  assert((await bunFree.json()).clientId === '198.51.100.5', "Bun clients are read from server.requestIP()");
+  const customIp = ipToll.fetchHandler({ sats: 5, freeRequests: 1, getClientIp: (request) => request.headers.get('x-client') },
+    (request) => Response.json({ clientId: request.toll.clientId }));
+  const customFree = await customIp(new Request('https://edge.example/api/ip', { headers: { 'x-client': '198.51.100.6' } }));
+  assert((await customFree.json()).clientId === '198.51.100.6', 'getClientIp replaces platform detection');
+
+  // The fetch entry point loads, charges and verifies without Node's fs, http(s), crypto, events or lightning-agent
+  const { execFileSync } = require('child_process');
+  const edgeOnly = execFileSync(process.execPath, ['-e', `
+    const Module = require('module');
+    const load = Module._load;
+    Module._load = function (name, ...rest) {
+      if (/^(node:)?(fs|path|http|https|net|tls|crypto|events)$/.test(name) || name === 'lightning-agent') throw new Error('not on the edge: ' + name);
+      return load.call(this, name, ...rest);
+    };
+    const { createToll, MockWallet, attenuate } = require('./src/index');
+    const wallet = new MockWallet();
+    const handler = createToll({ wallet, secret: 's', webhooks: [{ url: 'https://hooks.example/toll', secret: 'h' }] })
+      .fetchHandler({ sats: 3 }, () => new Response('ok'));
+    (async () => {
+      const challenge = await handler(new Request('https://edge.example/x'));
+      const { macaroon, invoice } = await challenge.json();
+      const { preimage } = await wallet.payInvoice(invoice);
+      const narrowed = await attenuate(macaroon, { method: 'GET' });
+      const paid = await handler(new Request('https://edge.example/x', { headers: { Authorization: 'L402 ' + narrowed + ':' + preimage } }));
+      console.log(challenge.status + ' ' + paid.status);
+      process.exit(0);
+    })();
+  `], { cwd: __dirname, encoding: 'utf8', timeout: 20000 }).trim();
+  assert(edgeOnly === '402 200', 'the fetch entry point charges and verifies without Node-only modules');
+
+  const { Emitter } = require('./src/emitter');
+  const emitter = new Emitter();
+  const heard = [];
+  const onTick = (n) => heard.push(`on:${n}`);
+  emitter.on('newListener', (event) => heard.push(`new:${event}`));
+  emitter.on('tick', onTick).once('tick', (n) => heard.push(`once:${n}`));
+  emitter.emit('tick', 1);
+  emitter.emit('tick', 2);
+  emitter.off('tick', onTick);
+  assert(heard.join() === 'new:tick,new:tick,on:1,once:1,on:2' && !emitter.emit('tick', 3) && emitter.listenerCount('tick') === 0,
+    'the local emitter runs listeners in order, once() fires once and off() removes');
+  assert((() => {
+    try {
+      emitter.emit('error', new Error('boom'));
+      return false;
+    } catch (err) {
+      return err.message === 'boom';
+    }
+  })(), "the local emitter throws an 'error' nobody listens for");
+
+  console.log('\n🔀 Reverse Proxy');
+
+  const { createProxy, startProxy, normalizeConfig } = require('./src/proxy');
+  const listenOn = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+  const request = (port, reqPath, { method = 'GET', headers = {}, body } = {}) => new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: reqPath, method, headers }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+  const upstream = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ url: req.url, method: req.method, headers: req.headers, body }));
+    });
+  });
+  const upstreamPort = await listenOn(upstream);
+
+  const proxyToll = createToll({ wallet, secret: 'test-secret' });
+  const proxyConfig = {
+    upstream: `http://127.0.0.1:${upstreamPort}/v1`,
+    dashboard: '/_toll/stats',
+    routes: [{ path: '/api/**', methods: ['get', 'POST'], sats: 4, uses: 5 }]
+  };
+  const proxy = createProxy(proxyToll, proxyConfig);
+  const proxyServer = http.createServer((req, res) => { proxy.handler(req, res); });
+  const proxyPort = await listenOn(proxyServer);
+
+  const proxyChallenge = await request(proxyPort, '/api/data?q=1');
+  assert(proxyChallenge.status === 402 && proxyChallenge.headers['www-authenticate'].startsWith('L402 ') &&
+    proxyChallenge.body.amountSats === 20, 'proxy answers 402 on a tolled route');
+
+  const proxyAuth = payChallenge(wallet, { body: proxyChallenge.body });
+  const proxied = await request(proxyPort, '/api/data?q=1', { headers: { Authorization: proxyAuth, 'X-Toll-Paid': 'forged' } });
+  assert(proxied.status === 200 && proxied.body.url === '/v1/api/data?q=1', 'proxy forwards paid requests to the upstream path');
+  assert(proxied.body.headers['x-toll-paid'] === 'true' && proxied.body.headers['x-toll-payment-hash'] === proxyChallenge.body.paymentHash &&
+    proxied.body.headers['x-toll-uses-remaining'] === '4', 'proxy tells the upstream about the payment');
+  assert(!proxied.body.headers.authorization && proxied.body.headers['x-forwarded-for'] === '127.0.0.1',
+    'proxy strips the L402 credential and adds X-Forwarded-For');
+  assert(proxied.headers['x-toll-uses-remaining'] === '4', 'proxy returns toll headers to the client');
+
+  const postChallenge = await request(proxyPort, '/api/items', { method: 'POST' });
+  const posted = await request(proxyPort, '/api/items', {
+    method: 'POST',
+    headers: { Authorization: payChallenge(wallet, { body: postChallenge.body }), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'widget' })
+  });
+  assert(posted.body.method === 'POST' && posted.body.body === '{"name":"widget"}', 'proxy streams request bodies');
+
+  const forged = await request(proxyPort, '/public', { headers: { 'X-Toll-Paid': 'true' } });
+  assert(forged.status === 200 && forged.body.url === '/v1/public' && !forged.body.headers['x-toll-paid'],
+    'unmatched routes pass through without client-supplied toll headers');
+  const wrongMethod = await request(proxyPort, '/api/data', { method: 'DELETE' });
+  assert(wrongMethod.status === 200, 'routes only toll their configured methods');
+  for (const variant of ['/API/data', '//api//data/', '/%61pi/data', '/public/../api/data']) {
+    assert((await request(proxyPort, variant)).status === 402, `proxy tolls ${variant} like /api/data`);
+  }
+  assert((await request(proxyPort, '/api/%E0%A4%A')).status === 400, 'proxy refuses paths with malformed escapes');
+
+  const proxyStats = await request(proxyPort, '/_toll/stats');
+  assert(proxyStats.status === 200 && proxyStats.body.totalPaid === 2, 'proxy serves the dashboard');
+
+  const tieredProxy = createProxy(proxyToll, {
+    upstream: `http://127.0.0.1:${upstreamPort}/v1`,
+    routes: [{ path: '/api/cheap/*', sats: 1, uses: 10 }, { path: '/api/secret', sats: 1000 }]
+  });
+  const tieredServer = http.createServer((req, res) => { tieredProxy.handler(req, res); });
+  const tieredPort = await listenOn(tieredServer);
+  const cheapAuth = payChallenge(wallet, { body: (await request(tieredPort, '/api/cheap/item')).body });
+  assert((await request(tieredPort, '/api/cheap/item', { headers: { Authorization: cheapAuth } })).status === 200,
+    'a cheap credential opens its own route');
+  for (const escape of ['/api/cheap/../secret', '/api/cheap/%2e%2e/secret', '/api/cheap/%2E%2E/secret']) {
+    const escaped = await request(tieredPort, escape, { headers: { Authorization: cheapAuth } });
+    assert(escaped.status === 401 && /got \/api\/secret$/.test(escaped.body.error),
+      `a cheap credential can't reach /api/secret through ${escape}`);
+  }
+  const canonicalForward = await request(tieredPort, '/open/./a/%2e%2e//b%20c/?x=1');
+  assert(canonicalForward.status === 200 && canonicalForward.body.url === '/v1/open/b%20c/?x=1',
+    'proxy forwards the canonical path it matched on');
+  tieredServer.close();
+
+  proxy.reload({ ...proxyConfig, routes: [{ path: '/public', sats: 2 }] });
+  assert((await request(proxyPort, '/public')).status === 402 && (await request(proxyPort, '/api/data')).status === 200,
+    'reload() swaps the routes');
+  let badReload = false;
+  try {
+    proxy.reload({ upstream: 'ftp://nope', routes: [] });
+  } catch {
+    badReload = true;
+  }
+  assert(badReload && (await request(proxyPort, '/public')).status === 402, 'an invalid reload keeps the previous config');
+  assert((() => { try { normalizeConfig({ upstream: 'http://x', routes: [{ sats: 1 }] }); return false; } catch { return true; } })(),
+    'routes without a path are rejected');
+
+  proxyServer.close();
+  upstream.close();
+  await new Promise(resolve => upstream.once('close', resolve));
+  const deadUpstream = createProxy(proxyToll, { upstream: `http://127.0.0.1:${upstreamPort}`, routes: [] });
+  const deadServer = http.createServer((req, res) => { deadUpstream.handler(req, res); });
+  const deadPort = await listenOn(deadServer);
+  assert((await request(deadPort, '/anything')).status === 502, 'proxy answers 502 when the upstream is down');
+  deadServer.close();
+
+  const configFile = path.join(os.tmpdir(), `toll-proxy-${process.pid}.json`);
+  fs.writeFileSync(configFile, JSON.stringify({ listen: { port: 0, host: '127.0.0.1' }, upstream: 'http://127.0.0.1:1', secret: 'file-secret', routes: [{ path: '/paid', sats: 3 }] }));
+  const started = await startProxy(configFile, { wallet, watch: false });
+  const startedChallenge = await request(started.server.address().port, '/paid');
+  assert(startedChallenge.status === 402 && startedChallenge.body.amountSats === 3, 'startProxy serves routes from a config file');
+  await started.close();
+  fs.unlinkSync(configFile);
+
+  console.log('\n🏷️  Pricing Tables');
+
+  const tableToll = createToll({ wallet, secret: 'test-secret' });
+  const pricingTable = {
+    routes: [
+      { path: '/api/health', free: true },
+      { method: 'GET', path: '/api/joke', sats: 5, description: 'A joke' },
+      { method: 'GET', path: '/api/search', perParam: { param: 'limit', sats: 2, base: 3, max: 50 } },
+      { path: '/api/data/**', tiers: { header: 'X-Plan', prices: { basic: 10, pro: 4 }, default: 20 }, uses: 2 }
+    ]
+  };
+  const tableMw = tableToll.fromConfig(pricingTable);
+
+  const tableJoke = await runMiddleware(tableMw, { path: '/api/joke' });
+  assert(tableJoke.status === 402 && tableJoke.body.amountSats === 5, 'fixed rule charges its sats');
+  const tableJokePaid = await runMiddleware(tableMw, { path: '/api/joke', headers: { authorization: payChallenge(wallet, tableJoke) } });
+  assert(tableJokePaid.status === 'next' && tableJokePaid.req.toll.paid, 'paid request passes the table middleware');
+  assert((await runMiddleware(tableMw, { path: '/api/joke', method: 'POST' })).status === 'next', 'method must match the rule');
+  assert((await runMiddleware(tableMw, { path: '/api/health' })).status === 'next', 'free rule passes through');
+  assert((await runMiddleware(tableMw, { path: '/elsewhere' })).status === 'next', 'unmatched path passes through');
+  for (const variant of ['/api/joke/', '/API/joke', '/api//joke', '/api/%6Aoke', '/api/./joke', '/api/x/../joke']) {
+    assert((await runMiddleware(tableMw, { path: variant })).status === 402, `${variant} is priced like /api/joke`);
+  }
+  assert((await runMiddleware(tableMw, { path: '/api/%E0%A4%A' })).status === 400, 'malformed escapes are refused, not passed through');
+  assert(normalizePath('/a%2Fb//c/') === '/a%2Fb/c' && normalizePath('/%') === null, 'normalizePath keeps encoded slashes and rejects bad escapes');
+
+  const search = async (query) => (await runMiddleware(tableMw, { path: '/api/search', query })).body.amountSats;
+  assert(await search({ limit: '10' }) === 23, 'perParam charges base + sats × param');
+  assert(await search({}) === 5, 'perParam uses the default count when the param is missing');
+  assert(await search({ limit: '1000' }) === 103, 'perParam caps the count at max');
+  const rawSearch = await runMiddleware(tableMw, { path: '/api/search', url: '/api/search?limit=4' });
+  assert(rawSearch.body.amountSats === 11, 'perParam reads the query string without req.query');
+
+  const tier = async (plan) => (await runMiddleware(tableMw, { path: '/api/data/x', headers: plan ? { 'x-plan': plan } : {} })).body.amountSats;
+  assert(await tier('pro') === 8 && await tier('basic') === 20, 'tiers price by header (times uses)');
+  assert(await tier('gold') === 40 && await tier() === 40, 'unknown tiers use the default');
+
+  const invalidTables = [
+    { routes: [{ path: '/a' }] },
+    { routes: [{ path: '/a', sats: 5, free: true }] },
+    { routes: [{ path: '/a', sats: -1 }] },
+    { routes: [{ path: '/a', sat: 5 }] },
+    { routes: [{ path: 'a', sats: 5 }] },
+    { routes: [{ path: '/a', method: 'FETCH', sats: 5 }] },
+    { routes: [{ path: '/a', perParam: { sats: 1 } }] },
+    { routes: [{ path: '/a', tiers: { header: 'x-plan', prices: { pro: 0 } } }] },
+    { routes: [{ path: '/a', free: true, uses: 3 }] },
+    { routes: [{ path: '/' + '*/'.repeat(9), sats: 5 }] },
+    {}
+  ];
+  assert(invalidTables.every(table => { try { compilePricing(table); return false; } catch { return true; } }),
+    'invalid tables are rejected at startup');
+
+  const published = await runMiddleware(tableToll.pricing());
+  assert(published.body.unit === 'sats' && published.body.routes.length === 4, 'pricing() publishes the table');
+  assert(published.body.routes[1].method[0] === 'GET' && published.body.routes[1].price.sats === 5 && published.body.routes[1].description === 'A joke',
+    'published rules carry method, price and description');
+  assert(published.body.routes[3].price.type === 'tiered' && published.body.routes[3].price.header === 'x-plan' && published.body.routes[3].uses === 2,
+    'published tier rules list their prices');
+
+  console.log('\n💱 Fiat Pricing');
+
+  const fixtureRates = new StaticRateProvider({ USD: 100000, EUR: 80000 });
+  const fiatToll = createToll({ wallet, secret: 'test-secret', rates: fixtureRates });
+  assert(fiatToSats(0.01, 100000) === 10 && fiatToSats(0.07, 70000) === 100 && fiatToSats(0.001, 100000) === 1,
+    'converts fiat to sats, rounding up');
+
+  const usdMw = fiatToll({ price: { usd: 0.05 }, uses: 2 });
+  const usdChallenge = await runMiddleware(usdMw, { path: '/api/usd' });
+  assert(usdChallenge.status === 402 && usdChallenge.body.amountSats === 100, 'fiat price is converted at challenge time');
+  assert(usdChallenge.body.fiat.currency === 'USD' && usdChallenge.body.fiat.amount === 0.05 && usdChallenge.body.fiat.rate === 100000,
+    '402 body records the fiat price and rate');
+  assert(decodeMacaroon(usdChallenge.body.macaroon).caveats.some(c => /^fiat = USD:0\.05:100000:\d+$/.test(c)),
+    'macaroon records the rate in a fiat caveat');
+
+  fixtureRates.set('USD', 50000);
+  const usdPaid = await runMiddleware(usdMw, { path: '/api/usd', headers: { authorization: payChallenge(wallet, usdChallenge) } });
+  assert(usdPaid.status === 'next' && usdPaid.req.toll.amountSats === 50 && usdPaid.req.toll.fiat.rate === 100000,
+    'credentials are charged at the rate they were bought at');
+
+  const eurMw = fiatToll({ price: () => ({ eur: 0.008 }), minSats: 20, maxSats: 1000 });
+  assert((await runMiddleware(eurMw, { path: '/api/eur' })).body.amountSats === 20, 'minSats clamps small conversions');
+  const capMw = fiatToll({ price: { usd: 5 }, maxSats: 500 });
+  assert((await runMiddleware(capMw, { path: '/api/cap' })).body.amountSats === 500, 'maxSats clamps large conversions');
+
+  let providerUp = true;
+  let providerCalls = 0;
+  const flakyRates = new RateSource(async () => {
+    providerCalls++;
+    if (!providerUp) throw new Error('provider down');
+    return 40000;
+  }, { cacheMs: 20, maxAgeMs: 300 });
+  await Promise.all([flakyRates.get('usd'), flakyRates.get('USD')]);
+  assert(providerCalls === 1 && (await flakyRates.get('usd')).rate === 40000, 'rates are cached and lookups deduplicated');
+  await new Promise(resolve => setTimeout(resolve, 30));
+  providerUp = false;
+  assert((await flakyRates.get('usd')).rate === 40000 && providerCalls === 2, 'a failing provider falls back to a recent rate');
+  await new Promise(resolve => setTimeout(resolve, 300));
+  const staleToll = createToll({ wallet, secret: 'test-secret', rates: flakyRates });
+  const staleRate = await runMiddleware(staleToll({ price: { usd: 1 } }), { path: '/api/stale' });
+  assert(staleRate.status === 503 && staleRate.headers['retry-after'] && /unavailable/.test(staleRate.body.error),
+    'answers 503 when no rate is fresh enough');
+  const oldRates = new RateSource({ getRate: () => ({ rate: 1, timestamp: Date.now() - 3600000 }) });
+  let staleRejected = false;
+  try {
+    await oldRates.get('USD');
+  } catch (err) {
+    staleRejected = err.code === 'RATE_UNAVAILABLE';
+  }
+  assert(staleRejected, 'rejects provider rates older than maxAgeMs');
+
+  let fiatConfigError = false;
+  try {
+    createToll({ wallet, secret: 'test-secret' })({ price: { usd: 0.01 } });
+  } catch {
+    fiatConfigError = true;
+  }
+  assert(fiatConfigError, 'fiat prices require a rate provider');
+  const fiatTable = compilePricing([{ path: '/api/fiat', fiat: { usd: 0.02 }, minSats: 5 }]).toJSON();
+  assert(fiatTable[0].price.type === 'fiat' && fiatTable[0].price.currency === 'USD' && fiatTable[0].minSats === 5,
+    'pricing tables accept fiat prices');
+
+  console.log('\n🔒 Price Locking');
+
+  let surge = 10;
+  const lockToll = createToll({ wallet, secret: 'test-secret' });
+  const honorMw = lockToll({ price: () => surge, uses: 3 });
+  const lockChallenge = await runMiddleware(honorMw, { path: '/api/surge' });
+  assert(decodeMacaroon(lockChallenge.body.macaroon).caveats.includes('amount = 10'), 'challenge locks the per-request price in an amount caveat');
+  surge = 25;
+  const lockAuth = payChallenge(wallet, lockChallenge);
+  const honored = await runMiddleware(honorMw, { path: '/api/surge', headers: { authorization: lockAuth } });
+  assert(honored.status === 'next' && honored.req.toll.amountSats === 10, 'req.toll.amountSats is the locked price, not the current one');
+  assert(lockToll.stats.toJSON().endpoints['/api/surge'].revenue === 30, 'revenue is what was paid at challenge time');
+
+  const inflated = await attenuate(lockChallenge.body.macaroon, ['amount = 1000']);
+  const inflatedAuth = `L402 ${inflated}:${wallet.preimages.get(lockChallenge.body.paymentHash)}`;
+  const inflatedResult = await runMiddleware(honorMw, { path: '/api/surge', headers: { authorization: inflatedAuth } });
+  assert(inflatedResult.req.toll.amountSats === 10, 'attenuation cannot raise the locked amount');
+
+  surge = 10;
+  const rejectMw = lockToll({ price: () => surge, underpaid: 'reject' });
+  const rejectChallenge = await runMiddleware(rejectMw, { path: '/api/reject' });
+  surge = 30;
+  const repriced = await runMiddleware(rejectMw, { path: '/api/reject', headers: { authorization: payChallenge(wallet, rejectChallenge) } });
+  assert(repriced.status === 402 && repriced.body.amountSats === 30 && !repriced.body.topUpFor,
+    "underpaid: 'reject' asks for the full current price");
+
+  surge = 10;
+  const topupMw = lockToll({ price: () => surge, uses: 5, underpaid: 'topup' });
+  const topupChallenge = await runMiddleware(topupMw, { path: '/api/topup' });
+  const topupOriginal = payChallenge(wallet, topupChallenge);
+  surge = 14;
+  const topupAsk = await runMiddleware(topupMw, { path: '/api/topup', headers: { authorization: topupOriginal } });
+  assert(topupAsk.status === 402 && topupAsk.body.amountSats === 4 && topupAsk.body.uses === 1 &&
+    topupAsk.body.topUpFor === topupChallenge.body.paymentHash, "underpaid: 'topup' asks for the difference");
+  assert(await lockToll.store.get(`uses:${topupChallenge.body.paymentHash}`) === 1, 'the top-up takes one use of the underpaid credential');
+  const toppedUp = await runMiddleware(topupMw, { path: '/api/topup', headers: { authorization: payChallenge(wallet, topupAsk) } });
+  assert(toppedUp.status === 'next' && toppedUp.req.toll.amountSats === 14 && toppedUp.req.toll.topUpFor === topupChallenge.body.paymentHash,
+    'the top-up credential covers the request');
+  assert(lockToll.stats.toJSON().endpoints['/api/topup'].revenue === 4, 'top-ups count only the difference as revenue');
+  surge = 8;
+  assert((await runMiddleware(topupMw, { path: '/api/topup', headers: { authorization: topupOriginal } })).status === 'next',
+    'credentials work again once the price drops');
+
+  surge = 10;
+  const singleMw = lockToll({ price: () => surge, uses: 1, underpaid: 'topup' });
+  const singleChallenge = await runMiddleware(singleMw, { path: '/api/single' });
+  const singleAuth = payChallenge(wallet, singleChallenge);
+  surge = 12;
+  const firstTopUp = await runMiddleware(singleMw, { path: '/api/single', headers: { authorization: singleAuth } });
+  assert(firstTopUp.status === 402 && firstTopUp.body.amountSats === 2 && firstTopUp.body.topUpFor === singleChallenge.body.paymentHash,
+    'a one-use credential can be topped up once');
+  const secondTopUp = await runMiddleware(singleMw, { path: '/api/single', headers: { authorization: singleAuth } });
+  assert(secondTopUp.status === 402 && secondTopUp.body.amountSats === 12 && !secondTopUp.body.topUpFor,
+    'a second top-up of the same credential is refused: the full price is asked');
+
+  console.log('\n🧾 Body Binding');
+
+  const { canonicalJson, hashBody } = require('./src/body');
+  assert(canonicalJson({ b: [1, { d: 2, c: undefined }], a: 'x' }) === '{"a":"x","b":[1,{"d":2}]}', 'canonical JSON sorts keys and drops undefined');
+  assert(await hashBody({ a: 1, b: 2 }) === await hashBody({ b: 2, a: 1 }) && await hashBody('{"a":1,"b":2}') === await hashBody({ b: 2, a: 1 }),
+    'key order does not change the body hash');
+  assert(await hashBody(Buffer.from('raw')) === await hashBody('raw') && await hashBody(null) === await hashBody(''), 'raw bodies hash as bytes');
+
+  const bodyToll = createToll({ wallet, secret: 'test-secret' });
+  const bodyMw = bodyToll({ sats: 9, uses: 3, bindBody: true });
+  const post = (body, authorization) => runMiddleware(bodyMw, {
+    method: 'POST', path: '/api/generate', body, headers: authorization ? { authorization } : {}
+  });
+  const bodyChallenge = await post({ prompt: 'short' });
+  const bodyCaveat = decodeMacaroon(bodyChallenge.body.macaroon).caveats.find(c => c.startsWith('body_hash = '));
+  assert(bodyCaveat === `body_hash = ${await hashBody({ prompt: 'short' })}`, 'challenge binds the body hash into the macaroon');
+  const bodyAuth = payChallenge(wallet, bodyChallenge);
+  assert((await post({ prompt: 'short' }, bodyAuth)).status === 'next', 'accepts the body that was paid for');
+  const swapped = await post({ prompt: 'a much longer and more expensive prompt' }, bodyAuth);
+  assert(swapped.status === 401 && /Body mismatch/.test(swapped.body.error), 'rejects a different body');
+  assert((await post({ prompt: 'other' })).body.paymentHash !== bodyChallenge.body.paymentHash, 'each body gets its own invoice');
+  const unparsed = await runMiddleware(bodyMw, { method: 'POST', path: '/api/generate', headers: { 'content-length': '12' } });
+  assert(unparsed.status === 500 && /body parser/.test(unparsed.body.error), 'bindBody without a parsed body is an error');
+
+  const bodyEdge = bodyToll.fetchHandler({ sats: 2, bindBody: true }, async (request) => Response.json(await request.json()));
+  const edgeBodyChallenge = await (await bodyEdge(new Request('https://edge.example/gen', { method: 'POST', body: '{"n":1}' }))).json();
+  const edgeBodyPaid = await bodyEdge(new Request('https://edge.example/gen', {
+    method: 'POST', body: '{"n":1}', headers: { Authorization: payChallenge(wallet, { body: edgeBodyChallenge }) }
+  }));
+  assert(edgeBodyPaid.status === 200 && (await edgeBodyPaid.json()).n === 1, 'fetchHandler binds the body and leaves it readable');
+
+  // Client: autoPay resends exactly the same body after paying
+  const bodyReceived = [];
+  const bodyListener = withToll(bodyToll, { sats: 4, bindBody: true }, (req, res) => {
+    bodyReceived.push(req.body);
+    res.end(JSON.stringify({ ok: true }));
+  });
+  const bodyServer = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      req.body = raw;
+      bodyListener(req, res);
+    });
+  });
+  await new Promise(resolve => bodyServer.listen(0, '127.0.0.1', resolve));
+  const payingWallet = {
+    async payInvoice(invoice) {
+      const [hash, preimage] = [...wallet.preimages].find(([h]) => invoice.endsWith(h.slice(0, 8)));
+      return { preimage, paymentHash: hash };
+    }
+  };
+  const streamBody = new ReadableStream({
+    start(controller) {
+      controller.enqueue(new TextEncoder().encode('{"prompt":"streamed"}'));
+      controller.close();
+    }
+  });
+  const bodyClient = new TollClient({ wallet: payingWallet });
+  const clientRes = await bodyClient.fetch(`http://127.0.0.1:${bodyServer.address().port}/gen`, {
+    method: 'POST', body: streamBody, duplex: 'half', headers: { 'Content-Type': 'application/json' }
+  });
+  assert(clientRes.status === 200 && bodyReceived[0] === '{"prompt":"streamed"}', 'autoPay resends a streamed body unchanged after paying');
+  bodyServer.close();
+
+  console.log('\n🧮 Usage-Based Pricing');
+
+  const mockWallet = new MockWallet();
+  const holdToll = createToll({ wallet: mockWallet, secret: 'test-secret' });
+  const settledEvents = [];
+  holdToll.on('settled', event => settledEvents.push(event));
+  assert(!holdToll.watcher._timer, 'the watcher is idle with nothing to watch');
+  const holdEdge = holdToll.fetchHandler({ sats: 100, postpaid: 'hold' }, async (request) => {
+    const partial = await request.toll.settle(30).then(() => true, () => false);
+    await request.toll.settle();
+    return Response.json({ reserved: request.toll.reservedSats, partial });
+  });
+  assert(holdToll.watcher._timer, 'hold routes start the watcher, which cancels holds that expire unused');
+  const holdUrl = 'https://edge.example/llm';
+  const holdChallenge = await (await holdEdge(new Request(holdUrl))).json();
+  assert(holdChallenge.postpaid === 'hold' && holdChallenge.amountSats === 100 && mockWallet.invoices.get(holdChallenge.paymentHash).hold,
+    'postpaid: hold challenges with a hold invoice for the maximum price');
+  const holdAuth = { Authorization: `L402 ${holdChallenge.macaroon}:` };
+  const notYet = await holdEdge(new Request(holdUrl, { headers: holdAuth }));
+  assert(notYet.status === 402 && notYet.headers.get('retry-after') === '1', 'hold credential waits for the payment to be in flight');
+  const holdPayment = mockWallet.payInvoice(holdChallenge.invoice);
+  const held = await holdEdge(new Request(holdUrl, { headers: holdAuth }));
+  const heldBody = await held.json();
+  assert(held.status === 200 && heldBody.reserved === 100, 'a held payment authorizes the request without a preimage');
+  assert(!heldBody.partial, 'a hold invoice refuses a partial settle()');
+  assert((await holdPayment).amountSats === 100 && mockWallet.receivedSats === 100, 'a served hold request is settled in full');
+  assert(settledEvents[0].chargedSats === 100 && settledEvents[0].releasedSats === 0 && settledEvents[0].postpaid === 'hold',
+    'settled event reports the charged and released sats');
+  assert((await holdEdge(new Request(holdUrl, { headers: holdAuth }))).status === 401, 'hold credentials are single-use');
+  assert(holdToll.stats.toJSON().totalRevenue === 100, 'revenue is the settled amount');
+
+  const failing = holdToll.fetchHandler({ sats: 50, postpaid: 'hold' }, async () => new Response('boom', { status: 500 }));
+  const failChallenge = await (await failing(new Request('https://edge.example/fail'))).json();
+  const failPayment = mockWallet.payInvoice(failChallenge.invoice).catch(err => err);
+  await failing(new Request('https://edge.example/fail', { headers: { Authorization: `L402 ${failChallenge.macaroon}:` } }));
+  assert((await failPayment) instanceof Error && mockWallet.invoices.get(failChallenge.paymentHash).state === 'canceled',
+    'an unsettled request that fails cancels the hold invoice');
+  assert((() => { try { createToll({ wallet, secret: 's' })({ postpaid: 'hold' }); return false; } catch (err) { return /createHoldInvoice/.test(err.message); } })(),
+    'postpaid: hold needs a wallet with hold invoices');
+
+  const prepayToll = createToll({ wallet, secret: 'test-secret' });
+  const prepayMw = prepayToll({ sats: 40, balance: 100, postpaid: 'prepay' });
+  const prepayChallenge = await runMiddleware(prepayMw, { path: '/api/llm' });
+  assert(prepayChallenge.body.postpaid === 'prepay' && prepayChallenge.body.amountSats === 100, 'prepay challenges for the balance');
+  const prepayAuth = payChallenge(wallet, prepayChallenge);
+  const reserved = await runMiddleware(prepayMw, { path: '/api/llm', headers: { authorization: prepayAuth } });
+  assert(reserved.status === 'next' && reserved.req.toll.reservedSats === 40 && reserved.req.toll.balanceRemaining === 60,
+    'prepay reserves the maximum price from the balance');
+  const credited = await reserved.req.toll.settle(15);
+  assert(credited.chargedSats === 15 && credited.creditedSats === 25 && credited.balanceRemaining === 85, 'settle() credits the unused part back');
+  assert(await reserved.req.toll.settle(1).then(() => false, () => true), 'settle() can only be called once');
+  const unsettled = await runMiddleware(prepayMw, { path: '/api/llm', headers: { authorization: prepayAuth } });
+  assert(await unsettled.req.toll.settle(41).then(() => false, () => true), 'settle() refuses more than was reserved');
+  const autoSettled = new Promise(resolve => prepayToll.once('settled', resolve));
+  unsettled.res.emit('close');
+  assert((await autoSettled).chargedSats === 40 && unsettled.req.toll.balanceRemaining === 45, 'an unsettled request is charged the maximum when the response ends');
+  const perRequest = await runMiddleware(prepayToll({ sats: 25, postpaid: 'prepay' }), { path: '/api/once' });
+  assert(perRequest.body.amountSats === 25 && perRequest.body.balanceSats === 25, 'prepay without a balance buys one maximum price');
+  assert(compilePricing([{ path: '/llm', sats: 5, postpaid: 'hold' }]).toJSON()[0].postpaid === 'hold', 'pricing tables accept postpaid');
+
+  // Proxy: the upstream reports the cost with X-Toll-Settle
+  const meteredUpstream = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json', 'X-Toll-Settle': '7' });
+    res.end(JSON.stringify({ reserved: req.headers['x-toll-reserved-sats'] }));
+  });
+  const meteredPort = await listenOn(meteredUpstream);
+  const meteredProxy = createProxy(prepayToll, { upstream: `http://127.0.0.1:${meteredPort}`, routes: [{ path: '/gen', sats: 10, postpaid: 'prepay' }] });
+  const meteredServer = http.createServer((req, res) => { meteredProxy.handler(req, res); });
+  const meteredProxyPort = await listenOn(meteredServer);
+  const meteredChallenge = await request(meteredProxyPort, '/gen');
+  const proxySettled = new Promise(resolve => prepayToll.once('settled', resolve));
+  const metered = await request(meteredProxyPort, '/gen', { headers: { Authorization: payChallenge(wallet, { body: meteredChallenge.body }) } });
+  assert(metered.body.reserved === '10' && !metered.headers['x-toll-settle'] && (await proxySettled).chargedSats === 7,
+    'proxy settles the cost the upstream reports in X-Toll-Settle');
+  meteredServer.close();
+  meteredUpstream.close();
+
+  // Client: pays a hold invoice in the background and retries while it is held
+  const holdListener = withToll(holdToll, { sats: 20, postpaid: 'hold' }, async (req, res) => {
+    await req.toll.settle();
+    res.end(JSON.stringify({ ok: true }));
+  });
+  const holdServer = http.createServer(holdListener);
+  const holdPort = await listenOn(holdServer);
+  const holdClient = new TollClient({ wallet: mockWallet, maxSats: 20 });
+  const before = mockWallet.receivedSats;
+  const holdRes = await holdClient.fetch(`http://127.0.0.1:${holdPort}/llm`);
+  assert(holdRes.status === 200 && mockWallet.receivedSats - before === 20, 'TollClient pays hold invoices and is charged the settled amount');
+  holdServer.close();
+
+  console.log('\n🎟️  Subscription Passes');
+
+  const passToll = createToll({ wallet, secret: 'test-secret' });
+  const sellPass = passToll.pass({ sats: 5000, duration: '30d', scope: ['/api/*'] });
+  const passChallenge = await runMiddleware(sellPass, { method: 'POST', path: '/pass' });
+  assert(passChallenge.status === 402 && passChallenge.body.amountSats === 5000 && passChallenge.body.pass.scope[0] === '/api/*',
+    'toll.pass() challenges for the pass price');
+  const passCaveats = decodeMacaroon(passChallenge.body.macaroon).caveats;
+  const passExpiry = Number(passCaveats.find(c => c.startsWith('expires_at = ')).split(' = ')[1]);
+  assert(passCaveats.includes('scope = /api/*') && passCaveats.includes('pass = 5000') &&
+    !passCaveats.some(c => /^(endpoint|method|amount) = /.test(c)) && passExpiry - Date.now() / 1000 > 29 * 86400,
+  'the pass macaroon carries a scope and a long expiry instead of endpoint bindings');
+  const passAuth = payChallenge(wallet, passChallenge);
+  const bought = await runMiddleware(sellPass, { method: 'POST', path: '/pass', headers: { authorization: passAuth } });
+  assert(bought.status === 200 && bought.body.pass.sats === 5000 && bought.body.authorization === passAuth, 'presenting the pass to toll.pass() describes it');
+
+  const jokeMw = passToll({ sats: 5 });
+  const viaPass = await runMiddleware(jokeMw, { path: '/api/joke', headers: { authorization: passAuth } });
+  assert(viaPass.status === 'next' && viaPass.req.toll.pass.expiresAt === passExpiry && viaPass.req.toll.amountSats === 0 &&
+    viaPass.headers['x-toll-pass-expires'] === String(passExpiry), 'tolled routes in scope accept the pass without payment');
+  const meteredMw = passToll({ sats: 50, uses: 2 });
+  let unmetered = true;
+  for (let i = 0; i < 3; i++) {
+    const res = await runMiddleware(meteredMw, { method: 'POST', path: '/api/data', headers: { authorization: passAuth } });
+    unmetered = unmetered && res.status === 'next';
+  }
+  assert(unmetered, 'passes are not metered per route or bound to a method');
+  const outOfScope = await runMiddleware(passToll({ sats: 5 }), { path: '/admin/export', headers: { authorization: passAuth } });
+  assert(outOfScope.status === 401 && /pass scope/.test(outOfScope.body.error), 'routes outside the scope refuse the pass');
+  const unboundToll = createToll({ wallet, secret: 'test-secret', bindEndpoint: false });
+  const unboundScope = await runMiddleware(unboundToll({ sats: 5 }), { path: '/premium/report', headers: { authorization: passAuth } });
+  assert(unboundScope.status === 401 && /pass scope/.test(unboundScope.body.error), 'the scope holds without endpoint binding');
+  const otherSeller = await runMiddleware(passToll({ sats: 5, pass: { duration: '1d', scope: ['/premium/*'] } }),
+    { path: '/premium/report', headers: { authorization: passAuth } });
+  assert(otherSeller.status === 401 && otherSeller.body.error === 'Not a pass sold here', 'a pass route only accepts the passes it sells');
+
+  const single = await runMiddleware(jokeMw, { path: '/api/joke' });
+  const relabelled = await attenuate(single.body.macaroon, { pass: 1, scope: '/**' });
+  const relabelledRes = await runMiddleware(jokeMw, {
+    path: '/api/joke', headers: { authorization: `L402 ${relabelled}:${wallet.preimages.get(single.body.paymentHash)}` }
+  });
+  assert(relabelledRes.status === 401 && /metering/.test(relabelledRes.body.error), 'a per-request credential cannot be relabelled as a pass');
+  const notPass = await runMiddleware(sellPass, { path: '/pass', headers: { authorization: payChallenge(wallet, single) } });
+  assert(notPass.status === 401 && notPass.body.error === 'Not a pass', 'toll.pass() refuses ordinary credentials');
+
+  const passStats = passToll.stats.toJSON();
+  assert(passStats.passes.sold === 1 && passStats.passes.revenue === 5000 && passStats.passes.requests === 5 &&
+    passStats.endpoints['/api/joke'].pass === 1 && passStats.totalReused === 0, 'TollStats counts passes separately');
+  assert(createMetricsExporter(passToll.stats).generate().includes('lightning_toll_passes_sold_total 1'), 'metrics export pass counters');
+  const postpaidPass = await runMiddleware(passToll({ sats: 40, postpaid: 'prepay' }), { path: '/api/llm', headers: { authorization: passAuth } });
+  assert(postpaidPass.status === 'next' && (await postpaidPass.req.toll.settle(12)).chargedSats === 0 && postpaidPass.req.toll.settled,
+    'a pass on a postpaid route settles for nothing');
+  assert((() => { try { passToll.pass({ sats: 1, duration: 'forever', scope: ['/api/*'] }); return false; } catch { return true; } })() &&
+    (() => { try { passToll.pass({ sats: 1, duration: '1d' }); return false; } catch { return true; } })(),
+  'toll.pass() needs a duration and a scope');
+
+  console.log('\n🆓 Free Tier');
+
+  // Two instances behind a load balancer, sharing one store
+  const sharedStore = new MemoryStore();
+  const nodeA = createToll({ wallet, secret: 'test-secret', store: sharedStore })({ sats: 5, freeRequests: 2 });
+  const nodeB = createToll({ wallet, secret: 'test-secret', store: sharedStore })({ sats: 5, freeRequests: 2 });
+  const freeFirst = await runMiddleware(nodeA, { path: '/api/free' });
+  assert(freeFirst.status === 'next' && freeFirst.req.toll.freeRemaining === 1 && freeFirst.headers['x-free-remaining'] === '1' &&
+    freeFirst.headers['ratelimit-limit'] === '2' && freeFirst.headers['ratelimit-policy'] === '2;w=3600' &&
+    Number(freeFirst.headers['ratelimit-reset']) > 0, 'free requests carry RateLimit and X-Free-Remaining headers');
+  assert((await runMiddleware(nodeB, { path: '/api/free' })).status === 'next', 'the quota is shared across instances');
+  const freeSpent = await runMiddleware(nodeA, { path: '/api/free' });
+  assert(freeSpent.status === 402 && freeSpent.headers['ratelimit-remaining'] === '0' && freeSpent.headers['x-free-remaining'] === '0',
+    'an exhausted free tier answers 402 with RateLimit headers');
+  assert((await runMiddleware(nodeA, { path: '/api/free', ip: '198.51.100.7' })).status === 'next', 'each client has its own quota');
+
+  const quotaStore = new MemoryStore();
+  const quotaToll = createToll({ wallet, secret: 'test-secret', store: quotaStore });
+  const searchMw = quotaToll({ sats: 5, freeRequests: 1, freeQuota: 'api' });
+  const lookupMw = quotaToll({ sats: 5, freeRequests: 1, freeQuota: 'api' });
+  const ownMw = quotaToll({ sats: 5, freeRequests: 1 });
+  assert((await runMiddleware(searchMw, { path: '/api/search' })).status === 'next' &&
+    (await runMiddleware(lookupMw, { path: '/api/lookup' })).status === 402, 'routes sharing a freeQuota share the allowance');
+  const ownRoute = { path: '/api/own/:id?' };
+  assert((await runMiddleware(ownMw, { path: '/api/own', route: ownRoute })).status === 'next', 'routes without a freeQuota count separately');
+  assert((await runMiddleware(ownMw, { path: '/api/own/', route: ownRoute })).status === 402 &&
+    (await runMiddleware(ownMw, { path: '/api/own/2', route: ownRoute })).status === 402,
+    'a route has one allowance whatever path reaches it');
+  assert((await runMiddleware(ownMw, { method: 'POST', path: '/api/own', route: ownRoute })).status === 'next',
+    'each method of a route has its own allowance');
+  assert((await runMiddleware(ownMw, { path: '/API//unrouted/' })).status === 'next' &&
+    (await runMiddleware(ownMw, { path: '/api/unrouted' })).status === 402, 'without a route pattern the normalized path is the quota');
+  const reloadedMw = createToll({ wallet, secret: 'test-secret', store: quotaStore })({ sats: 5, freeRequests: 1 });
+  assert((await runMiddleware(reloadedMw, { path: '/api/own/3', route: ownRoute })).status === 402,
+    'a route recreated on the same store keeps its quota');
+
+  const { createFreeTier } = require('./src/freetier');
+  const realNow = Date.now;
+  let clock = 10000;
+  Date.now = () => clock;
+  try {
+    const takeAll = async (tier, n) => {
+      const allowed = [];
+      for (let i = 0; i < n; i++) allowed.push((await tier.take('q', 'c')).allowed);
+      return allowed.filter(Boolean).length;
+    };
+    const slidingTier = createFreeTier(new MemoryStore(), { limit: 4, windowMs: 1000, algorithm: 'sliding' });
+    clock = 10500;
+    const slidingFirst = await takeAll(slidingTier, 5);
+    clock = 11500; // halfway into the next window, half of the previous window still counts
+    assert(slidingFirst === 4 && await takeAll(slidingTier, 3) === 2, 'sliding window weights the previous window');
+
+    const bucketTier = createFreeTier(new MemoryStore(), { limit: 2, windowMs: 1000, algorithm: 'token-bucket' });
+    const burst = await takeAll(bucketTier, 3);
+    clock += 500; // refills one token
+    const refilled = await takeAll(bucketTier, 2);
+    assert(burst === 2 && refilled === 1, 'token bucket allows bursts and refills over the window');
+  } finally {
+    Date.now = realNow;
+  }
+  assert((() => { try { quotaToll({ freeRequests: 1, freeAlgorithm: 'leaky' }); return false; } catch { return true; } })(),
+    'unknown free-tier algorithms are rejected');
+
+  console.log('\n🪪 Client Identification');
+
+  const forgedXff = { 'x-forwarded-for': '192.0.2.99' };
+  const spoofMw = createToll({ wallet, secret: 'test-secret' })({ sats: 5, freeRequests: 1 });
+  await runMiddleware(spoofMw, { path: '/api/spoof' });
+  assert((await runMiddleware(spoofMw, { path: '/api/spoof', headers: forgedXff })).status === 402,
+    'X-Forwarded-For is ignored without trustProxy');
+  assert(getClientId({ headers: forgedXff, ip: '10.0.0.1' }, { trustProxy: true }) === '192.0.2.99',
+    'trustProxy: true takes the leftmost X-Forwarded-For entry');
+  const twoHops = { headers: { 'x-forwarded-for': '192.0.2.99, 198.51.100.3, 10.0.0.2' }, ip: '10.0.0.1' };
+  assert(getClientId(twoHops, { trustProxy: 2 }) === '198.51.100.3', 'trustProxy hop count skips that many proxies');
+  assert(getClientId(twoHops, { trustProxy: 5 }) === '192.0.2.99', 'a hop count past the chain stops at its first entry');
+  assert(getClientId(twoHops, { trustProxy: ['10.0.0.0/8'] }) === '198.51.100.3' &&
+    getClientId(twoHops, { trustProxy: 'loopback, uniquelocal' }) === '198.51.100.3',
+  'trustProxy CIDRs skip trusted proxies right to left');
+  assert(getClientId({ headers: forgedXff, ip: '203.0.113.1' }, { trustProxy: 'uniquelocal' }) === '203.0.113.1',
+    'X-Forwarded-For from an untrusted peer is ignored');
+  assert((() => { try { createToll({ wallet, secret: 'test-secret', trustProxy: ['10.0.0.0/33'] }); return false; } catch { return true; } })(),
+    'invalid trustProxy ranges are rejected');
+  assert(getClientId({ headers: { 'x-forwarded-for': '0.0.0.0/0' }, ip: '10.0.0.1' }, { trustProxy: true }) === 'unknown' &&
+    getClientId({ headers: { 'x-forwarded-for': 'not-an-ip, 10.0.0.2' }, ip: '10.0.0.1' }, { trustProxy: 2 }) === 'unknown',
+  'forwarded entries that are not addresses are not taken verbatim');
+  const wildcardToll = createToll({ wallet, secret: 'test-secret', trustProxy: true, bindIp: true })({ sats: 5 });
+  const wildcardChallenge = await runMiddleware(wildcardToll, { headers: { 'x-forwarded-for': '0.0.0.0/0' } });
+  assert(!decodeMacaroon(wildcardChallenge.body.macaroon).caveats.includes('ip = 0.0.0.0/0') &&
+    (await runMiddleware(wildcardToll, { headers: { 'x-forwarded-for': '192.0.2.50', authorization: payChallenge(wallet, wildcardChallenge) } })).status === 401,
+  'a forwarded range cannot become an ip caveat matching every client');
+
+  assert(getClientId({ headers: {}, ip: '2001:db8:1:2:aaaa::1' }) === '2001:db8:1:2::/64' &&
+    getClientId({ headers: {}, ip: '2001:DB8:1:2:bbbb::2' }) === '2001:db8:1:2::/64', 'IPv6 clients are grouped by /64');
+  assert(getClientId({ headers: {}, ip: '2001:db8:1:2:aaaa::1' }, { ipv6Subnet: false }) === '2001:db8:1:2:aaaa::1',
+    'ipv6Subnet: false keeps whole IPv6 addresses');
+  assert(getClientId({ headers: {}, ip: '::ffff:192.0.2.7' }) === '192.0.2.7', 'IPv4-mapped addresses are reported as IPv4');
+  const v6Mw = createToll({ wallet, secret: 'test-secret' })({ sats: 5, freeRequests: 1 });
+  await runMiddleware(v6Mw, { path: '/api/v6', ip: '2001:db8:1:2::10' });
+  assert((await runMiddleware(v6Mw, { path: '/api/v6', ip: '2001:db8:1:2::11' })).status === 402,
+    'rotating addresses within a /64 share one free tier');
+
+  const v6BoundToll = createToll({ wallet, secret: 'test-secret', bindIp: true })({ sats: 5 });
+  const v6Challenge = await runMiddleware(v6BoundToll, { ip: '2001:db8:5:6::1' });
+  assert(decodeMacaroon(v6Challenge.body.macaroon).caveats.includes('ip = 2001:db8:5:6::/64') &&
+    (await runMiddleware(v6BoundToll, { ip: '2001:db8:5:6::2', headers: { authorization: payChallenge(wallet, v6Challenge) } })).status === 'next' &&
+    (await runMiddleware(v6BoundToll, { ip: '2001:db8:5:7::1', headers: { authorization: payChallenge(wallet, v6Challenge) } })).status === 401,
+  'bindIp binds IPv6 credentials to the /64');
+  const boundToll = createToll({ wallet, secret: 'test-secret', bindIp: true })({ sats: 5 });
+  const boundChallenge = await runMiddleware(boundToll);
+  const spoofedIp = await runMiddleware(boundToll, {
+    ip: '198.51.100.7', headers: { 'x-forwarded-for': '203.0.113.1', authorization: payChallenge(wallet, boundChallenge) }
+  });
+  assert(spoofedIp.status === 401, 'a forgedXff X-Forwarded-For does not satisfy an ip caveat');
+  const rangeCaveat = await attenuate(boundChallenge.body.macaroon, ['ip = 203.0.113.0/24']);
+  assert((await runMiddleware(boundToll, { headers: { authorization: `L402 ${rangeCaveat}:${wallet.preimages.get(boundChallenge.body.paymentHash)}` } })).status === 'next',
+    'ip caveats may be CIDR ranges');
+
+  const keyToll = createToll({ wallet, secret: 'test-secret', clientId: req => req.headers['x-api-key'] });
+  const keyMw = keyToll({ sats: 5, freeRequests: 1 });
+  const keyed = await runMiddleware(keyMw, { path: '/api/keyed', headers: { 'x-api-key': 'alice' } });
+  assert(keyed.status === 'next' && keyed.req.toll.clientId === 'alice', 'clientId() names the client');
+  assert((await runMiddleware(keyMw, { path: '/api/keyed', ip: '198.51.100.8', headers: { 'x-api-key': 'alice' } })).status === 402 &&
+    (await runMiddleware(keyMw, { path: '/api/keyed', headers: { 'x-api-key': 'bob' } })).status === 'next',
+  'free tiers follow the custom client id across addresses');
+  assert((await runMiddleware(keyMw, { path: '/api/keyed', ip: '198.51.100.9' })).status === 'next',
+    'requests without a custom id fall back to the address');
+  const keyedPaid = await runMiddleware(keyToll({ sats: 5 }), { headers: { 'x-api-key': 'carol' } });
+  await runMiddleware(keyToll({ sats: 5 }), { headers: { 'x-api-key': 'carol', authorization: payChallenge(wallet, keyedPaid) } });
+  assert(keyToll.stats.toJSON().uniquePayers === 1 && keyToll.stats.payers.has('carol'), 'stats count payers by the custom client id');
+  const routeKeyMw = keyToll({ sats: 5, freeRequests: 1, clientId: async req => `session:${req.headers.cookie}` });
+  assert((await runMiddleware(routeKeyMw, { path: '/api/session', headers: { cookie: 's1' } })).req.toll.clientId === 'session:s1',
+    'routes can override clientId, asynchronously');
+
+  console.log('\n🔑 Nostr Auth (NIP-98)');
+
+  const schnorr = require('./src/schnorr');
+  // The official BIP-340 test vectors: [secret key, public key, aux rand, message, signature, valid]
+  const bip340Vectors = [
+    ['0000000000000000000000000000000000000000000000000000000000000003', 'f9308a019258c31049344f85f89d5229b531c845836f99b08601f113bce036f9', '0000000000000000000000000000000000000000000000000000000000000000', '0000000000000000000000000000000000000000000000000000000000000000', 'e907831f80848d1069a5371b402410364bdf1c5f8307b0084c55f1ce2dca821525f66a4a85ea8b71e482a74f382d2ce5ebeee8fdb2172f477df4900d310536c0', true],
+    ['b7e151628aed2a6abf7158809cf4f3c762e7160f38b4da56a784d9045190cfef', 'dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659', '0000000000000000000000000000000000000000000000000000000000000001', '243f6a8885a308d313198a2e03707344a4093822299f31d0082efa98ec4e6c89', '6896bd60eeae296db48a229ff71dfe071bde413e6d43f917dc8dcf8c78de33418906d11ac976abccb20b091292bff4ea897efcb639ea871cfa95f6de339e4b0a', true],
+    ['c90fdaa22168c234c4c6628b80dc1cd129024e088a67cc74020bbea63b14e5c9', 'dd308afec5777e13121fa72b9cc1b7cc0139715309b086c960e18fd969774eb8', 'c87aa53824b4d7ae2eb035a2b5bbbccc080e76cdc6d1692c4b0b62d798e6d906', '7e2d58d8b3bcdf1abadec7829054f90dda9805aab56c77333024b9d0a508b75c', '5831aaeed7b44bb74e5eab94ba9d4294c49bcf2a60728d8b4c200f50dd313c1bab745879a5ad954a72c45a91c3a51d3c7adea98d82f8481e0e1e03674a6f3fb7', true],
+    ['0b432b2677937381aef05bb02a66ecd012773062cf3fa2549e44f58ed2401710', '25d1dff95105f5253c4022f628a996ad3a0d95fbf21d468a1b33f8c160d8f517', 'ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff', 'ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff', '7eb0509757e246f19449885651611cb965ecc1a187dd51b64fda1edc9637d5ec97582b9cb13db3933705b32ba982af5af25fd78881ebb32771fc5922efc66ea3', true], // test fails if msg is reduced modulo p or n
+    ['', 'd69c3509bb99e412e68b0fe8544e72837dfa30746d8be2aa65975f29d22dc7b9', '', '4df3c3f68fcc83b27e9d42c90431a72499f17875c81a599b566c9889b9696703', '00000000000000000000003b78ce563f89a0ed9414f5aa28ad0d96d6795f9c6376afb1548af603b3eb45c9f8207dee1060cb71c04e80f593060b07d28308d7f4', true],
+    ['', 'eefdea4cdb677750a420fee807eacf21eb9898ae79b9768766e4faa04a2d4a34', '', '243f6a8885a308d313198a2e03707344a4093822299f31d0082efa98ec4e6c89', '6cff5c3ba86c69ea4b7376f31a9bcb4f74c1976089b2d9963da2e5543e17776969e89b4c5564d00349106b8497785dd7d1d713a8ae82b32fa79d5f7fc407d39b', false], // public key not on the curve
+    ['', 'dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659', '', '243f6a8885a308d313198a2e03707344a4093822299f31d0082efa98ec4e6c89', 'fff97bd5755eeea420453a14355235d382f6472f8568a18b2f057a14602975563cc27944640ac607cd107ae10923d9ef7a73c643e166be5ebeafa34b1ac553e2', false], // has_even_y(R) is false
+    ['', 'dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659', '', '243f6a8885a308d313198a2e03707344a4093822299f31d0082efa98ec4e6c89', '1fa62e331edbc21c394792d2ab1100a7b432b013df3f6ff4f99fcb33e0e1515f28890b3edb6e7189b630448b515ce4f8622a954cfe545735aaea5134fccdb2bd', false], // negated message
+    ['', 'dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659', '', '243f6a8885a308d313198a2e03707344a4093822299f31d0082efa98ec4e6c89', '6cff5c3ba86c69ea4b7376f31a9bcb4f74c1976089b2d9963da2e5543e177769961764b3aa9b2ffcb6ef947b6887a226e8d7c93e00c5ed0c1834ff0d0c2e6da6', false], // negated s value
+    ['', 'dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659', '', '243f6a8885a308d313198a2e03707344a4093822299f31d0082efa98ec4e6c89', '0000000000000000000000000000000000000000000000000000000000000000123dda8328af9c23a94c1feecfd123ba4fb73476f0d594dcb65c6425bd186051', false], // sG - eP is infinite. Test fails in single verification if has_even_y(inf) is defined as true and x(inf) as 0
+    ['', 'dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659', '', '243f6a8885a308d313198a2e03707344a4093822299f31d0082efa98ec4e6c89', '00000000000000000000000000000000000000000000000000000000000000017615fbaf5ae28864013c099742deadb4dba87f11ac6754f93780d5a1837cf197', false], // sG - eP is infinite. Test fails in single verification if has_even_y(inf) is defined as true and x(inf) as 1
+    ['', 'dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659', '', '243f6a8885a308d313198a2e03707344a4093822299f31d0082efa98ec4e6c89', '4a298dacae57395a15d0795ddbfd1dcb564da82b0f269bc70a74f8220429ba1d69e89b4c5564d00349106b8497785dd7d1d713a8ae82b32fa79d5f7fc407d39b', false], // sig[0:32] is not an X coordinate on the curve
+    ['', 'dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659', '', '243f6a8885a308d313198a2e03707344a4093822299f31d0082efa98ec4e6c89', 'fffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2f69e89b4c5564d00349106b8497785dd7d1d713a8ae82b32fa79d5f7fc407d39b', false], // sig[0:32] is equal to field size
+    ['', 'dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659', '', '243f6a8885a308d313198a2e03707344a4093822299f31d0082efa98ec4e6c89', '6cff5c3ba86c69ea4b7376f31a9bcb4f74c1976089b2d9963da2e5543e177769fffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141', false], // sig[32:64] is equal to curve order
+    ['', 'fffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc30', '', '243f6a8885a308d313198a2e03707344a4093822299f31d0082efa98ec4e6c89', '6cff5c3ba86c69ea4b7376f31a9bcb4f74c1976089b2d9963da2e5543e17776969e89b4c5564d00349106b8497785dd7d1d713a8ae82b32fa79d5f7fc407d39b', false] // public key is not a valid X coordinate because it exceeds the field size
+  ];
+  const bipSigned = await Promise.all(bip340Vectors.filter(([secretKey]) => secretKey).map(async ([secretKey, publicKey, aux, message, signature]) =>
+    schnorr.getPublicKey(secretKey) === publicKey && await schnorr.sign(message, secretKey, Buffer.from(aux, 'hex')) === signature));
+  assert(bipSigned.length === 4 && bipSigned.every(Boolean), 'BIP-340 key derivation and signing match the reference vectors');
+  const bipVerified = await Promise.all(bip340Vectors.map(async ([, publicKey, , message, signature, valid]) =>
+    await schnorr.verify(signature, message, publicKey) === valid));
+  assert(bipVerified.every(Boolean), 'BIP-340 verification matches all 15 reference vectors, invalid ones included');
+  assert(!(await schnorr.verify(bip340Vectors[0][4], '01'.repeat(32), bip340Vectors[0][1])) &&
+    !(await schnorr.verify('ff'.repeat(64), bip340Vectors[0][3], bip340Vectors[0][1])) &&
+    !(await schnorr.verify(bip340Vectors[0][4].slice(2), bip340Vectors[0][3], bip340Vectors[0][1])), 'BIP-340 verification rejects other messages and malformed signatures');
+
+  const aliceKey = crypto.randomBytes(32).toString('hex');
+  const bobKey = crypto.randomBytes(32).toString('hex');
+  const alicePub = schnorr.getPublicKey(aliceKey);
+  const nostrUrl = 'https://api.example.com/api/data';
+  const signAs = (key, opts = {}) => createNip98Auth(key, { url: nostrUrl, ...opts });
+
+  const nostrWallet = new MockWallet();
+  const nostrHosts = ['api.example.com'];
+  const nostrToll = createToll({ wallet: nostrWallet, secret: 'test-secret', nostrAuth: { hosts: nostrHosts } });
+  const nostrMw = nostrToll({ sats: 5, freeRequests: 5 });
+  const signedFree = await runMiddleware(nostrMw, { headers: { authorization: await signAs(aliceKey) } });
+  assert(signedFree.status === 'next' && signedFree.req.toll.pubkey === alicePub, 'signed requests get req.toll.pubkey');
+  const replayed = signedFree.req.headers.authorization;
+  const replay = await runMiddleware(nostrMw, { headers: { authorization: replayed } });
+  assert(replay.status === 401 && replay.body.error === 'Invalid Nostr authorization: event already used', 'NIP-98 events are single-use');
+  const nostrWrongMethod = await runMiddleware(nostrMw, { method: 'POST', headers: { authorization: await signAs(aliceKey) } });
+  const nostrWrongPath = await runMiddleware(nostrMw, { path: '/api/other', headers: { authorization: await signAs(aliceKey) } });
+  const nostrWrongHost = await runMiddleware(nostrMw, {
+    headers: { host: 'evil.example', authorization: await signAs(aliceKey, { url: 'https://evil.example/api/data' }) }
+  });
+  assert(nostrWrongMethod.status === 401 && nostrWrongPath.status === 401 && nostrWrongHost.status === 401,
+    'NIP-98 events must name the request method, path and a configured host');
+  const nostrWrongQuery = await runMiddleware(nostrMw, { url: '/api/data?admin=1', headers: { authorization: await signAs(aliceKey) } });
+  const nostrQuery = await runMiddleware(nostrMw, { url: '/api/data?q=1', headers: { authorization: await signAs(aliceKey, { url: `${nostrUrl}?q=1` }) } });
+  assert(nostrWrongQuery.body.error === 'Invalid Nostr authorization: URL mismatch' && nostrQuery.status === 'next',
+    'NIP-98 events must name the query string too');
+  assert(['nostrAuth: true', 'hosts: []'].every(label => {
+    try {
+      createToll({ wallet, secret: 'test-secret', nostrAuth: label === 'nostrAuth: true' ? true : { hosts: [] } });
+      return false;
+    } catch (err) {
+      return /nostrAuth\.hosts/.test(err.message);
+    }
+  }), 'nostrAuth needs a configured host list');
+  const realNow98 = Date.now;
+  Date.now = () => realNow98() - 120000;
+  const staleAuth = await signAs(aliceKey);
+  Date.now = realNow98;
+  assert((await runMiddleware(nostrMw, { headers: { authorization: staleAuth } })).body.error === 'Invalid Nostr authorization: event expired',
+    'stale NIP-98 events are rejected');
+  const forgedEvent = JSON.parse(Buffer.from((await signAs(aliceKey)).slice(6), 'base64').toString());
+  forgedEvent.pubkey = schnorr.getPublicKey(bobKey);
+  const forgedAuth = `Nostr ${Buffer.from(JSON.stringify(forgedEvent)).toString('base64')}`;
+  assert((await runMiddleware(nostrMw, { headers: { authorization: forgedAuth } })).status === 401, 'NIP-98 events signed by another key are rejected');
+  const payloadOk = await runMiddleware(nostrMw, { method: 'POST', body: '{"q":1}', headers: { authorization: await signAs(aliceKey, { method: 'POST', body: '{"q":1}' }) } });
+  const payloadBad = await runMiddleware(nostrMw, { method: 'POST', body: '{"q":2}', headers: { authorization: await signAs(aliceKey, { method: 'POST', body: '{"q":1}' }) } });
+  assert(payloadOk.status === 'next' && payloadBad.body.error === 'Invalid Nostr authorization: payload mismatch',
+    'the payload tag must match a raw body');
+  const payloadParsed = await runMiddleware(nostrMw, { method: 'POST', body: { q: 2 }, headers: { authorization: await signAs(aliceKey, { method: 'POST', body: '{"q":1}' }) } });
+  assert(payloadParsed.status === 401 && payloadParsed.body.error === 'Invalid Nostr authorization: payload tag needs the raw request body',
+    'a payload tag on a parsed body is refused, not skipped');
+  const unsignedToll = createToll({ wallet: nostrWallet, secret: 'test-secret' })({ sats: 5, freeRequests: 1 });
+  const ignored = await runMiddleware(unsignedToll, { headers: { authorization: forgedAuth } });
+  assert(ignored.status === 'next' && ignored.req.toll.pubkey === undefined, 'without nostrAuth, Nostr headers are ignored');
+
+  const boundNostr = createToll({ wallet: nostrWallet, secret: 'test-secret', nostrAuth: { hosts: nostrHosts }, bindPubkey: true });
+  const boundMw = boundNostr({ sats: 5 });
+  const boundNostrChallenge = await runMiddleware(boundMw, { headers: { authorization: await signAs(aliceKey) } });
+  assert(decodeMacaroon(boundNostrChallenge.body.macaroon).caveats.includes(`pubkey = ${alicePub}`), 'bindPubkey mints a pubkey caveat');
+  const { preimage: boundPreimage } = await nostrWallet.payInvoice(boundNostrChallenge.body.invoice);
+  const boundL402 = `L402 ${boundNostrChallenge.body.macaroon}:${boundPreimage}`;
+  const boundPaid = await runMiddleware(boundMw, { headers: { authorization: boundL402, 'x-nostr-authorization': await signAs(aliceKey) } });
+  assert(boundPaid.status === 'next' && boundPaid.req.toll.paid && boundPaid.req.toll.pubkey === alicePub,
+    'a pubkey-bound credential works with the signer\'s X-Nostr-Authorization');
+  const boundUnsigned = await runMiddleware(boundMw, { headers: { authorization: boundL402 } });
+  const boundOther = await runMiddleware(boundMw, { headers: { authorization: boundL402, 'x-nostr-authorization': await signAs(bobKey) } });
+  assert(boundUnsigned.status === 401 && boundOther.status === 401 && /Pubkey mismatch/.test(boundOther.body.error),
+    'a pubkey-bound credential is refused unsigned or signed by another key');
+  assert(boundNostr.stats.payers.has(alicePub), 'stats count signed payers by pubkey');
+  assert((() => { try { createToll({ wallet, secret: 'test-secret', bindPubkey: true }); return false; } catch { return true; } })(),
+    'bindPubkey needs nostrAuth');
+
+  const pubkeyQuota = createToll({ wallet: nostrWallet, secret: 'test-secret', nostrAuth: { hosts: nostrHosts, clientId: true } })({ sats: 5, freeRequests: 1 });
+  const aliceFree = await runMiddleware(pubkeyQuota, { headers: { authorization: await signAs(aliceKey) } });
+  const bobFree = await runMiddleware(pubkeyQuota, { headers: { authorization: await signAs(bobKey) } });
+  assert(aliceFree.status === 'next' && aliceFree.req.toll.clientId === alicePub && bobFree.status === 'next' &&
+    (await runMiddleware(pubkeyQuota, { headers: { authorization: await signAs(aliceKey) } })).status === 402,
+  'nostrAuth.clientId keys free tiers on the pubkey');
+
+  // Client: signs every attempt, moving the event aside once it sends an L402 credential
+  const signedSeen = [];
+  const signedServer = http.createServer((req, res) => signedListener(req, res));
+  const signedPort = await listenOn(signedServer);
+  const signedToll = createToll({ wallet: nostrWallet, secret: 'test-secret', nostrAuth: { hosts: [`127.0.0.1:${signedPort}`] }, bindPubkey: true });
+  const signedListener = withToll(signedToll, { sats: 3 }, (req, res) => {
+    signedSeen.push(req.toll.pubkey);
+    res.end(JSON.stringify({ ok: true }));
+  });
+  const signingClient = new TollClient({ wallet: nostrWallet, nostrKey: aliceKey });
+  const signedRes = await signingClient.fetch(`http://127.0.0.1:${signedPort}/paid`);
+  assert(signedRes.status === 200 && signedSeen[0] === alicePub, 'TollClient signs requests with its Nostr key and pays pubkey-bound challenges');
+  signedServer.close();
+})().then(() => {
+  console.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) process.exit(1);
+}, (err) => {
+  console.error(err);
+  process.exit(1);
+});